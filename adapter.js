@@ -0,0 +1,44 @@
+const { Adapter } = require('socket.io-adapter');
+const bus = require('./pubsub');
+
+// Socket.IO adapter that sends broadcasts over the bus, so `io.to(room)`
+// reaches the sockets of every server process. Each process delivers to its
+// own sockets when the message comes back; `io.local` skips the bus.
+class BusAdapter extends Adapter {
+  constructor(nsp) {
+    super(nsp);
+    this.onBroadcast = (message) => {
+      if (message.nsp === this.nsp.name) this.deliver(message);
+    };
+    bus.on('socket:broadcast', this.onBroadcast);
+  }
+
+  broadcast(packet, opts) {
+    const flags = opts.flags || {};
+    if (flags.local) {
+      return super.broadcast(packet, opts);
+    }
+
+    bus.publish('socket:broadcast', {
+      nsp: this.nsp.name,
+      packet,
+      rooms: [...opts.rooms],
+      except: [...(opts.except || [])],
+      flags
+    }).catch((err) => console.error('Error broadcasting:', err));
+  }
+
+  deliver(message) {
+    super.broadcast(message.packet, {
+      rooms: new Set(message.rooms),
+      except: new Set(message.except),
+      flags: { ...message.flags, local: true }
+    });
+  }
+
+  close() {
+    bus.off('socket:broadcast', this.onBroadcast);
+  }
+}
+
+module.exports = BusAdapter;
@@ -0,0 +1,288 @@
+// Notepad archives: a ZIP with the content, a JSON manifest (metadata,
+// feedback and revisions) and every attached file under files/.
+// Upload URLs are rewritten to paths inside the archive and back on import.
+const path = require('path');
+const { nanoid } = require('nanoid');
+const db = require('./database');
+const { sanitizeHtml } = require('./sanitize');
+const { htmlToMarkdown } = require('./convert');
+const markdown = require('./markdown');
+const { createZip, readZip } = require('./zip');
+const uploads = require('./uploads');
+const storage = require('./storage');
+
+const FORMAT = 'notepad-archive';
+const VERSION = 1;
+
+// The ways a URL can be written in content: as is in Markdown source, or
+// escaped inside attributes and text
+function urlForms(url) {
+  const text = url.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return [...new Set([url, text, text.replace(/"/g, '&quot;')])];
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Replace whole URLs (keys of `urls`) with their values. Returns the new
+// content and a function that maps positions in the old content to the new.
+function rewriteUrls(content, urls) {
+  const replacements = new Map();
+  urls.forEach((to, from) => {
+    const fromForms = urlForms(from);
+    const toForms = urlForms(to);
+    fromForms.forEach((form, i) => replacements.set(form, toForms[Math.min(i, toForms.length - 1)]));
+  });
+  if (!replacements.size) {
+    return { content, mapPosition: position => position };
+  }
+
+  // Longest first, so a URL never matches as the prefix of another
+  const alternatives = [...replacements.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  const pattern = new RegExp(`(^|["'(\\s>])(${alternatives.join('|')})(?=$|["')\\s<])`, 'g');
+  const edits = [];
+
+  const rewritten = content.replace(pattern, (match, before, url, offset) => {
+    const replacement = replacements.get(url);
+    edits.push({ start: offset + before.length, end: offset + before.length + url.length, delta: replacement.length - url.length });
+    return before + replacement;
+  });
+
+  const mapPosition = (position) => {
+    let shift = 0;
+    for (const edit of edits) {
+      if (edit.start >= position) break;
+      // Positions inside a URL move to its start
+      if (edit.end > position) return edit.start + shift;
+      shift += edit.delta;
+    }
+    return position + shift;
+  };
+
+  return { content: rewritten, mapPosition };
+}
+
+// Stored name of an uploaded file (the last part of its location)
+function storedName(file) {
+  return path.basename(file.filepath);
+}
+
+// Build the archive for a loaded document (see collab.loadDocument)
+async function exportArchive(doc) {
+  const [notepad, feedback, revisions, files] = await Promise.all([
+    db.getNotepad(doc.id),
+    db.getFeedback(doc.id),
+    db.getRevisionContents(doc.id),
+    db.getFiles(doc.id)
+  ]);
+
+  const entries = [];
+  const manifestFiles = [];
+  const urls = new Map();
+  const paths = new Map(files.map(file => [file.id, `files/${storedName(file)}`]));
+
+  for (const file of files) {
+    const name = storedName(file);
+    let data;
+    try {
+      data = await storage.read(file.filepath);
+    } catch (err) {
+      // File missing from storage; leave its links as they are
+      continue;
+    }
+
+    const archivePath = paths.get(file.id);
+    urls.set(`/uploads/${name}`, archivePath);
+    entries.push({ name: archivePath, data });
+    manifestFiles.push({
+      filename: file.filename,
+      path: archivePath,
+      mimetype: file.mimetype,
+      size: file.size,
+      uploadedAt: file.uploaded_at,
+      width: file.width,
+      height: file.height,
+      // Resized copies of an image name the original's path
+      variantOf: file.variant_of ? paths.get(file.variant_of) || null : null,
+      variant: file.variant
+    });
+  }
+
+  const { content, mapPosition } = rewriteUrls(doc.content, urls);
+
+  const manifest = {
+    format: FORMAT,
+    version: VERSION,
+    exportedAt: new Date().toISOString(),
+    notepad: {
+      id: notepad.id,
+      mode: doc.mode,
+      createdAt: notepad.created_at,
+      updatedAt: notepad.updated_at,
+      lastEditor: notepad.last_editor
+    },
+    files: manifestFiles,
+    // Thread anchors are offsets into content.html
+    feedback: feedback.map((item) => {
+      const anchor = doc.anchors.get(item.id);
+      return {
+        ...item,
+        userId: undefined,
+        anchorStart: anchor ? mapPosition(anchor.start) : null,
+        anchorEnd: anchor ? mapPosition(anchor.end) : null
+      };
+    }),
+    revisions: revisions.map(revision => ({
+      content: rewriteUrls(revision.content, urls).content,
+      editor: revision.editor,
+      createdAt: revision.created_at,
+      updatedAt: revision.updated_at
+    }))
+  };
+
+  const source = doc.mode === 'markdown' ? markdown.markdownSource(content) : htmlToMarkdown(content);
+
+  return createZip([
+    { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) },
+    { name: 'content.html', data: content },
+    { name: 'content.md', data: source },
+    ...entries
+  ]);
+}
+
+function invalidArchive(message) {
+  const error = new Error(message);
+  error.invalidArchive = true;
+  return error;
+}
+
+// Read and check an archive made by exportArchive
+function parseArchive(buffer) {
+  let entries;
+  try {
+    entries = readZip(buffer);
+  } catch (err) {
+    throw invalidArchive(err.message);
+  }
+
+  const byName = new Map(entries.map(entry => [entry.name, entry.data]));
+  let manifest;
+  try {
+    manifest = JSON.parse(byName.get('manifest.json').toString('utf-8'));
+  } catch (err) {
+    throw invalidArchive('Archive has no readable manifest');
+  }
+
+  if (!manifest || manifest.format !== FORMAT) {
+    throw invalidArchive('Not a notepad archive');
+  }
+  if (manifest.version !== VERSION) {
+    throw invalidArchive(`Unsupported archive version ${manifest.version}`);
+  }
+  if (!byName.has('content.html')) {
+    throw invalidArchive('Archive has no content');
+  }
+
+  return { manifest, byName };
+}
+
+function optionalString(value) {
+  return typeof value === 'string' ? value : null;
+}
+
+function optionalNumber(value) {
+  return Number.isInteger(value) ? value : null;
+}
+
+// Create a new notepad from an archive. Returns { notepadId, users }.
+async function importArchive(buffer, { password, altPassword, username }) {
+  const { manifest, byName } = parseArchive(buffer);
+  const mode = markdown.MODES.includes(manifest.notepad && manifest.notepad.mode) ? manifest.notepad.mode : 'rich';
+
+  // Check every file before anything is written
+  const files = (Array.isArray(manifest.files) ? manifest.files : []).map((file) => {
+    if (!file || typeof file.path !== 'string' || !byName.has(file.path)) {
+      throw invalidArchive('Archive is missing an attached file');
+    }
+    const filename = uploads.safeFilename(optionalString(file.filename) || path.basename(file.path));
+    const data = byName.get(file.path);
+    const type = uploads.detectType(data, filename, optionalString(file.mimetype));
+    if (!type || !uploads.isAllowed(type.mimetype)) {
+      throw invalidArchive(`Attached file "${filename}" is not an allowed type`);
+    }
+    return { ...file, filename, data, type };
+  });
+  uploads.checkQuota(0, files.reduce((total, file) => total + file.data.length, 0));
+
+  const notepadId = nanoid(10);
+  const result = await db.createNotepad(notepadId, password, altPassword || password + '-alt', username);
+
+  // Originals first, so variants can point at their new IDs
+  const urls = new Map();
+  const ids = new Map();
+  const originalsFirst = [...files].sort((a, b) => (a.variantOf ? 1 : 0) - (b.variantOf ? 1 : 0));
+  for (const file of originalsFirst) {
+    const variantOf = typeof file.variantOf === 'string' ? ids.get(file.variantOf) || null : null;
+    const name = uploads.storedName(file.filename, file.type);
+    const filepath = await storage.put(name, file.data, file.type.mimetype);
+    const id = await db.addFile(notepadId, file.filename, filepath, file.type.mimetype, file.data.length, {
+      width: optionalNumber(file.width),
+      height: optionalNumber(file.height),
+      variantOf,
+      variant: variantOf ? optionalString(file.variant) : null
+    });
+    ids.set(file.path, id);
+    urls.set(file.path, `/uploads/${name}`);
+  }
+
+  const rewritten = rewriteUrls(byName.get('content.html').toString('utf-8'), urls);
+  const content = sanitizeHtml(rewritten.content);
+  const clamp = position => Math.min(Math.max(rewritten.mapPosition(position), 0), content.length);
+
+  const revisions = (Array.isArray(manifest.revisions) ? manifest.revisions : [])
+    .filter(revision => revision && typeof revision.content === 'string')
+    .map(revision => ({
+      content: sanitizeHtml(rewriteUrls(revision.content, urls).content),
+      editor: optionalString(revision.editor),
+      createdAt: optionalString(revision.createdAt) || new Date().toISOString(),
+      updatedAt: optionalString(revision.updatedAt) || new Date().toISOString()
+    }));
+
+  const feedback = (Array.isArray(manifest.feedback) ? manifest.feedback : [])
+    .filter(item => item && optionalNumber(item.id) !== null)
+    .map((item) => {
+      const anchored = !item.parentId && optionalNumber(item.anchorStart) !== null && optionalNumber(item.anchorEnd) !== null;
+      const start = anchored ? clamp(item.anchorStart) : null;
+      return {
+        id: item.id,
+        parentId: optionalNumber(item.parentId),
+        lineNumber: optionalNumber(item.lineNumber) || 1,
+        reaction: optionalString(item.reaction),
+        comment: optionalString(item.comment),
+        username: optionalString(item.username),
+        resolved: item.resolved === true,
+        resolvedBy: optionalString(item.resolvedBy),
+        anchorStart: start,
+        anchorEnd: anchored ? Math.max(start, clamp(item.anchorEnd)) : null,
+        quote: optionalString(item.quote),
+        created_at: optionalString(item.created_at) || new Date().toISOString(),
+        updated_at: optionalString(item.updated_at)
+      };
+    });
+
+  await db.importNotepad(notepadId, {
+    content,
+    mode,
+    lastEditor: optionalString(manifest.notepad && manifest.notepad.lastEditor),
+    revisions,
+    feedback
+  });
+
+  return { notepadId, users: result.users };
+}
+
+module.exports = {
+  exportArchive,
+  importArchive
+};
@@ -0,0 +1,719 @@
+const { EventEmitter } = require('events');
+const { nanoid } = require('nanoid');
+const OT = require('./public/js/ot');
+const db = require('./database');
+const bus = require('./pubsub');
+const presence = require('./presence');
+const markdown = require('./markdown');
+const { sanitizeHtml } = require('./sanitize');
+const { htmlToLines } = require('./diff');
+
+// How many applied operations to keep per notepad for transforming late edits
+const HISTORY_LIMIT = 500;
+
+// How long to wait for another process to send its copy of a document,
+// and how many times to try before giving up
+const STATE_TIMEOUT = 1000;
+const OPEN_ATTEMPTS = 10;
+
+// Every process with someone in a notepad keeps a copy of the live document.
+// Changes are published on the bus and applied by every copy (the sender's
+// included) as they come back, so all copies go through the same states.
+// One process per notepad, the writer, saves to the database.
+//
+// Each process holds a shared lock on the notepads it has open; whoever gets
+// it exclusively is alone and loads from the database instead.
+
+// Live documents per notepad (promises, so concurrent joins share one load)
+const documents = {};
+
+// Loaded copies that bus messages are applied to: notepadId -> doc
+const replicas = new Map();
+
+// Copies being fetched from another process: notepadId -> { nonce, seen, buffer, resolve, reject }
+const opening = new Map();
+
+// Notepads this process is leaving: notepadId -> promise
+const unloading = {};
+
+// Messages sent from here that are waiting to be applied: request id -> callback
+const requests = new Map();
+
+// Changes to live documents, for the server to pass on to its own sockets:
+//   operation (doc, { op, version, editor, timestamp, socket })
+//   mode (doc, { mode, editor })
+//   anchor (doc, feedback)
+//   presence (doc)
+//   cursor (doc, { id, cursor, socket })
+//   typing (doc, { id, typing, socket })
+//   reset (notepadIds) - copies were dropped after losing the bus
+const events = new EventEmitter();
+
+function memberLock(notepadId) {
+  return `notepad:${notepadId}`;
+}
+
+function writerLock(notepadId) {
+  return `notepad-writer:${notepadId}`;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Load a notepad into memory, or return the already loaded copy
+function loadDocument(notepadId) {
+  if (!documents[notepadId]) {
+    const pending = Promise.resolve(unloading[notepadId]).then(() => openDocument(notepadId));
+    documents[notepadId] = pending;
+    pending.catch(() => {
+      if (documents[notepadId] === pending) {
+        delete documents[notepadId];
+      }
+    });
+  }
+  return documents[notepadId];
+}
+
+async function openDocument(notepadId) {
+  for (let attempt = 0; attempt < OPEN_ATTEMPTS; attempt++) {
+    if (await bus.lock(memberLock(notepadId))) {
+      // Nobody else has it open
+      let doc;
+      try {
+        doc = await readDocument(notepadId);
+        await bus.lock(memberLock(notepadId), { shared: true });
+      } finally {
+        await bus.unlock(memberLock(notepadId));
+      }
+      doc.writer = await bus.lock(writerLock(notepadId));
+      replicas.set(notepadId, doc);
+      return doc;
+    }
+
+    // Someone is loading it from the database if this fails
+    if (await bus.lock(memberLock(notepadId), { shared: true })) {
+      const doc = await requestState(notepadId);
+      if (doc) return doc;
+      await bus.unlock(memberLock(notepadId), { shared: true });
+    } else {
+      await sleep(STATE_TIMEOUT / 5);
+    }
+  }
+  throw new Error('Notepad is busy, try again');
+}
+
+// Read a notepad and its feedback anchors from the database
+async function readDocument(notepadId) {
+  const [notepad, feedback] = await Promise.all([
+    db.getNotepad(notepadId),
+    db.getFeedback(notepadId)
+  ]);
+  if (!notepad) {
+    throw new Error('Notepad not found');
+  }
+
+  const doc = {
+    id: notepadId,
+    content: sanitizeHtml(notepad.content),
+    mode: notepad.mode || 'rich',
+    // Versions only count within one load, so clients resuming after
+    // a dropped connection check they still refer to the same one
+    instance: nanoid(10),
+    version: 0,
+    history: [],
+    receipts: new Map(),       // Client operation id -> { version, fix } it was applied as
+    anchors: new Map(),        // Feedback thread id -> { start, end } in content
+    changedAnchors: new Set(), // Thread ids whose anchors still need saving
+    people: new Map(),         // Presence room, see presence.js
+    editor: notepad.last_editor || null,
+    writer: false,             // Whether this process saves it
+    saving: Promise.resolve()
+  };
+
+  for (const item of feedback) {
+    if (item.parentId) continue;
+
+    if (item.anchorStart === null || item.anchorStart === undefined) {
+      // Feedback from before anchors: pin it to the start of its line
+      const start = lineStart(doc.content, item.lineNumber);
+      doc.anchors.set(item.id, { start, end: start });
+      doc.changedAnchors.add(item.id);
+    } else {
+      const start = Math.min(item.anchorStart, doc.content.length);
+      const end = Math.min(Math.max(item.anchorEnd, start), doc.content.length);
+      doc.anchors.set(item.id, { start, end });
+    }
+  }
+
+  return doc;
+}
+
+// Ask the writer for its copy. Messages about the notepad that come after
+// our request are held back and applied to the copy once it arrives.
+// Resolves to null if nobody answers in time.
+function requestState(notepadId) {
+  return new Promise((resolve, reject) => {
+    const nonce = nanoid();
+    const timer = setTimeout(() => {
+      if (opening.get(notepadId) === pending) {
+        opening.delete(notepadId);
+        resolve(null);
+      }
+    }, STATE_TIMEOUT);
+
+    const pending = {
+      nonce,
+      seen: false,
+      buffer: [],
+      resolve: (doc) => {
+        clearTimeout(timer);
+        resolve(doc);
+      },
+      reject: (err) => {
+        clearTimeout(timer);
+        reject(err);
+      }
+    };
+    opening.set(notepadId, pending);
+
+    bus.publish('collab:open', { notepad: notepadId, nonce }).catch((err) => {
+      opening.delete(notepadId);
+      pending.reject(err);
+    });
+  });
+}
+
+// The parts of a document other processes need, as plain data
+function serializeDocument(doc) {
+  return {
+    id: doc.id,
+    content: doc.content,
+    mode: doc.mode,
+    instance: doc.instance,
+    version: doc.version,
+    history: doc.history,
+    receipts: [...doc.receipts],
+    anchors: [...doc.anchors],
+    changedAnchors: [...doc.changedAnchors],
+    people: presence.serialize(doc.people),
+    editor: doc.editor
+  };
+}
+
+function deserializeDocument(state) {
+  return {
+    ...state,
+    receipts: new Map(state.receipts),
+    anchors: new Map(state.anchors),
+    changedAnchors: new Set(state.changedAnchors),
+    people: presence.deserialize(state.people),
+    writer: false,
+    saving: Promise.resolve()
+  };
+}
+
+// Apply an operation made against `version`, transforming it past any
+// operations the client had not seen yet. The result is sanitized before it
+// is stored. Returns the operation as applied to the document and the `fix`
+// (or null) the sender must apply after its own edit to match. An `id` from
+// the client is remembered, so it can find out later whether the operation
+// arrived if the acknowledgment never did.
+function applyOperation(doc, version, op, id) {
+  if (!OT.isValid(op)) {
+    throw new Error('Invalid operation');
+  }
+
+  const missed = operationsSince(doc, version);
+  if (!missed) {
+    const error = new Error('Document version out of date');
+    error.resync = true;
+    throw error;
+  }
+
+  let transformed = op;
+  let content;
+  try {
+    for (const concurrent of missed) {
+      transformed = OT.transform(transformed, concurrent)[0];
+    }
+    content = OT.apply(doc.content, transformed);
+  } catch (err) {
+    // The client's copy no longer matches ours
+    err.resync = true;
+    throw err;
+  }
+
+  const clean = sanitizeHtml(content);
+  const fix = clean === content ? null : OT.diff(content, clean);
+  const applied = fix ? OT.compose(transformed, fix) : transformed;
+
+  doc.content = clean;
+  doc.version++;
+  doc.history.push(applied);
+  if (doc.history.length > HISTORY_LIMIT) {
+    doc.history.shift();
+  }
+  if (typeof id === 'string' && id.length <= 64) {
+    doc.receipts.set(id, { version: doc.version, fix });
+    if (doc.receipts.size > HISTORY_LIMIT) {
+      doc.receipts.delete(doc.receipts.keys().next().value);
+    }
+  }
+
+  // Keep feedback attached to the text it was about
+  doc.anchors.forEach((range, id) => {
+    const mapped = OT.transformRange(range, applied);
+    if (mapped.start !== range.start || mapped.end !== range.end) {
+      doc.anchors.set(id, mapped);
+      doc.changedAnchors.add(id);
+    }
+  });
+
+  return { op: applied, fix };
+}
+
+// Operations applied since `version`, or null if they are no longer kept
+function operationsSince(doc, version) {
+  const missed = doc.version - version;
+  if (!Number.isInteger(version) || missed < 0 || missed > doc.history.length) {
+    return null;
+  }
+  return doc.history.slice(doc.history.length - missed);
+}
+
+// What a client that last saw `version` of `instance` has missed, plus the
+// receipt of the operation it was waiting on. Null if the document has been
+// reloaded or the history no longer reaches back that far.
+function missedOperations(doc, instance, version, pendingId) {
+  if (instance !== doc.instance) return null;
+
+  const ops = operationsSince(doc, version);
+  if (!ops) return null;
+  return { ops, receipt: (pendingId && doc.receipts.get(pendingId)) || null };
+}
+
+// Bring a range a client picked at `version` up to the current content.
+// The result remembers the version it matches for trackAnchor.
+function rebaseRange(doc, version, start, end) {
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start) {
+    throw new Error('Invalid anchor');
+  }
+
+  const missed = operationsSince(doc, version);
+  if (!missed) {
+    const error = new Error('Document version out of date');
+    error.resync = true;
+    throw error;
+  }
+
+  let range = { start, end };
+  for (const op of missed) {
+    range = OT.transformRange(range, op);
+  }
+  if (range.end > doc.content.length) {
+    throw new Error('Invalid anchor');
+  }
+
+  return { ...range, version: doc.version };
+}
+
+// All anchors as a plain object, for clients joining the document
+function getAnchors(doc) {
+  const anchors = {};
+  doc.anchors.forEach((range, id) => {
+    anchors[id] = range;
+  });
+  return anchors;
+}
+
+// Line number of a position, counted the same way as the revision diff
+function lineAt(content, position) {
+  // The marker stops a line break right before the position from being trimmed
+  return htmlToLines(content.slice(0, position) + '\u0000').length;
+}
+
+// First position on a line (or the end of the content if there is no such line)
+function lineStart(content, lineNumber) {
+  let low = 0;
+  let high = content.length;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (lineAt(content, middle) >= lineNumber) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return low;
+}
+
+// Queue a database write for a document; writes run one at a time per notepad
+function queueWrite(doc, write) {
+  doc.saving = doc.saving
+    .then(write)
+    .catch((err) => console.error('Error saving notepad:', err));
+  return doc.saving;
+}
+
+// Queue a write of the current content and moved anchors
+function saveDocument(doc) {
+  const content = doc.content;
+  const editor = doc.editor;
+  const anchors = [...doc.changedAnchors].map((id) => {
+    const range = doc.anchors.get(id);
+    return { id, start: range.start, end: range.end, lineNumber: lineAt(content, range.start) };
+  });
+  doc.changedAnchors.clear();
+
+  return queueWrite(doc, async () => {
+    await db.updateNotepad(doc.id, content, editor);
+    if (anchors.length) {
+      await db.updateFeedbackAnchors(doc.id, anchors);
+    }
+  });
+}
+
+// Take over saving a notepad whose writer left. Its last changes may not
+// have been written, so everything is saved straight away.
+async function claimWriter(doc) {
+  if (doc.writer || doc.claiming) return;
+  doc.claiming = true;
+  try {
+    const locked = await bus.lock(writerLock(doc.id));
+    if (!locked) return;
+    if (replicas.get(doc.id) !== doc) {
+      await bus.unlock(writerLock(doc.id));
+      return;
+    }
+    doc.writer = true;
+    queueWrite(doc, () => db.updateNotepadMode(doc.id, doc.mode));
+    saveDocument(doc);
+  } catch (err) {
+    console.error('Error taking over notepad:', err);
+  } finally {
+    doc.claiming = false;
+  }
+}
+
+// Changes to a document arrive as bus messages with a `notepad` id. Each
+// handler runs in every process with a copy and must do the same thing in
+// all of them; what it returns goes to the sender's callback.
+let notifications = null;
+
+function notify(...args) {
+  notifications.push(args);
+}
+
+const handlers = {
+  'collab:op'(doc, message) {
+    const result = applyOperation(doc, message.version, message.op, message.id);
+    changed(doc, result.op, message);
+    return { ...result, version: doc.version };
+  },
+
+  'collab:replace'(doc, message) {
+    const { op } = applyOperation(doc, doc.version, OT.diff(doc.content, message.content));
+    changed(doc, op, message);
+    return op;
+  },
+
+  // Clients switch their editor first, then receive the converted content
+  'collab:mode'(doc, message) {
+    if (doc.mode === message.mode) return false;
+    doc.mode = message.mode;
+    notify('mode', doc, { mode: message.mode, editor: message.editor });
+    if (doc.writer) {
+      queueWrite(doc, () => db.updateNotepadMode(doc.id, message.mode));
+    }
+
+    const content = markdown.convertContent(doc.content, message.mode);
+    const { op } = applyOperation(doc, doc.version, OT.diff(doc.content, content));
+    changed(doc, op, message);
+    return true;
+  },
+
+  // Start mapping a new thread's anchor through edits. Edits made while the
+  // thread was being stored are applied first.
+  'collab:anchor'(doc, message) {
+    const { range, feedback } = message;
+    let current = { start: range.start, end: range.end };
+    for (const op of operationsSince(doc, range.version) || []) {
+      current = OT.transformRange(current, op);
+    }
+
+    doc.anchors.set(feedback.id, current);
+    if (current.start !== range.start || current.end !== range.end) {
+      doc.changedAnchors.add(feedback.id);
+    }
+    notify('anchor', doc, { ...feedback, anchorStart: current.start, anchorEnd: current.end });
+    return current;
+  },
+
+  'collab:drop-anchor'(doc, message) {
+    doc.anchors.delete(message.feedbackId);
+    doc.changedAnchors.delete(message.feedbackId);
+  },
+
+  'collab:join'(doc, message) {
+    const entry = presence.join(
+      doc.people, message.session, `${message.from}:${message.socket}`, { username: message.username }, message.id
+    );
+    // Told after the sender's ack, so cursors line up with the content it got
+    notify('presence', doc);
+    return entry;
+  },
+
+  'collab:leave'(doc, message) {
+    if (presence.leave(doc.people, message.session, `${message.from}:${message.socket}`)) {
+      notify('presence', doc);
+    }
+  },
+
+  // Carets and selections arrive at the sender's version
+  'collab:cursor'(doc, message) {
+    const entry = doc.people.get(message.session);
+    if (!entry) return;
+
+    const range = message.start === null ? null : rebaseRange(doc, message.version, message.start, message.end);
+    entry.cursor = range && { start: range.start, end: range.end };
+    notify('cursor', doc, { id: entry.id, cursor: entry.cursor, socket: message.socket });
+  },
+
+  'collab:typing'(doc, message) {
+    const entry = doc.people.get(message.session);
+    if (!entry || entry.typing === message.typing) return;
+
+    entry.typing = message.typing;
+    notify('typing', doc, { id: entry.id, typing: entry.typing, socket: message.socket });
+  },
+
+  // Another process wants a copy; the writer sends it as of this message
+  'collab:open'(doc, message) {
+    if (!doc.writer) return;
+    bus.publish('collab:state', { notepad: doc.id, after: message.nonce, state: serializeDocument(doc) })
+      .catch((err) => console.error('Error sending notepad:', err));
+  },
+
+  'collab:close'(doc) {
+    claimWriter(doc);
+  }
+};
+
+// After an operation: move cursors, tell local sockets and save
+function changed(doc, op, message) {
+  presence.mapCursors(doc.people, op);
+  doc.editor = message.editor;
+  notify('operation', doc, {
+    op,
+    version: doc.version,
+    editor: message.editor,
+    timestamp: message.timestamp,
+    socket: message.socket
+  });
+  if (doc.writer) {
+    saveDocument(doc);
+  }
+}
+
+function applyMessage(doc, message) {
+  notifications = [];
+  let result;
+  let error = null;
+  try {
+    result = handlers[message.type](doc, message);
+  } catch (err) {
+    error = err;
+  }
+  const pending = notifications;
+  notifications = null;
+
+  // The sender hears back before anyone is told, so its reply comes first
+  const callback = message.from === bus.id && requests.get(message.request);
+  if (callback) {
+    requests.delete(message.request);
+    callback(error, result);
+  }
+  pending.forEach(args => events.emit(...args));
+}
+
+function receiveMessage(message) {
+  const pending = opening.get(message.notepad);
+  if (pending) {
+    if (message.type === 'collab:open' && message.nonce === pending.nonce) {
+      pending.seen = true;
+    } else if (pending.seen) {
+      pending.buffer.push(message);
+    }
+    return;
+  }
+
+  const doc = replicas.get(message.notepad);
+  if (doc) {
+    applyMessage(doc, message);
+  } else if (message.from === bus.id && requests.has(message.request)) {
+    const callback = requests.get(message.request);
+    requests.delete(message.request);
+    callback(new Error('Notepad is not open'));
+  }
+}
+
+Object.keys(handlers).forEach(type => bus.on(type, receiveMessage));
+
+// A copy we asked for: use it if it was made right after our request
+bus.on('collab:state', (message) => {
+  const pending = opening.get(message.notepad);
+  if (!pending || !pending.seen || message.after !== pending.nonce) return;
+
+  opening.delete(message.notepad);
+  const doc = deserializeDocument(message.state);
+  replicas.set(doc.id, doc);
+  pending.buffer.forEach(buffered => applyMessage(doc, buffered));
+  pending.resolve(doc);
+});
+
+// Sockets on a process that stopped are gone, and it may have been the writer
+bus.on('process-gone', (message) => {
+  replicas.forEach((doc) => {
+    if (presence.leaveProcess(doc.people, message.process)) {
+      events.emit('presence', doc);
+    }
+    claimWriter(doc);
+  });
+});
+
+// Locks went with the bus connection, so the copies can't be trusted
+bus.on('reset', () => {
+  const notepadIds = [...replicas.keys()];
+  replicas.clear();
+  Object.keys(documents).forEach(id => delete documents[id]);
+
+  const error = new Error('Lost connection to the other servers');
+  opening.forEach(pending => pending.reject(error));
+  opening.clear();
+  requests.forEach(callback => callback(error));
+  requests.clear();
+
+  events.emit('reset', notepadIds);
+});
+
+// Publish a change and call back once it has been applied here. The callback
+// runs synchronously as the message is applied, before later changes.
+function send(doc, type, data, callback) {
+  const request = nanoid();
+  requests.set(request, callback);
+  bus.publish(type, { ...data, notepad: doc.id, request }).catch((err) => {
+    requests.delete(request);
+    callback(err);
+  });
+}
+
+// Promise version of send
+function sendAndWait(doc, type, data) {
+  return new Promise((resolve, reject) => {
+    send(doc, type, data, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+}
+
+// Publish a change nobody waits for; the notepad need not be open here
+function post(notepadId, type, data) {
+  bus.publish(type, { ...data, notepad: notepadId })
+    .catch((err) => console.error('Error publishing change:', err));
+}
+
+// Apply a client's operation (see applyOperation). `data` is
+// { version, op, id, editor, socket }; the callback gets { op, fix, version }.
+function receiveOperation(doc, data, callback) {
+  send(doc, 'collab:op', { ...data, timestamp: new Date().toISOString() }, callback);
+}
+
+// Replace the whole document (e.g. restoring a revision) as a normal operation
+function replaceContent(doc, content, editor) {
+  return sendAndWait(doc, 'collab:replace', { content, editor, timestamp: new Date().toISOString() });
+}
+
+// Switch between rich text and Markdown, converting the content.
+// Resolves to false if the document was already in that mode.
+function changeMode(doc, mode, editor) {
+  return sendAndWait(doc, 'collab:mode', { mode, editor, timestamp: new Date().toISOString() });
+}
+
+// Anchor a new thread at a range from rebaseRange; resolves to the range
+// as it is once the thread is tracked
+function trackAnchor(doc, feedback, range) {
+  return sendAndWait(doc, 'collab:anchor', { feedback, range });
+}
+
+// Stop tracking a deleted thread
+function dropAnchor(notepadId, feedbackId) {
+  post(notepadId, 'collab:drop-anchor', { feedbackId });
+}
+
+// Add a socket to the presence room. The callback gets the person's entry.
+function joinPresence(doc, sessionId, socketId, user, callback) {
+  send(doc, 'collab:join', { session: sessionId, socket: socketId, username: user.username, id: nanoid(8) }, callback);
+}
+
+function leavePresence(notepadId, sessionId, socketId) {
+  post(notepadId, 'collab:leave', { session: sessionId, socket: socketId });
+}
+
+// A caret or selection at `version`, or null start for none
+function setCursor(notepadId, sessionId, socketId, version, start, end) {
+  post(notepadId, 'collab:cursor', { session: sessionId, socket: socketId, version, start, end });
+}
+
+function setTyping(notepadId, sessionId, socketId, typing) {
+  post(notepadId, 'collab:typing', { session: sessionId, socket: socketId, typing });
+}
+
+// Drop a notepad from memory, unless someone rejoined in the meantime.
+// Its pending writes finish before the next load can start, here or in
+// another process.
+async function unloadDocument(notepadId, isIdle) {
+  const pending = documents[notepadId];
+  if (!pending) return;
+
+  let doc;
+  try {
+    doc = await pending;
+  } catch (err) {
+    // Load failed, nothing to flush
+    return;
+  }
+  if (documents[notepadId] !== pending || !isIdle()) return;
+
+  delete documents[notepadId];
+  replicas.delete(notepadId);
+  unloading[notepadId] = (async () => {
+    await doc.saving;
+    if (doc.writer) {
+      await bus.unlock(writerLock(notepadId));
+    }
+    await bus.unlock(memberLock(notepadId), { shared: true });
+    await bus.publish('collab:close', { notepad: notepadId });
+  })().catch((err) => {
+    console.error('Error closing notepad:', err);
+  }).finally(() => {
+    delete unloading[notepadId];
+  });
+}
+
+module.exports = {
+  events,
+  loadDocument,
+  receiveOperation,
+  missedOperations,
+  replaceContent,
+  changeMode,
+  rebaseRange,
+  trackAnchor,
+  dropAnchor,
+  getAnchors,
+  lineAt,
+  joinPresence,
+  leavePresence,
+  setCursor,
+  setTyping,
+  unloadDocument
+};
@@ -0,0 +1,324 @@
+// Convert editor HTML to Markdown or plain text
+//
+// Content is sanitized first, so only allowed elements reach the converter
+// and every tag is well formed.
+const { sanitizeHtml } = require('./sanitize');
+
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img']);
+
+const BLOCK_ELEMENTS = new Set([
+  'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'blockquote', 'pre', 'hr', 'table',
+  'video', 'audio', 'iframe'
+]);
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+const YOUTUBE_EMBED = /^https:\/\/www\.youtube(?:-nocookie)?\.com\/embed\/([\w-]+)/;
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    const named = NAMED_ENTITIES[ref.toLowerCase()];
+    return named === undefined ? match : named;
+  }).replace(/\u00a0/g, ' ');
+}
+
+// Build a tree of { tag, attributes, children } and text strings
+function parse(html) {
+  const root = { tag: null, attributes: {}, children: [] };
+  const stack = [root];
+  const pattern = /<(\/?)([a-z0-9]+)((?:\s+[a-z-]+="[^"]*")*)\s*>|([^<]+)/gi;
+  let match;
+
+  while ((match = pattern.exec(html))) {
+    const parent = stack[stack.length - 1];
+
+    if (match[4] !== undefined) {
+      parent.children.push(decodeEntities(match[4]));
+    } else if (match[1]) {
+      if (stack.length > 1 && parent.tag === match[2].toLowerCase()) stack.pop();
+    } else {
+      const attributes = {};
+      match[3].replace(/([a-z-]+)="([^"]*)"/gi, (all, name, value) => {
+        attributes[name.toLowerCase()] = decodeEntities(value);
+      });
+
+      const node = { tag: match[2].toLowerCase(), attributes, children: [] };
+      parent.children.push(node);
+      if (!VOID_ELEMENTS.has(node.tag)) stack.push(node);
+    }
+  }
+
+  return root;
+}
+
+function textContent(node) {
+  if (typeof node === 'string') return node;
+  return node.children.map(textContent).join('');
+}
+
+// Watch page for a YouTube embed URL, or null
+function youtubeWatchUrl(src) {
+  const embed = YOUTUBE_EMBED.exec(src || '');
+  return embed ? `https://www.youtube.com/watch?v=${embed[1]}` : null;
+}
+
+// Escape characters that Markdown would read as formatting
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_[\]<]/g, '\\$&');
+}
+
+// Escape line starts that would become headings, lists or quotes
+function escapeLineStart(line) {
+  return line.replace(/^(\s*)(#|>|[-+](?=\s)|\d+(?=\.\s))/, '$1\\$2');
+}
+
+// Wrap inline text in a marker, keeping edge spaces outside it
+function wrapInline(text, marker) {
+  const match = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+  if (!match[2]) return text;
+  return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+}
+
+// Fence long enough not to clash with backticks in the text
+function fence(text, minimum) {
+  const runs = text.match(/`+/g) || [];
+  const longest = runs.reduce((max, run) => Math.max(max, run.length), 0);
+  return '`'.repeat(Math.max(minimum, longest + 1));
+}
+
+// Keep a URL from ending the Markdown link it sits in
+function escapeUrl(url) {
+  return url.replace(/\(/g, '%28').replace(/\)/g, '%29').replace(/\s/g, '%20');
+}
+
+function mediaLabel(tag) {
+  return tag === 'video' ? 'Video' : 'Audio';
+}
+
+// Turns a parsed tree into Markdown (or plain text when `plain` is set).
+// Inline content collects into `inline`, where '\n' marks a line break;
+// block elements flush it and add finished blocks to `blocks`.
+class Converter {
+  constructor(plain) {
+    this.plain = plain;
+  }
+
+  convert(node, separator = '\n\n') {
+    const state = { blocks: [], inline: '' };
+    node.children.forEach(child => this.visit(child, state));
+    this.flush(state);
+    return state.blocks.join(separator);
+  }
+
+  // Finish the paragraph being collected. Blank lines (e.g. empty editor
+  // lines) split it into separate paragraphs.
+  flush(state) {
+    const hardBreak = this.plain ? '\n' : '  \n';
+    let lines = [];
+
+    const endParagraph = () => {
+      if (lines.length) state.blocks.push(lines.join(hardBreak));
+      lines = [];
+    };
+
+    state.inline.split('\n').forEach(line => {
+      if (line.trim()) {
+        lines.push(this.plain ? line.replace(/\s+$/, '') : escapeLineStart(line.trim()));
+      } else {
+        endParagraph();
+      }
+    });
+    endParagraph();
+    state.inline = '';
+  }
+
+  // Start a new line unless we are already at the start of one
+  newLine(state) {
+    if (state.inline && !state.inline.endsWith('\n')) state.inline += '\n';
+  }
+
+  visit(node, state) {
+    if (typeof node === 'string') {
+      state.inline += this.plain ? node : escapeMarkdown(node);
+      return;
+    }
+
+    if (BLOCK_ELEMENTS.has(node.tag)) {
+      this.flush(state);
+      const block = this.block(node);
+      if (block.trim()) state.blocks.push(block);
+      return;
+    }
+
+    if (node.tag === 'div' || node.tag === 'li') {
+      // Editor lines are divs; each one is its own line
+      this.newLine(state);
+      node.children.forEach(child => this.visit(child, state));
+      this.newLine(state);
+      return;
+    }
+
+    state.inline += this.inline(node);
+  }
+
+  // Inline elements; returns text to append
+  inline(node) {
+    const { plain } = this;
+    const content = () => {
+      const inner = { blocks: [], inline: '' };
+      node.children.forEach(child => this.visit(child, inner));
+      // Blocks inside inline elements become their own lines
+      return inner.blocks.concat(inner.inline).join('\n');
+    };
+
+    switch (node.tag) {
+      case 'br':
+        return '\n';
+      case 'button':
+        // Delete buttons on media wrappers
+        return '';
+      case 'b':
+      case 'strong':
+        return plain ? content() : wrapInline(content(), '**');
+      case 'i':
+      case 'em':
+        return plain ? content() : wrapInline(content(), '*');
+      case 's':
+      case 'strike':
+        return plain ? content() : wrapInline(content(), '~~');
+      case 'code': {
+        const code = textContent(node);
+        if (plain) return code;
+        const marker = fence(code, 1);
+        const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+        return `${marker}${padding}${code}${padding}${marker}`;
+      }
+      case 'a': {
+        const text = content();
+        const { href, title } = node.attributes;
+        if (!href) return text;
+        if (plain) return text && text !== href ? `${text} (${href})` : href;
+        if (textContent(node) === href) return `<${href}>`;
+        const titlePart = title ? ` "${title.replace(/"/g, '\\"')}"` : '';
+        return `[${text}](${escapeUrl(href)}${titlePart})`;
+      }
+      case 'img': {
+        const { src, alt = '' } = node.attributes;
+        if (!src) return '';
+        if (plain) return alt ? `${alt} (${src})` : src;
+        return `![${escapeMarkdown(alt)}](${escapeUrl(src)})`;
+      }
+      default:
+        // span, u, mark, sub, sup and anything else keep only their content
+        return content();
+    }
+  }
+
+  // Block elements; returns a finished block
+  block(node) {
+    const { plain } = this;
+
+    switch (node.tag) {
+      case 'p':
+        return this.convert(node);
+      case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+        const text = this.convert(node, ' ').replace(/\s*\n\s*/g, ' ');
+        return plain ? text : `${'#'.repeat(Number(node.tag[1]))} ${text}`;
+      }
+      case 'ul':
+      case 'ol':
+        return this.list(node);
+      case 'blockquote':
+        return this.convert(node).split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+      case 'pre': {
+        const code = textContent(node).replace(/\n$/, '');
+        if (plain) return code;
+        const codeElement = node.children.find(child => child.tag === 'code');
+        const language = codeElement && /language-([\w-]+)/.exec(codeElement.attributes.class || '');
+        const marker = fence(code, 3);
+        return `${marker}${language ? language[1] : ''}\n${code}\n${marker}`;
+      }
+      case 'hr':
+        return '---';
+      case 'table':
+        return this.table(node);
+      case 'video':
+      case 'audio': {
+        const { src } = node.attributes;
+        if (!src) return '';
+        return plain ? `${mediaLabel(node.tag)}: ${src}` : `[${mediaLabel(node.tag)}](${escapeUrl(src)})`;
+      }
+      case 'iframe': {
+        const url = youtubeWatchUrl(node.attributes.src);
+        if (!url) return '';
+        return plain ? `YouTube: ${url}` : `[YouTube video](${url})`;
+      }
+      default:
+        return this.convert(node);
+    }
+  }
+
+  list(node) {
+    const ordered = node.tag === 'ol';
+    let number = 0;
+
+    return node.children
+      .filter(child => typeof child !== 'string' || child.trim())
+      .map(child => {
+        const item = typeof child === 'string' ? { children: [child] } : child;
+        const marker = ordered ? `${++number}. ` : '- ';
+        const indent = ' '.repeat(marker.length);
+        // Items are tight: their blocks are separated by single newlines
+        const text = this.convert(item, '\n');
+        return text.split('\n')
+          .map((line, index) => (index === 0 ? marker + line : line ? indent + line : line))
+          .join('\n');
+      })
+      .join('\n');
+  }
+
+  table(node) {
+    const rows = [];
+    const collect = (parent) => parent.children.forEach(child => {
+      if (typeof child === 'string') return;
+      if (child.tag === 'tr') {
+        rows.push(child.children
+          .filter(cell => cell.tag === 'th' || cell.tag === 'td')
+          .map(cell => this.convert(cell, ' ').replace(/\s*\n\s*/g, ' ')));
+      } else {
+        collect(child);
+      }
+    });
+    collect(node);
+
+    if (!rows.length) return '';
+    if (this.plain) return rows.map(row => row.join('\t')).join('\n');
+
+    const escaped = rows.map(row => row.map(cell => cell.replace(/\|/g, '\\|')));
+    const width = Math.max(...escaped.map(row => row.length));
+    const line = cells => `| ${Array.from({ length: width }, (x, i) => cells[i] || '').join(' | ')} |`;
+    return [line(escaped[0]), line(Array(width).fill('---'))].concat(escaped.slice(1).map(line)).join('\n');
+  }
+}
+
+// Convert editor HTML to Markdown
+function htmlToMarkdown(html) {
+  return new Converter(false).convert(parse(sanitizeHtml(html)));
+}
+
+// Convert editor HTML to plain text
+function htmlToText(html) {
+  return new Converter(true).convert(parse(sanitizeHtml(html)));
+}
+
+module.exports = {
+  parse,
+  textContent,
+  youtubeWatchUrl,
+  htmlToMarkdown,
+  htmlToText
+};
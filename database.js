@@ -2,9 +2,10 @@ const path = require('path');
 const bcrypt = require('bcrypt');
 
 // Database configuration
-const isProduction = process.env.NODE_ENV === 'production' || process.env.DATABASE_URL;
+const isProduction = !!(process.env.NODE_ENV === 'production' || process.env.DATABASE_URL);
 let db;
 let query; // Unified query function
+let transaction; // transaction(work): runs work(query) so all of it is kept or none
 
 if (isProduction) {
   // PostgreSQL (Production)
@@ -25,21 +26,41 @@ if (isProduction) {
     }
   });
   
+  // Convert ? parameters to $1, $2, etc.
+  const toPgText = (text) => {
+    let paramIndex = 1;
+    return text.replace(/\?/g, () => `$${paramIndex++}`);
+  };
+
   // Wrapper for PG queries
   query = async (text, params) => {
-    // Convert ? parameters to $1, $2, etc.
-    let paramIndex = 1;
-    const pgText = text.replace(/\?/g, () => `$${paramIndex++}`);
-    const res = await pool.query(pgText, params);
+    const res = await pool.query(toPgText(text), params);
     return res;
   };
 
+  // A transaction needs one connection from the pool for all of it
+  transaction = async (work) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work((text, params) => client.query(toPgText(text), params));
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  };
+
   db = pool;
   console.log('Using PostgreSQL database');
 } else {
   // SQLite (Development)
   const sqlite3 = require('sqlite3').verbose();
-  const DB_PATH = path.join(__dirname, 'notepad.db');
+  // SQLITE_PATH puts the file elsewhere, e.g. a temporary one for tests
+  const DB_PATH = process.env.SQLITE_PATH || path.join(__dirname, 'notepad.db');
   const sqliteDb = new sqlite3.Database(DB_PATH);
   
   // Wrapper for SQLite queries to match generic interface
@@ -56,6 +77,25 @@ if (isProduction) {
     });
   };
 
+  // There is only the one connection, so transactions take turns; other
+  // statements sent while one is open become part of it
+  let transactions = Promise.resolve();
+  transaction = (work) => {
+    const run = transactions.then(async () => {
+      await query('BEGIN');
+      try {
+        const result = await work(query);
+        await query('COMMIT');
+        return result;
+      } catch (err) {
+        await query('ROLLBACK');
+        throw err;
+      }
+    });
+    transactions = run.catch(() => {});
+    return run;
+  };
+
   db = sqliteDb;
   console.log('Using SQLite database');
 }
@@ -69,7 +109,11 @@ async function initializeDatabase() {
       content TEXT DEFAULT '',
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      last_editor TEXT
+      last_editor TEXT,
+      mode TEXT DEFAULT 'rich',
+      expires_at TIMESTAMP, -- deleted once this passes (see lifecycle.js)
+      burn_after_reading ${isProduction ? 'BOOLEAN DEFAULT FALSE' : 'BOOLEAN DEFAULT 0'},
+      burned_at TIMESTAMP   -- first opened by someone other than the owner
     )`,
     
     // Users table
@@ -79,6 +123,7 @@ async function initializeDatabase() {
       username TEXT,
       password_hash TEXT,
       is_alternate ${isProduction ? 'BOOLEAN DEFAULT FALSE' : 'BOOLEAN DEFAULT 0'},
+      role TEXT,
       FOREIGN KEY (notepad_id) REFERENCES notepads(id),
       UNIQUE(notepad_id, username)
     )`,
@@ -91,7 +136,15 @@ async function initializeDatabase() {
       reaction TEXT,
       comment TEXT,
       username TEXT,
+      user_id INTEGER,
+      parent_id INTEGER,
+      resolved ${isProduction ? 'BOOLEAN DEFAULT FALSE' : 'BOOLEAN DEFAULT 0'},
+      resolved_by TEXT,
+      anchor_start INTEGER,
+      anchor_end INTEGER,
+      quote TEXT,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP,
       FOREIGN KEY (notepad_id) REFERENCES notepads(id)
     )`,
 
@@ -103,15 +156,125 @@ async function initializeDatabase() {
       filepath TEXT,
       mimetype TEXT,
       size INTEGER,
+      width INTEGER,
+      height INTEGER,
+      variant_of INTEGER, -- the original, for resized copies of images
+      variant TEXT,       -- 'web' or 'thumb'
       uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (notepad_id) REFERENCES notepads(id)
+    )`,
+
+    // Chunked uploads still on their way in (see the uploads routes)
+    `CREATE TABLE IF NOT EXISTS upload_sessions (
+      id TEXT PRIMARY KEY,
+      notepad_id TEXT,
+      user_id INTEGER,
+      filename TEXT,
+      mimetype TEXT,
+      size INTEGER,
+      received INTEGER DEFAULT 0, -- bytes stored so far, all in order
+      status TEXT DEFAULT 'receiving', -- 'completing' while the file is being stored
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (notepad_id) REFERENCES notepads(id)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS upload_chunks (
+      upload_id TEXT,
+      start_byte INTEGER,
+      data ${isProduction ? 'BYTEA' : 'BLOB'},
+      FOREIGN KEY (upload_id) REFERENCES upload_sessions(id),
+      UNIQUE(upload_id, start_byte)
+    )`,
+
+    // Revisions table (one row per burst of edits)
+    `CREATE TABLE IF NOT EXISTS revisions (
+      id ${isProduction ? 'SERIAL' : 'INTEGER'} PRIMARY KEY,
+      notepad_id TEXT,
+      content TEXT,
+      editor TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (notepad_id) REFERENCES notepads(id)
+    )`,
+
+    // Wrong passwords, for owners to see (see throttle.js)
+    `CREATE TABLE IF NOT EXISTS failed_sign_ins (
+      id ${isProduction ? 'SERIAL' : 'INTEGER'} PRIMARY KEY,
+      notepad_id TEXT,
+      username TEXT,
+      ip TEXT,
+      attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (notepad_id) REFERENCES notepads(id)
+    )`,
+
+    // Sign-in attempts per IP address and per notepad, for the database store
+    `CREATE TABLE IF NOT EXISTS auth_limits (
+      limit_key TEXT PRIMARY KEY, -- 'ip:...' or 'notepad:...'
+      failures INTEGER DEFAULT 0,
+      last_attempt TIMESTAMP
     )`
   ];
 
+  // Columns added after tables were first created in existing databases
+  const migrations = [
+    'ALTER TABLE users ADD COLUMN role TEXT',
+    'ALTER TABLE feedback ADD COLUMN user_id INTEGER',
+    'ALTER TABLE feedback ADD COLUMN parent_id INTEGER',
+    `ALTER TABLE feedback ADD COLUMN resolved ${isProduction ? 'BOOLEAN DEFAULT FALSE' : 'BOOLEAN DEFAULT 0'}`,
+    'ALTER TABLE feedback ADD COLUMN resolved_by TEXT',
+    'ALTER TABLE feedback ADD COLUMN updated_at TIMESTAMP',
+    'ALTER TABLE feedback ADD COLUMN anchor_start INTEGER',
+    'ALTER TABLE feedback ADD COLUMN anchor_end INTEGER',
+    'ALTER TABLE feedback ADD COLUMN quote TEXT',
+    "ALTER TABLE notepads ADD COLUMN mode TEXT DEFAULT 'rich'",
+    'ALTER TABLE files ADD COLUMN width INTEGER',
+    'ALTER TABLE files ADD COLUMN height INTEGER',
+    'ALTER TABLE files ADD COLUMN variant_of INTEGER',
+    'ALTER TABLE files ADD COLUMN variant TEXT',
+    'ALTER TABLE notepads ADD COLUMN expires_at TIMESTAMP',
+    `ALTER TABLE notepads ADD COLUMN burn_after_reading ${isProduction ? 'BOOLEAN DEFAULT FALSE' : 'BOOLEAN DEFAULT 0'}`,
+    'ALTER TABLE notepads ADD COLUMN burned_at TIMESTAMP',
+    "ALTER TABLE upload_sessions ADD COLUMN status TEXT DEFAULT 'receiving'"
+  ];
+
   try {
     for (const statement of schema) {
       await query(statement);
     }
+    for (const statement of migrations) {
+      try {
+        await query(statement);
+      } catch (err) {
+        if (!/duplicate column|already exists/i.test(err.message)) throw err;
+      }
+    }
+
+    // Users from before roles existed edit. Databases from before that kept
+    // owners in an is_owner column; they stay owners.
+    if (await hasColumn('users', 'is_owner')) {
+      await query(
+        `UPDATE users SET role = CASE WHEN is_owner = ? THEN 'owner' ELSE 'editor' END WHERE role IS NULL`,
+        [toDbBoolean(true)]
+      );
+    } else {
+      await query(`UPDATE users SET role = 'editor' WHERE role IS NULL`);
+    }
+
+    // Notepads created before owners existed: their first regular user owns them
+    await query(
+      `UPDATE users SET role = 'owner' WHERE id IN (
+        SELECT MIN(id) FROM users WHERE is_alternate = ? GROUP BY notepad_id
+      ) AND notepad_id NOT IN (SELECT notepad_id FROM users WHERE role = 'owner')`,
+      [toDbBoolean(false)]
+    );
+
+    // Revisions written with ISO times: store them the way CURRENT_TIMESTAMP does
+    if (!isProduction) {
+      for (const column of ['created_at', 'updated_at']) {
+        await query(`UPDATE revisions SET ${column} = REPLACE(SUBSTR(${column}, 1, 19), 'T', ' ') WHERE ${column} LIKE '%T%'`);
+      }
+    }
     console.log('Database initialized successfully');
     await initializeMainNotepad();
   } catch (err) {
@@ -119,7 +282,43 @@ async function initializeDatabase() {
   }
 }
 
-// Initialize the main notepad with fixed credentials
+// Whether a table has a column, for migrations that depend on old columns
+async function hasColumn(table, column) {
+  const res = isProduction
+    ? await query('SELECT column_name AS name FROM information_schema.columns WHERE table_name = ?', [table])
+    : await query('SELECT name FROM pragma_table_info(?)', [table]);
+  return res.rows.some(row => row.name === column);
+}
+
+// Run an INSERT and return the new row's ID
+async function insertRow(text, params) {
+  // Postgres needs RETURNING id, the SQLite wrapper reports this.lastID
+  const res = await query(isProduction ? `${text} RETURNING id` : text, params);
+  return isProduction ? res.rows[0].id : res.rows.id;
+}
+
+// Postgres has real booleans, SQLite stores 1/0
+function toDbBoolean(value) {
+  return isProduction ? !!value : (value ? 1 : 0);
+}
+
+function fromDbBoolean(value) {
+  return isProduction ? !!value : value === 1;
+}
+
+// A time to store or compare with CURRENT_TIMESTAMP columns. SQLite keeps
+// those as 'YYYY-MM-DD HH:MM:SS' text in UTC.
+function toDbTime(time) {
+  return isProduction ? time : time.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function fromDbTime(value) {
+  return isProduction ? new Date(value) : new Date(`${value.replace(' ', 'T')}Z`);
+}
+
+// Initialize the main notepad with credentials from the environment:
+// MAIN_NOTEPAD_USER / MAIN_NOTEPAD_PASSWORD for the owner and optionally
+// MAIN_NOTEPAD_ALT_USER / MAIN_NOTEPAD_ALT_PASSWORD for the decoy user
 async function initializeMainNotepad() {
   try {
     const existing = await getNotepad('main');
@@ -128,52 +327,64 @@ async function initializeMainNotepad() {
       return;
     }
 
-    await query('INSERT INTO notepads (id, content) VALUES (?, ?)', ['main', '']);
+    if (!process.env.MAIN_NOTEPAD_PASSWORD) {
+      console.log('Main notepad not created: MAIN_NOTEPAD_PASSWORD is not set');
+      return;
+    }
 
-    const mainHash = await bcrypt.hash('idk', 10);
-    const altHash = await bcrypt.hash('tes', 10);
+    await query('INSERT INTO notepads (id, content) VALUES (?, ?)', ['main', '']);
+    await query('INSERT INTO notepads (id, content) VALUES (?, ?)', [getDocumentId('main', true), '']);
 
-    const users = [
-      { username: 'sabs', hash: mainHash, isAlt: isProduction ? false : 0 },
-      { username: 'separate', hash: altHash, isAlt: isProduction ? true : 1 }
-    ];
+    await addUser('main', process.env.MAIN_NOTEPAD_USER || 'owner', process.env.MAIN_NOTEPAD_PASSWORD, {
+      role: 'owner'
+    });
 
-    for (const user of users) {
-      await query(
-        'INSERT INTO users (notepad_id, username, password_hash, is_alternate) VALUES (?, ?, ?, ?)',
-        ['main', user.username, user.hash, user.isAlt]
-      );
+    if (process.env.MAIN_NOTEPAD_ALT_PASSWORD) {
+      await addUser('main', process.env.MAIN_NOTEPAD_ALT_USER || 'guest', process.env.MAIN_NOTEPAD_ALT_PASSWORD, {
+        isAlternate: true
+      });
     }
-    console.log('Main notepad initialized with fixed credentials');
+    console.log('Main notepad initialized from environment credentials');
   } catch (err) {
     console.error('Error initializing main notepad:', err);
   }
 }
 
-// Create a new notepad
-async function createNotepad(notepadId, password, altPassword) {
-  try {
-    await query('INSERT INTO notepads (id, content) VALUES (?, ?)', [notepadId, '']);
-    
-    const passwordHash = await bcrypt.hash(password, 10);
-    const altPasswordHash = await bcrypt.hash(altPassword, 10);
+// Create a new notepad owned by `ownerName`, with a decoy user for the alternate password
+async function createNotepad(notepadId, password, altPassword, ownerName, { expiresAt = null, burnAfterReading = false } = {}) {
+  await query(
+    'INSERT INTO notepads (id, content, expires_at, burn_after_reading) VALUES (?, ?, ?, ?)',
+    [notepadId, '', expiresAt && toDbTime(expiresAt), toDbBoolean(burnAfterReading)]
+  );
+  await query('INSERT INTO notepads (id, content) VALUES (?, ?)', [getDocumentId(notepadId, true), '']);
 
-    const users = [
-      { username: 'user1', hash: passwordHash, isAlt: isProduction ? false : 0 },
-      { username: 'user2', hash: passwordHash, isAlt: isProduction ? false : 0 },
-      { username: 'demo1', hash: altPasswordHash, isAlt: isProduction ? true : 1 },
-      { username: 'demo2', hash: altPasswordHash, isAlt: isProduction ? true : 1 }
-    ];
+  const owner = ownerName || 'user1';
+  const decoy = owner === 'demo1' ? 'demo2' : 'demo1';
 
-    for (const user of users) {
-      await query(
-        'INSERT INTO users (notepad_id, username, password_hash, is_alternate) VALUES (?, ?, ?, ?)',
-        [notepadId, user.username, user.hash, user.isAlt]
-      );
-    }
-    return { id: notepadId, users: users.map(u => u.username) };
-  } catch (err) {
-    throw err;
+  await addUser(notepadId, owner, password, { role: 'owner' });
+  await addUser(notepadId, decoy, altPassword, { isAlternate: true });
+
+  return { id: notepadId, users: [owner, decoy] };
+}
+
+// Alternate (decoy) users get their own document stored next to the real one.
+// Nanoid IDs never contain '~', so decoy IDs can't clash with real notepads.
+const DECOY_SUFFIX = '~decoy';
+
+function getDocumentId(notepadId, isAlternate) {
+  return isAlternate ? notepadId + DECOY_SUFFIX : notepadId;
+}
+
+function isDecoyId(id) {
+  return id.endsWith(DECOY_SUFFIX);
+}
+
+// Create the decoy document for notepads made before decoys were separate
+async function ensureDecoyNotepad(notepadId) {
+  const decoyId = getDocumentId(notepadId, true);
+  const existing = await getNotepad(decoyId);
+  if (!existing) {
+    await query('INSERT INTO notepads (id, content) VALUES (?, ?)', [decoyId, '']);
   }
 }
 
@@ -185,6 +396,11 @@ async function getNotepad(notepadId) {
 
 // Update notepad content
 async function updateNotepad(notepadId, content, editor) {
+  // A notepad deleted while a save was queued stays deleted
+  if (!await getNotepad(notepadId)) return;
+
+  await recordRevision(notepadId, content, editor);
+
   // Use a hacky fix for UPDATE timestamp syntax differences if needed, but standard SQL usually works
   await query(
     'UPDATE notepads SET content = ?, updated_at = CURRENT_TIMESTAMP, last_editor = ? WHERE id = ?',
@@ -192,6 +408,154 @@ async function updateNotepad(notepadId, content, editor) {
   );
 }
 
+// When a notepad goes away, as clients see it
+function formatLifecycle(row) {
+  return {
+    expiresAt: row.expires_at ? fromDbTime(row.expires_at).toISOString() : null,
+    burnAfterReading: fromDbBoolean(row.burn_after_reading),
+    burned: !!row.burned_at
+  };
+}
+
+// Whether a notepad is past its expiry and only waiting to be deleted
+function isExpired(row) {
+  return !!row.expires_at && fromDbTime(row.expires_at) <= new Date();
+}
+
+// The first time someone other than the owner opens a burn-after-reading
+// notepad: it expires at `expiresAt`. Returns false if it was already opened.
+async function burnNotepad(notepadId, expiresAt) {
+  const res = await query(
+    'UPDATE notepads SET burned_at = ?, expires_at = ? WHERE id = ? AND burned_at IS NULL',
+    [toDbTime(new Date()), toDbTime(expiresAt), notepadId]
+  );
+  return res.rowCount > 0;
+}
+
+// Notepads past their expiry at `time` (decoys go with their notepad)
+async function getExpiredNotepads(time) {
+  const res = await query(
+    'SELECT id, expires_at, burned_at FROM notepads WHERE expires_at IS NOT NULL AND expires_at <= ? ORDER BY expires_at',
+    [toDbTime(time)]
+  );
+  return res.rows;
+}
+
+// Delete a notepad and its decoy with everything in them, all at once or
+// not at all. Returns the deleted file rows, whose stored files are left
+// for the caller to remove.
+async function deleteNotepad(notepadId) {
+  const ids = [notepadId, getDocumentId(notepadId, true)];
+
+  return transaction(async (query) => {
+    const files = await query('SELECT * FROM files WHERE notepad_id IN (?, ?) ORDER BY id', ids);
+
+    await query('DELETE FROM users WHERE notepad_id = ?', [notepadId]);
+    await query(
+      'DELETE FROM upload_chunks WHERE upload_id IN (SELECT id FROM upload_sessions WHERE notepad_id IN (?, ?))',
+      ids
+    );
+    for (const table of ['upload_sessions', 'files', 'feedback', 'revisions', 'failed_sign_ins', 'notepads']) {
+      await query(`DELETE FROM ${table} WHERE ${table === 'notepads' ? 'id' : 'notepad_id'} IN (?, ?)`, ids);
+    }
+    // Its sign-in limit (see throttle.js)
+    await query('DELETE FROM auth_limits WHERE limit_key = ?', [`notepad:${notepadId}`]);
+    return files.rows;
+  });
+}
+
+// Switch a notepad between rich text and Markdown
+async function updateNotepadMode(notepadId, mode) {
+  await query('UPDATE notepads SET mode = ? WHERE id = ?', [mode, notepadId]);
+}
+
+// Saves by the same editor within this window update the latest revision
+// instead of adding a new one, up to a maximum revision age
+const REVISION_COALESCE_MS = 60 * 1000;
+const REVISION_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Record a revision for a save, coalescing bursts of keystrokes
+async function recordRevision(notepadId, content, editor) {
+  const res = await query(
+    'SELECT id, editor, created_at, updated_at FROM revisions WHERE notepad_id = ? ORDER BY id DESC LIMIT 1',
+    [notepadId]
+  );
+  const latest = res.rows[0];
+  const now = new Date();
+
+  if (!latest) {
+    // Keep whatever the notepad held before history was tracked
+    const notepad = await getNotepad(notepadId);
+    if (notepad && notepad.content) {
+      const savedAt = toDbTime(notepad.updated_at ? fromDbTime(notepad.updated_at) : now);
+      await query(
+        'INSERT INTO revisions (notepad_id, content, editor, created_at, updated_at) VALUES (?, ?, ?, ?, ?)',
+        [notepadId, notepad.content, notepad.last_editor, savedAt, savedAt]
+      );
+    }
+  } else if (
+    latest.editor === editor &&
+    now - fromDbTime(latest.updated_at) < REVISION_COALESCE_MS &&
+    now - fromDbTime(latest.created_at) < REVISION_MAX_AGE_MS
+  ) {
+    await query(
+      'UPDATE revisions SET content = ?, updated_at = ? WHERE id = ?',
+      [content, toDbTime(now), latest.id]
+    );
+    return;
+  }
+
+  await query(
+    'INSERT INTO revisions (notepad_id, content, editor, created_at, updated_at) VALUES (?, ?, ?, ?, ?)',
+    [notepadId, content, editor, toDbTime(now), toDbTime(now)]
+  );
+}
+
+// A revision row with its times as ISO strings
+function formatRevision(row) {
+  return row && {
+    ...row,
+    created_at: fromDbTime(row.created_at).toISOString(),
+    updated_at: fromDbTime(row.updated_at).toISOString()
+  };
+}
+
+// Get revision list (without content), newest first
+async function getRevisions(notepadId) {
+  const res = await query(
+    'SELECT id, editor, created_at, updated_at, LENGTH(content) AS size FROM revisions WHERE notepad_id = ? ORDER BY id DESC',
+    [notepadId]
+  );
+  return res.rows.map(formatRevision);
+}
+
+// Get a single revision with its content
+async function getRevision(notepadId, revisionId) {
+  const res = await query(
+    'SELECT * FROM revisions WHERE notepad_id = ? AND id = ?',
+    [notepadId, revisionId]
+  );
+  return formatRevision(res.rows[0]);
+}
+
+// Get every revision with its content, oldest first
+async function getRevisionContents(notepadId) {
+  const res = await query(
+    'SELECT * FROM revisions WHERE notepad_id = ? ORDER BY id',
+    [notepadId]
+  );
+  return res.rows.map(formatRevision);
+}
+
+// Get the revision saved just before the given one
+async function getPreviousRevision(notepadId, revisionId) {
+  const res = await query(
+    'SELECT * FROM revisions WHERE notepad_id = ? AND id < ? ORDER BY id DESC LIMIT 1',
+    [notepadId, revisionId]
+  );
+  return formatRevision(res.rows[0]);
+}
+
 // Verify user credentials
 async function verifyUser(notepadId, username, password) {
   const res = await query(
@@ -203,46 +567,426 @@ async function verifyUser(notepadId, username, password) {
   if (!row) return { valid: false, isAlternate: false };
 
   const valid = await bcrypt.compare(password, row.password_hash);
-  // Handle different boolean return types (Postgres returns boolean, SQLite returns 1/0)
-  const isAlt = isProduction ? row.is_alternate : (row.is_alternate === 1);
   
   return { 
     valid, 
-    isAlternate: isAlt,
-    username: row.username 
+    ...formatUser(row)
   };
 }
 
-// Add feedback
-async function addFeedback(notepadId, lineNumber, reaction, comment, username) {
-  // Postgres requires RETURNING id for insert ID, SQLite uses this.lastID
-  // We'll just execute standard INSERT and rely on wrapper for ID handling if essential, 
-  // but for feedback ID isn't critical.
+// Notepad roles, from most to least access
+const ROLES = ['owner', 'editor', 'commenter', 'viewer'];
+
+// Public view of a user row (never includes the password hash)
+function formatUser(row) {
+  const role = ROLES.includes(row.role) ? row.role : 'viewer';
+  return {
+    id: row.id,
+    username: row.username,
+    role,
+    isAlternate: fromDbBoolean(row.is_alternate),
+    isOwner: role === 'owner'
+  };
+}
+
+// Get a user of a notepad by ID
+async function getUser(notepadId, userId) {
+  const res = await query(
+    'SELECT * FROM users WHERE notepad_id = ? AND id = ?',
+    [notepadId, userId]
+  );
+  return res.rows[0] && formatUser(res.rows[0]);
+}
+
+// List everyone with access to a notepad
+async function getUsers(notepadId) {
+  const res = await query(
+    'SELECT * FROM users WHERE notepad_id = ? ORDER BY id',
+    [notepadId]
+  );
+  return res.rows.map(formatUser);
+}
+
+// Add a user with their own password
+async function addUser(notepadId, username, password, { isAlternate = false, role = 'editor' } = {}) {
+  const passwordHash = await bcrypt.hash(password, 10);
+  await query(
+    'INSERT INTO users (notepad_id, username, password_hash, is_alternate, role) VALUES (?, ?, ?, ?, ?)',
+    [notepadId, username, passwordHash, toDbBoolean(isAlternate), role]
+  );
+}
+
+// Check whether a username is taken in a notepad
+async function usernameExists(notepadId, username) {
+  const res = await query(
+    'SELECT id FROM users WHERE notepad_id = ? AND username = ?',
+    [notepadId, username]
+  );
+  return res.rows.length > 0;
+}
+
+// Change a user's password
+async function updateUserPassword(notepadId, userId, password) {
+  const passwordHash = await bcrypt.hash(password, 10);
+  await query(
+    'UPDATE users SET password_hash = ? WHERE notepad_id = ? AND id = ?',
+    [passwordHash, notepadId, userId]
+  );
+}
+
+// Rename a user
+async function renameUser(notepadId, userId, username) {
+  await query(
+    'UPDATE users SET username = ? WHERE notepad_id = ? AND id = ?',
+    [username, notepadId, userId]
+  );
+}
+
+// Change what a user may do
+async function updateUserRole(notepadId, userId, role) {
   await query(
-    'INSERT INTO feedback (notepad_id, line_number, reaction, comment, username) VALUES (?, ?, ?, ?, ?)',
-    [notepadId, lineNumber, reaction, comment, username]
+    'UPDATE users SET role = ? WHERE notepad_id = ? AND id = ?',
+    [role, notepadId, userId]
   );
 }
 
+// Revoke a user's access
+async function removeUser(notepadId, userId) {
+  await query(
+    'DELETE FROM users WHERE notepad_id = ? AND id = ?',
+    [notepadId, userId]
+  );
+}
+
+// Public view of a feedback row
+function formatFeedback(row) {
+  return {
+    id: row.id,
+    parentId: row.parent_id || null,
+    lineNumber: row.line_number,
+    reaction: row.reaction,
+    comment: row.comment,
+    username: row.username,
+    userId: row.user_id,
+    resolved: fromDbBoolean(row.resolved),
+    resolvedBy: row.resolved_by,
+    anchorStart: row.anchor_start,
+    anchorEnd: row.anchor_end,
+    quote: row.quote,
+    created_at: row.created_at && fromDbTime(row.created_at).toISOString(),
+    updated_at: row.updated_at && fromDbTime(row.updated_at).toISOString()
+  };
+}
+
+// Add feedback (a reply when parentId is set). Threads carry an anchor:
+// { start, end, quote } where start/end are offsets into the notepad content.
+async function addFeedback(notepadId, lineNumber, reaction, comment, username, userId, parentId = null, anchor = null) {
+  const id = await insertRow(
+    'INSERT INTO feedback (notepad_id, line_number, reaction, comment, username, user_id, parent_id, anchor_start, anchor_end, quote) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [
+      notepadId, lineNumber, reaction, comment, username, userId, parentId,
+      anchor ? anchor.start : null, anchor ? anchor.end : null, anchor ? anchor.quote : null
+    ]
+  );
+  return getFeedbackItem(notepadId, id);
+}
+
 // Get feedback
 async function getFeedback(notepadId) {
   const res = await query(
-    'SELECT * FROM feedback WHERE notepad_id = ? ORDER BY line_number, created_at',
+    'SELECT * FROM feedback WHERE notepad_id = ? ORDER BY line_number, created_at, id',
     [notepadId]
   );
-  return res.rows;
+  return res.rows.map(formatFeedback);
+}
+
+// Get a single feedback item
+async function getFeedbackItem(notepadId, feedbackId) {
+  const res = await query(
+    'SELECT * FROM feedback WHERE notepad_id = ? AND id = ?',
+    [notepadId, feedbackId]
+  );
+  return res.rows[0] && formatFeedback(res.rows[0]);
+}
+
+// Edit the text or reaction of a feedback item
+async function updateFeedback(notepadId, feedbackId, reaction, comment) {
+  await query(
+    'UPDATE feedback SET reaction = ?, comment = ?, updated_at = CURRENT_TIMESTAMP WHERE notepad_id = ? AND id = ?',
+    [reaction, comment, notepadId, feedbackId]
+  );
+  return getFeedbackItem(notepadId, feedbackId);
 }
 
-// Add file metadata
-async function addFile(notepadId, filename, filepath, mimetype, size) {
+// Resolve or reopen a thread
+async function setFeedbackResolved(notepadId, feedbackId, resolved, username) {
   await query(
-    'INSERT INTO files (notepad_id, filename, filepath, mimetype, size) VALUES (?, ?, ?, ?, ?)',
-    [notepadId, filename, filepath, mimetype, size]
+    'UPDATE feedback SET resolved = ?, resolved_by = ? WHERE notepad_id = ? AND id = ?',
+    [toDbBoolean(resolved), resolved ? username : null, notepadId, feedbackId]
   );
-  // Note: we're not returning ID here to keep it simple across DBs
+  return getFeedbackItem(notepadId, feedbackId);
+}
+
+// Store where thread anchors moved to after edits
+async function updateFeedbackAnchors(notepadId, anchors) {
+  for (const anchor of anchors) {
+    await query(
+      'UPDATE feedback SET anchor_start = ?, anchor_end = ?, line_number = ? WHERE notepad_id = ? AND id = ?',
+      [anchor.start, anchor.end, anchor.lineNumber, notepadId, anchor.id]
+    );
+  }
+}
+
+// Delete a feedback item together with its replies
+async function deleteFeedback(notepadId, feedbackId) {
+  await query(
+    'DELETE FROM feedback WHERE notepad_id = ? AND (id = ? OR parent_id = ?)',
+    [notepadId, feedbackId, feedbackId]
+  );
+}
+
+// Add file metadata; resized copies of an image name it in `variantOf`
+// Returns the new file's ID
+async function addFile(notepadId, filename, filepath, mimetype, size, { width = null, height = null, variantOf = null, variant = null } = {}) {
+  return insertRow(
+    'INSERT INTO files (notepad_id, filename, filepath, mimetype, size, width, height, variant_of, variant) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [notepadId, filename, filepath, mimetype, size, width, height, variantOf, variant]
+  );
+}
+
+// Fill a freshly created notepad from an archive: content, revisions and
+// feedback (thread and reply IDs are renumbered)
+async function importNotepad(notepadId, { content, mode, lastEditor, revisions, feedback }) {
+  await query(
+    'UPDATE notepads SET content = ?, mode = ?, last_editor = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [content, mode, lastEditor, notepadId]
+  );
+
+  for (const revision of revisions) {
+    await query(
+      'INSERT INTO revisions (notepad_id, content, editor, created_at, updated_at) VALUES (?, ?, ?, ?, ?)',
+      [notepadId, revision.content, revision.editor, toDbTime(new Date(revision.createdAt)), toDbTime(new Date(revision.updatedAt))]
+    );
+  }
+
+  const ids = new Map();
+  const threadsFirst = [...feedback].sort((a, b) => (a.parentId ? 1 : 0) - (b.parentId ? 1 : 0));
+  for (const item of threadsFirst) {
+    const parentId = item.parentId ? ids.get(item.parentId) : null;
+    if (item.parentId && !parentId) continue;
+
+    const id = await insertRow(
+      'INSERT INTO feedback (notepad_id, line_number, reaction, comment, username, parent_id, resolved, resolved_by, anchor_start, anchor_end, quote, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [
+        notepadId, item.lineNumber, item.reaction, item.comment, item.username, parentId,
+        toDbBoolean(!!item.resolved), item.resolvedBy, item.anchorStart, item.anchorEnd, item.quote,
+        toDbTime(new Date(item.created_at)), item.updated_at ? toDbTime(new Date(item.updated_at)) : null
+      ]
+    );
+    ids.set(item.id, id);
+  }
 }
 
 // Get files
+async function getFile(notepadId, fileId) {
+  const res = await query('SELECT * FROM files WHERE notepad_id = ? AND id = ?', [notepadId, fileId]);
+  return res.rows[0] || null;
+}
+
+// The file stored at any of `filepaths`, whichever notepad it belongs to
+async function getFileByPath(filepaths) {
+  const res = await query(
+    `SELECT * FROM files WHERE filepath IN (${filepaths.map(() => '?').join(', ')})`,
+    filepaths
+  );
+  return res.rows[0] || null;
+}
+
+// Every file of every notepad
+async function getAllFiles() {
+  const res = await query('SELECT * FROM files ORDER BY id');
+  return res.rows;
+}
+
+// Record that a file was moved
+async function updateFilePath(fileId, filepath) {
+  await query('UPDATE files SET filepath = ? WHERE id = ?', [filepath, fileId]);
+}
+
+// Bytes of attachments a notepad has stored
+async function getStorageUsed(notepadId) {
+  const res = await query('SELECT SUM(size) AS used FROM files WHERE notepad_id = ?', [notepadId]);
+  return Number(res.rows[0].used) || 0;
+}
+
+// Remove a file's row along with its variants; returns the removed rows,
+// the file's first (none if there was no such file)
+async function deleteFile(notepadId, fileId) {
+  const file = await getFile(notepadId, fileId);
+  if (!file) return [];
+
+  const variants = await getVariants(notepadId, file.id);
+  await query('DELETE FROM files WHERE notepad_id = ? AND (id = ? OR variant_of = ?)', [notepadId, file.id, file.id]);
+  return [file, ...variants];
+}
+
+// Resized copies of an image
+async function getVariants(notepadId, fileId) {
+  const res = await query('SELECT * FROM files WHERE notepad_id = ? AND variant_of = ? ORDER BY id', [notepadId, fileId]);
+  return res.rows;
+}
+
+// Files uploaded before a time, from every notepad
+async function getFilesUploadedBefore(time) {
+  const res = await query('SELECT * FROM files WHERE uploaded_at < ? ORDER BY id', [toDbTime(time)]);
+  return res.rows;
+}
+
+// Paths of every stored file
+async function getFilePaths() {
+  const res = await query('SELECT filepath FROM files');
+  return res.rows.map(row => row.filepath);
+}
+
+// Whether a notepad's content or any of its revisions mentions `text`.
+// LIKE treats '_' as any character, which can only find extra matches.
+async function isMentioned(notepadId, text) {
+  const pattern = `%${text}%`;
+  const content = await query('SELECT id FROM notepads WHERE id = ? AND content LIKE ?', [notepadId, pattern]);
+  if (content.rows.length) return true;
+
+  const revisions = await query(
+    'SELECT id FROM revisions WHERE notepad_id = ? AND content LIKE ? LIMIT 1',
+    [notepadId, pattern]
+  );
+  return revisions.rows.length > 0;
+}
+
+// Start a chunked upload
+async function createUploadSession(uploadId, notepadId, userId, filename, mimetype, size) {
+  await query(
+    'INSERT INTO upload_sessions (id, notepad_id, user_id, filename, mimetype, size) VALUES (?, ?, ?, ?, ?, ?)',
+    [uploadId, notepadId, userId, filename, mimetype, size]
+  );
+}
+
+async function getUploadSession(notepadId, uploadId) {
+  const res = await query('SELECT * FROM upload_sessions WHERE notepad_id = ? AND id = ?', [notepadId, uploadId]);
+  return res.rows[0] || null;
+}
+
+// Store the chunk starting at `start`, which must be where the upload got
+// to. A chunk left there by an attempt that never finished is replaced.
+// Returns false if another request stored this part first.
+async function addUploadChunk(uploadId, start, data) {
+  await query(
+    `INSERT INTO upload_chunks (upload_id, start_byte, data) VALUES (?, ?, ?)
+      ON CONFLICT (upload_id, start_byte) DO UPDATE SET data = excluded.data`,
+    [uploadId, start, data]
+  );
+  const res = await query(
+    'UPDATE upload_sessions SET received = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND received = ?',
+    [start + data.length, uploadId, start]
+  );
+  return res.rowCount > 0;
+}
+
+async function getUploadChunks(uploadId) {
+  const res = await query('SELECT start_byte, data FROM upload_chunks WHERE upload_id = ? ORDER BY start_byte', [uploadId]);
+  return res.rows;
+}
+
+// Claim a fully sent upload for storing, so only one request stores it;
+// returns false if another request got there first
+async function claimUploadSession(uploadId) {
+  const res = await query(
+    "UPDATE upload_sessions SET status = 'completing', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'receiving'",
+    [uploadId]
+  );
+  return res.rowCount > 0;
+}
+
+// Let a claimed upload be completed again after storing it failed
+async function releaseUploadSession(uploadId) {
+  await query("UPDATE upload_sessions SET status = 'receiving' WHERE id = ?", [uploadId]);
+}
+
+// Forget a chunked upload and its chunks; returns false if it was already gone
+async function deleteUploadSession(uploadId) {
+  await query('DELETE FROM upload_chunks WHERE upload_id = ?', [uploadId]);
+  const res = await query('DELETE FROM upload_sessions WHERE id = ?', [uploadId]);
+  return res.rowCount > 0;
+}
+
+// Bytes a notepad's unfinished chunked uploads will need
+async function getPendingUploadBytes(notepadId) {
+  const res = await query('SELECT SUM(size) AS pending FROM upload_sessions WHERE notepad_id = ?', [notepadId]);
+  return Number(res.rows[0].pending) || 0;
+}
+
+// Chunked uploads nothing has been sent to since a time, from every notepad
+async function getUploadSessionsIdleSince(time) {
+  const res = await query(
+    'SELECT * FROM upload_sessions WHERE updated_at < ? ORDER BY created_at',
+    [toDbTime(time)]
+  );
+  return res.rows;
+}
+
+// Note a wrong password for a notepad
+async function recordFailedSignIn(notepadId, username, ip) {
+  await query('INSERT INTO failed_sign_ins (notepad_id, username, ip) VALUES (?, ?, ?)', [notepadId, username, ip]);
+}
+
+// A notepad's latest failed sign-ins, newest first
+async function getFailedSignIns(notepadId, limit) {
+  const res = await query(
+    'SELECT username, ip, attempted_at FROM failed_sign_ins WHERE notepad_id = ? ORDER BY id DESC LIMIT ?',
+    [notepadId, limit]
+  );
+  return res.rows.map(row => ({
+    username: row.username,
+    ip: row.ip,
+    attemptedAt: fromDbTime(row.attempted_at).toISOString()
+  }));
+}
+
+async function deleteFailedSignInsBefore(time) {
+  await query('DELETE FROM failed_sign_ins WHERE attempted_at < ?', [toDbTime(time)]);
+}
+
+// Sign-in attempts counted against `key`: { failures, lastAttempt } or null
+async function getAuthLimit(key) {
+  const res = await query('SELECT failures, last_attempt FROM auth_limits WHERE limit_key = ?', [key]);
+  const row = res.rows[0];
+  return row ? { failures: row.failures, lastAttempt: fromDbTime(row.last_attempt) } : null;
+}
+
+// Set the count for `key` if it is still `expected` (null: no count yet).
+// Returns false if another attempt changed it first.
+async function setAuthLimit(key, expected, failures, lastAttempt) {
+  const res = expected === null
+    ? await query(
+      'INSERT INTO auth_limits (limit_key, failures, last_attempt) VALUES (?, ?, ?) ON CONFLICT (limit_key) DO NOTHING',
+      [key, failures, toDbTime(lastAttempt)]
+    )
+    : await query(
+      'UPDATE auth_limits SET failures = ?, last_attempt = ? WHERE limit_key = ? AND failures = ?',
+      [failures, toDbTime(lastAttempt), key, expected]
+    );
+  return res.rowCount > 0;
+}
+
+// Take back a counted attempt (it was a correct password)
+async function refundAuthAttempt(key) {
+  await query('UPDATE auth_limits SET failures = failures - 1 WHERE limit_key = ? AND failures > 0', [key]);
+}
+
+// Forget counts with no attempts since a time
+async function deleteAuthLimitsIdleSince(time) {
+  await query('DELETE FROM auth_limits WHERE last_attempt < ?', [toDbTime(time)]);
+}
+
 async function getFiles(notepadId) {
   const res = await query(
     'SELECT * FROM files WHERE notepad_id = ? ORDER BY uploaded_at DESC',
@@ -254,12 +998,67 @@ async function getFiles(notepadId) {
 module.exports = {
   initializeDatabase,
   createNotepad,
+  getDocumentId,
+  isDecoyId,
+  ensureDecoyNotepad,
   getNotepad,
+  formatLifecycle,
+  isExpired,
+  burnNotepad,
+  getExpiredNotepads,
+  deleteNotepad,
   updateNotepad,
+  updateNotepadMode,
+  importNotepad,
+  getRevisions,
+  getRevision,
+  getRevisionContents,
+  getPreviousRevision,
   verifyUser,
+  getUser,
+  getUsers,
+  addUser,
+  usernameExists,
+  updateUserPassword,
+  renameUser,
+  updateUserRole,
+  removeUser,
+  ROLES,
   addFeedback,
   getFeedback,
+  getFeedbackItem,
+  updateFeedback,
+  setFeedbackResolved,
+  updateFeedbackAnchors,
+  deleteFeedback,
   addFile,
   getFiles,
+  getFile,
+  getFileByPath,
+  getAllFiles,
+  updateFilePath,
+  getStorageUsed,
+  deleteFile,
+  getVariants,
+  getFilesUploadedBefore,
+  getFilePaths,
+  isMentioned,
+  createUploadSession,
+  getUploadSession,
+  addUploadChunk,
+  getUploadChunks,
+  claimUploadSession,
+  releaseUploadSession,
+  deleteUploadSession,
+  getPendingUploadBytes,
+  getUploadSessionsIdleSince,
+  recordFailedSignIn,
+  getFailedSignIns,
+  deleteFailedSignInsBefore,
+  getAuthLimit,
+  setAuthLimit,
+  refundAuthAttempt,
+  deleteAuthLimitsIdleSince,
+  isProduction,
   db
 };
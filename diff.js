@@ -0,0 +1,97 @@
+// Line diffs between notepad revisions
+
+// Above this many line comparisons the changed region is shown as a replacement
+const MAX_DIFF_CELLS = 4000000;
+
+// Turn editor HTML into plain text lines
+function htmlToLines(html) {
+  const text = (html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(div|p|li|h[1-6])>/gi, '\n')
+    .replace(/<(img|video|audio|iframe)\b[^>]*\bsrc="([^"]*)"[^>]*>/gi, '[$1: $2]')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\n$/, '');
+
+  return text ? text.split('\n') : [];
+}
+
+// Compare two lists of lines. Returns [{ type: 'equal' | 'added' | 'removed', text }]
+function diffLines(oldLines, newLines) {
+  // Trim the unchanged start and end so only the edited region is compared
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const changes = oldLines.slice(0, start).map(text => ({ type: 'equal', text }));
+  const oldMiddle = oldLines.slice(start, oldEnd);
+  const newMiddle = newLines.slice(start, newEnd);
+
+  if (oldMiddle.length * newMiddle.length > MAX_DIFF_CELLS) {
+    oldMiddle.forEach(text => changes.push({ type: 'removed', text }));
+    newMiddle.forEach(text => changes.push({ type: 'added', text }));
+  } else {
+    changes.push(...lcsDiff(oldMiddle, newMiddle));
+  }
+
+  oldLines.slice(oldEnd).forEach(text => changes.push({ type: 'equal', text }));
+  return changes;
+}
+
+// Longest-common-subsequence diff
+function lcsDiff(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const table = new Uint32Array(rows * cols);
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i * cols + j] = a[i] === b[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      changes.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      changes.push({ type: 'removed', text: a[i++] });
+    } else {
+      changes.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) changes.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) changes.push({ type: 'added', text: b[j++] });
+
+  return changes;
+}
+
+// Diff two versions of notepad content
+function diffContent(oldHtml, newHtml) {
+  return diffLines(htmlToLines(oldHtml), htmlToLines(newHtml));
+}
+
+module.exports = {
+  htmlToLines,
+  diffLines,
+  diffContent
+};
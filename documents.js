@@ -0,0 +1,320 @@
+// Document model shared by the DOCX, ODT and EPUB exporters
+//
+// Sanitized HTML is turned into a list of blocks:
+//   { type: 'paragraph', runs, quote }
+//   { type: 'heading', level, runs }
+//   { type: 'code', text }
+//   { type: 'list', ordered, items }  (each item is a list of blocks)
+// Runs are { text, bold, italic, underline, strike, code, href },
+// { lineBreak: true } or { image, alt, width, height } (sizes in CSS pixels).
+const path = require('path');
+const { sanitizeHtml } = require('./sanitize');
+const storage = require('./storage');
+const { parse, textContent, youtubeWatchUrl } = require('./convert');
+
+// Images wider than this are scaled down to fit the page
+const MAX_IMAGE_WIDTH = 600;
+
+// Image formats every target can embed, recognized by their first bytes
+function imageInfo(data) {
+  if (data.length > 24 && data.readUInt32BE(0) === 0x89504e47) {
+    return { extension: 'png', mimetype: 'image/png', width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+  }
+  if (data.length > 10 && data.toString('latin1', 0, 4) === 'GIF8') {
+    return { extension: 'gif', mimetype: 'image/gif', width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+  }
+  if (data.length > 4 && data[0] === 0xff && data[1] === 0xd8) {
+    // The size is in the first start-of-frame segment
+    let offset = 2;
+    while (offset + 9 < data.length && data[offset] === 0xff) {
+      const marker = data[offset + 1];
+      const length = data.readUInt16BE(offset + 2);
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { extension: 'jpeg', mimetype: 'image/jpeg', width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + length;
+    }
+  }
+  return null;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function hasContent(runs) {
+  return runs.some(run => run.image || (run.text && run.text.trim()));
+}
+
+function dimension(value) {
+  const number = parseInt(value, 10);
+  return number > 0 ? number : null;
+}
+
+// Walks the parsed tree. Inline content collects into `state.runs` until a
+// block element flushes it into `state.blocks` as a paragraph.
+class Builder {
+  constructor(files) {
+    // Uploaded files of the notepad by their stored name
+    this.files = new Map(files.map(file => [path.basename(file.filepath), file]));
+    this.images = [];
+    this.loaded = new Map();
+  }
+
+  blocks(node, context = {}) {
+    const state = { blocks: [], runs: [] };
+    node.children.forEach(child => this.visit(child, state, context, {}));
+    this.flush(state, context);
+    return state.blocks;
+  }
+
+  flush(state, context, keepEmpty = false) {
+    const { runs } = state;
+    while (runs.length && runs[runs.length - 1].lineBreak) runs.pop();
+    if (hasContent(runs) || keepEmpty) {
+      state.blocks.push({ type: 'paragraph', runs, quote: !!context.quote });
+    }
+    state.runs = [];
+  }
+
+  // Runs of an element's content, with any blocks inside joined by line breaks
+  runs(node, context, style) {
+    const state = { blocks: [], runs: [] };
+    node.children.forEach(child => this.visit(child, state, context, style));
+    this.flush(state, context);
+    return state.blocks.flatMap((block, index) => {
+      const runs = block.runs || [{ text: block.text || '' }];
+      return index ? [{ lineBreak: true }, ...runs] : runs;
+    });
+  }
+
+  visit(node, state, context, style) {
+    if (typeof node === 'string') {
+      // Newlines in HTML source are only formatting
+      const last = state.runs[state.runs.length - 1];
+      let text = !last || last.lineBreak ? node.replace(/^\s*\n\s*/, '') : node;
+      text = text.replace(/\s*\n\s*/g, ' ');
+      if (text) state.runs.push({ text, ...style });
+      return;
+    }
+
+    const children = (nextStyle = style, nextContext = context) => {
+      node.children.forEach(child => this.visit(child, state, nextContext, nextStyle));
+    };
+
+    switch (node.tag) {
+      case 'div':
+      case 'li': {
+        // Editor lines are divs; an empty one is a blank line
+        this.flush(state, context);
+        const before = state.blocks.length;
+        children();
+        this.flush(state, context, state.blocks.length === before);
+        break;
+      }
+      case 'p':
+        this.flush(state, context);
+        children();
+        this.flush(state, context);
+        break;
+      case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+        this.flush(state, context);
+        const runs = this.runs(node, context, style);
+        if (hasContent(runs)) state.blocks.push({ type: 'heading', level: Number(node.tag[1]), runs });
+        break;
+      }
+      case 'ul':
+      case 'ol': {
+        this.flush(state, context);
+        const items = node.children
+          .filter(child => typeof child !== 'string' || child.trim())
+          .map(child => (typeof child === 'string' ? { children: [child] } : child))
+          .map(item => this.blocks(item, context));
+        if (items.length) state.blocks.push({ type: 'list', ordered: node.tag === 'ol', items });
+        break;
+      }
+      case 'blockquote':
+        this.flush(state, context);
+        children(style, { ...context, quote: true });
+        this.flush(state, { ...context, quote: true });
+        break;
+      case 'pre':
+        this.flush(state, context);
+        state.blocks.push({ type: 'code', text: textContent(node).replace(/\n$/, '') });
+        break;
+      case 'hr':
+        this.flush(state, context);
+        break;
+      case 'table':
+        this.flush(state, context);
+        this.table(node, state, context);
+        break;
+      case 'video':
+      case 'audio':
+        this.flush(state, context);
+        if (node.attributes.src) {
+          const text = node.tag === 'video' ? 'Video' : 'Audio';
+          state.blocks.push({ type: 'paragraph', runs: [{ text, href: node.attributes.src }], quote: !!context.quote });
+        }
+        break;
+      case 'iframe': {
+        this.flush(state, context);
+        const url = youtubeWatchUrl(node.attributes.src);
+        if (url) {
+          state.blocks.push({ type: 'paragraph', runs: [{ text: 'YouTube video', href: url }], quote: !!context.quote });
+        }
+        break;
+      }
+      case 'br':
+        state.runs.push({ lineBreak: true });
+        break;
+      case 'button':
+        // Delete buttons on media wrappers
+        break;
+      case 'b':
+      case 'strong':
+        children({ ...style, bold: true });
+        break;
+      case 'i':
+      case 'em':
+        children({ ...style, italic: true });
+        break;
+      case 'u':
+        children({ ...style, underline: true });
+        break;
+      case 's':
+      case 'strike':
+        children({ ...style, strike: true });
+        break;
+      case 'code':
+        children({ ...style, code: true });
+        break;
+      case 'a':
+        children(node.attributes.href ? { ...style, href: node.attributes.href } : style);
+        break;
+      case 'img':
+        this.image(node, state, style);
+        break;
+      default:
+        // span, mark, sub, sup and anything else keep only their content
+        children();
+    }
+  }
+
+  // Each row becomes a paragraph with its cells separated by tabs
+  table(node, state, context) {
+    const collect = (parent) => parent.children.forEach((child) => {
+      if (typeof child === 'string') return;
+      if (child.tag !== 'tr') {
+        collect(child);
+        return;
+      }
+      const runs = child.children
+        .filter(cell => cell.tag === 'th' || cell.tag === 'td')
+        .flatMap((cell, index) => {
+          const style = cell.tag === 'th' ? { bold: true } : {};
+          const cellRuns = this.runs(cell, context, style).filter(run => !run.lineBreak);
+          return index ? [{ text: '\t' }, ...cellRuns] : cellRuns;
+        });
+      if (hasContent(runs)) state.blocks.push({ type: 'paragraph', runs, quote: !!context.quote });
+    });
+    collect(node);
+  }
+
+  // Uploaded images are embedded; anything else is kept as a link
+  image(node, state, style) {
+    const { src, alt = '' } = node.attributes;
+    if (!src) return;
+
+    const image = this.load(src);
+    if (!image) {
+      state.runs.push({ ...style, text: alt || src, href: src });
+      return;
+    }
+
+    let width = dimension(node.attributes.width);
+    let height = dimension(node.attributes.height);
+    if (!width && !height) {
+      width = image.width;
+      height = image.height;
+    } else if (!height) {
+      height = Math.round(width * image.height / image.width);
+    } else if (!width) {
+      width = Math.round(height * image.width / image.height);
+    }
+    if (width > MAX_IMAGE_WIDTH) {
+      height = Math.round(height * MAX_IMAGE_WIDTH / width);
+      width = MAX_IMAGE_WIDTH;
+    }
+
+    state.runs.push({ image, alt, width, height: Math.max(height, 1) });
+  }
+
+  load(src) {
+    const match = /^\/uploads\/([^/?#]+)$/.exec(src);
+    if (!match) return null;
+
+    let name = match[1];
+    if (!this.files.has(name)) {
+      try {
+        name = decodeURIComponent(name);
+      } catch (err) {
+        return null;
+      }
+    }
+    const file = this.files.get(name);
+    if (!file) return null;
+    if (this.loaded.has(name)) return this.loaded.get(name);
+
+    let image = null;
+    try {
+      const info = file.data && imageInfo(file.data);
+      if (info && info.width && info.height) {
+        const number = this.images.length + 1;
+        image = { ...info, data: file.data, name: `image${number}.${info.extension}`, number };
+        this.images.push(image);
+      }
+    } catch (err) {
+      // Not an image after all; it is exported as a link
+    }
+    this.loaded.set(name, image);
+    return image;
+  }
+}
+
+// Read the stored images `html` shows, for buildDocument
+async function readImages(html, files) {
+  const read = [];
+  for (const file of files) {
+    if ((file.mimetype || '').startsWith('image/') && html.includes(path.basename(file.filepath))) {
+      try {
+        read.push({ ...file, data: await storage.read(file.filepath) });
+        continue;
+      } catch (err) {
+        // Missing from storage; the image is exported as a link
+      }
+    }
+    read.push(file);
+  }
+  return read;
+}
+
+// Build the model for HTML; `files` are the notepad's uploaded files, whose
+// images are embedded if their `data` has been read (see readImages)
+function buildDocument(html, { title, files = [] }) {
+  const builder = new Builder(files);
+  const blocks = builder.blocks(parse(sanitizeHtml(html)));
+  return { title, blocks, images: builder.images };
+}
+
+module.exports = {
+  buildDocument,
+  readImages,
+  imageInfo,
+  escapeXml
+};
@@ -0,0 +1,279 @@
+// DOCX (Office Open XML) writer for the document model in documents.js
+const { createZip } = require('./zip');
+const { escapeXml } = require('./documents');
+
+const MIMETYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const EMU_PER_PX = 9525;
+
+// Word supports nine list levels
+const MAX_LIST_LEVEL = 8;
+
+const NAMESPACES = [
+  'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"',
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"',
+  'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing"',
+  'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"',
+  'xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"'
+].join(' ');
+
+const RELATIONSHIP_TYPES = {
+  styles: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles',
+  numbering: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering',
+  image: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image',
+  hyperlink: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink'
+};
+
+const HEADING_SIZES = [32, 28, 26, 24, 22, 22]; // Half-points
+
+const BULLETS = ['•', '◦', '▪'];
+
+function contentTypes() {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Default Extension="png" ContentType="image/png"/>
+<Default Extension="jpeg" ContentType="image/jpeg"/>
+<Default Extension="gif" ContentType="image/gif"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+}
+
+function packageRelationships() {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+}
+
+function coreProperties(title) {
+  const now = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${escapeXml(title)}</dc:title>
+<dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>
+<dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>
+</cp:coreProperties>`;
+}
+
+function styles() {
+  const headings = HEADING_SIZES.map((size, index) => `<w:style w:type="paragraph" w:styleId="Heading${index + 1}">
+<w:name w:val="heading ${index + 1}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+<w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="${index}"/></w:pPr>
+<w:rPr><w:b/><w:sz w:val="${size}"/></w:rPr>
+</w:style>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+${headings}
+<w:style w:type="paragraph" w:styleId="Quote">
+<w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/>
+<w:pPr><w:ind w:left="720"/></w:pPr><w:rPr><w:i/><w:color w:val="555555"/></w:rPr>
+</w:style>
+<w:style w:type="paragraph" w:styleId="Code">
+<w:name w:val="Code"/><w:basedOn w:val="Normal"/>
+<w:pPr><w:spacing w:after="120" w:line="240" w:lineRule="auto"/><w:shd w:val="clear" w:color="auto" w:fill="F3F3F3"/></w:pPr>
+<w:rPr><w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/><w:sz w:val="20"/></w:rPr>
+</w:style>
+<w:style w:type="paragraph" w:styleId="ListParagraph">
+<w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/>
+<w:pPr><w:spacing w:after="0"/><w:ind w:left="720"/><w:contextualSpacing/></w:pPr>
+</w:style>
+<w:style w:type="character" w:styleId="Hyperlink">
+<w:name w:val="Hyperlink"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr>
+</w:style>
+</w:styles>`;
+}
+
+function abstractNumbering(id, ordered) {
+  const levels = [];
+  for (let level = 0; level <= MAX_LIST_LEVEL; level++) {
+    const format = ordered ? 'decimal' : 'bullet';
+    const text = ordered ? `%${level + 1}.` : BULLETS[level % BULLETS.length];
+    levels.push(`<w:lvl w:ilvl="${level}"><w:start w:val="1"/><w:numFmt w:val="${format}"/><w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${720 * (level + 1)}" w:hanging="360"/></w:pPr></w:lvl>`);
+  }
+  return `<w:abstractNum w:abstractNumId="${id}"><w:multiLevelType w:val="hybridMultilevel"/>${levels.join('')}</w:abstractNum>`;
+}
+
+// Collects relationships, list numbering and drawings while the body is written
+class DocxWriter {
+  constructor() {
+    this.relationships = [];
+    this.lists = [];
+    this.imageRelationships = new Map();
+    this.drawings = 0;
+    this.relationship('styles', 'styles.xml');
+    this.relationship('numbering', 'numbering.xml');
+  }
+
+  relationship(type, target, external = false) {
+    const id = `rId${this.relationships.length + 1}`;
+    this.relationships.push({ id, type: RELATIONSHIP_TYPES[type], target, external });
+    return id;
+  }
+
+  // Every list gets its own numbering instance, so ordered lists restart at 1
+  addList(ordered, level) {
+    this.lists.push({ ordered, level });
+    return this.lists.length;
+  }
+
+  blocks(blocks, list = null) {
+    return blocks.map(block => this.block(block, list)).join('');
+  }
+
+  block(block, list) {
+    switch (block.type) {
+      case 'heading':
+        return this.paragraph(block.runs, `Heading${block.level}`, list);
+      case 'code': {
+        const runs = block.text.split('\n').flatMap((line, index) => (index ? [{ lineBreak: true }, { text: line }] : [{ text: line }]));
+        return this.paragraph(runs, 'Code', list);
+      }
+      case 'list': {
+        const level = list ? Math.min(list.level + 1, MAX_LIST_LEVEL) : 0;
+        const numId = this.addList(block.ordered, level);
+        return block.items.map((item) => {
+          // Only the first paragraph of an item carries its number or bullet
+          let numbered = false;
+          const blocks = item.length ? item : [{ type: 'paragraph', runs: [] }];
+          return blocks.map((child) => {
+            if (child.type === 'list') return this.block(child, { level });
+            const itemList = { level, numId: numbered ? null : numId };
+            numbered = true;
+            return this.block(child, itemList);
+          }).join('');
+        }).join('');
+      }
+      default:
+        return this.paragraph(block.runs, block.quote ? 'Quote' : null, list);
+    }
+  }
+
+  paragraph(runs, style, list) {
+    const properties = [];
+    if (style || list) {
+      properties.push(`<w:pStyle w:val="${style || 'ListParagraph'}"/>`);
+    }
+    if (list && list.numId) {
+      properties.push(`<w:numPr><w:ilvl w:val="${list.level}"/><w:numId w:val="${list.numId}"/></w:numPr>`);
+    } else if (list) {
+      properties.push(`<w:ind w:left="${720 * (list.level + 1)}"/>`);
+    }
+    const pPr = properties.length ? `<w:pPr>${properties.join('')}</w:pPr>` : '';
+    return `<w:p>${pPr}${this.runs(runs)}</w:p>`;
+  }
+
+  // Consecutive runs with the same link share one hyperlink element
+  runs(runs) {
+    let xml = '';
+    let index = 0;
+    while (index < runs.length) {
+      const { href } = runs[index];
+      let end = index + 1;
+      while (end < runs.length && runs[end].href === href) end++;
+
+      const inner = runs.slice(index, end).map(run => this.run(run)).join('');
+      if (href) {
+        const id = this.relationship('hyperlink', href, true);
+        xml += `<w:hyperlink r:id="${id}">${inner}</w:hyperlink>`;
+      } else {
+        xml += inner;
+      }
+      index = end;
+    }
+    return xml;
+  }
+
+  run(run) {
+    if (run.lineBreak) return '<w:r><w:br/></w:r>';
+    if (run.image) return this.drawing(run);
+
+    // Property order is fixed by the schema
+    const properties = [];
+    if (run.href) properties.push('<w:rStyle w:val="Hyperlink"/>');
+    if (run.code) properties.push('<w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/>');
+    if (run.bold) properties.push('<w:b/>');
+    if (run.italic) properties.push('<w:i/>');
+    if (run.strike) properties.push('<w:strike/>');
+    if (run.underline) properties.push('<w:u w:val="single"/>');
+    const rPr = properties.length ? `<w:rPr>${properties.join('')}</w:rPr>` : '';
+
+    const text = run.text.split('\t')
+      .map(part => (part ? `<w:t xml:space="preserve">${escapeXml(part)}</w:t>` : ''))
+      .join('<w:tab/>');
+    return `<w:r>${rPr}${text}</w:r>`;
+  }
+
+  drawing({ image, alt, width, height }) {
+    if (!this.imageRelationships.has(image)) {
+      this.imageRelationships.set(image, this.relationship('image', `media/${image.name}`));
+    }
+    const id = ++this.drawings;
+    const cx = width * EMU_PER_PX;
+    const cy = height * EMU_PER_PX;
+
+    return `<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0">
+<wp:extent cx="${cx}" cy="${cy}"/><wp:docPr id="${id}" name="Picture ${id}" descr="${escapeXml(alt)}"/>
+<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:pic>
+<pic:nvPicPr><pic:cNvPr id="${id}" name="${image.name}"/><pic:cNvPicPr/></pic:nvPicPr>
+<pic:blipFill><a:blip r:embed="${this.imageRelationships.get(image)}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>
+<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>
+</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>`;
+  }
+
+  numbering() {
+    const instances = this.lists.map(({ ordered, level }, index) => `<w:num w:numId="${index + 1}"><w:abstractNumId w:val="${ordered ? 1 : 0}"/><w:lvlOverride w:ilvl="${level}"><w:startOverride w:val="1"/></w:lvlOverride></w:num>`);
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+${abstractNumbering(0, false)}
+${abstractNumbering(1, true)}
+${instances.join('\n')}
+</w:numbering>`;
+  }
+
+  documentRelationships() {
+    const relationships = this.relationships.map(({ id, type, target, external }) => `<Relationship Id="${id}" Type="${type}" Target="${escapeXml(target)}"${external ? ' TargetMode="External"' : ''}/>`);
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${relationships.join('\n')}
+</Relationships>`;
+  }
+}
+
+// Build a .docx file for a document from documents.buildDocument
+function createDocx({ title, blocks, images }) {
+  const writer = new DocxWriter();
+  const body = writer.blocks(blocks) || '<w:p/>';
+
+  const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${NAMESPACES}>
+<w:body>${body}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body>
+</w:document>`;
+
+  return createZip([
+    { name: '[Content_Types].xml', data: contentTypes() },
+    { name: '_rels/.rels', data: packageRelationships() },
+    { name: 'docProps/core.xml', data: coreProperties(title) },
+    { name: 'word/document.xml', data: document },
+    { name: 'word/styles.xml', data: styles() },
+    { name: 'word/numbering.xml', data: writer.numbering() },
+    { name: 'word/_rels/document.xml.rels', data: writer.documentRelationships() },
+    ...images.map(image => ({ name: `word/media/${image.name}`, data: image.data, store: true }))
+  ]);
+}
+
+module.exports = {
+  MIMETYPE,
+  createDocx
+};
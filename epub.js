@@ -0,0 +1,176 @@
+// EPUB 3 writer for the document model in documents.js
+const crypto = require('crypto');
+const { createZip } = require('./zip');
+const { escapeXml } = require('./documents');
+
+const MIMETYPE = 'application/epub+zip';
+
+const STYLESHEET = `body { font-family: serif; line-height: 1.5; }
+h1, h2, h3, h4, h5, h6 { font-family: sans-serif; line-height: 1.2; }
+blockquote { margin-left: 1.5em; font-style: italic; color: #555; }
+pre { white-space: pre-wrap; background: #f3f3f3; padding: 0.5em; }
+code, pre { font-family: monospace; }
+img { max-width: 100%; height: auto; }
+`;
+
+// Keep runs of spaces and tabs that HTML would collapse
+function text(value) {
+  return escapeXml(value).replace(/\t/g, '&#160;&#160;&#160; ').replace(/ {2}/g, ' &#160;');
+}
+
+function container() {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>`;
+}
+
+function xhtml(title, body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head>
+<meta charset="utf-8"/>
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function packageDocument(title, images) {
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  const items = images.map(image => `<item id="image${image.number}" href="images/${image.name}" media-type="${image.mimetype}"/>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="uid">urn:uuid:${crypto.randomUUID()}</dc:identifier>
+<dc:title>${escapeXml(title)}</dc:title>
+<dc:language>en</dc:language>
+<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="content" href="content.xhtml" media-type="application/xhtml+xml"/>
+<item id="style" href="style.css" media-type="text/css"/>
+${items.join('\n')}
+</manifest>
+<spine><itemref idref="content"/></spine>
+</package>`;
+}
+
+// Collects headings for the table of contents while the body is written
+class EpubWriter {
+  constructor() {
+    this.headings = [];
+  }
+
+  blocks(blocks) {
+    const parts = [];
+    let quote = [];
+
+    // Consecutive quoted paragraphs share one blockquote
+    const endQuote = () => {
+      if (quote.length) parts.push(`<blockquote>${quote.join('')}</blockquote>`);
+      quote = [];
+    };
+
+    for (const block of blocks) {
+      if (block.type === 'paragraph' && block.quote) {
+        quote.push(this.block(block));
+      } else {
+        endQuote();
+        parts.push(this.block(block));
+      }
+    }
+    endQuote();
+    return parts.join('\n');
+  }
+
+  block(block) {
+    switch (block.type) {
+      case 'heading': {
+        const id = `heading-${this.headings.length + 1}`;
+        this.headings.push({ id, runs: block.runs });
+        return `<h${block.level} id="${id}">${this.runs(block.runs)}</h${block.level}>`;
+      }
+      case 'code':
+        return `<pre><code>${escapeXml(block.text)}</code></pre>`;
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        const items = block.items.map((item) => {
+          // A single paragraph needs no <p> of its own
+          const content = item.length === 1 && item[0].type === 'paragraph'
+            ? this.runs(item[0].runs)
+            : this.blocks(item);
+          return `<li>${content}</li>`;
+        });
+        return `<${tag}>${items.join('')}</${tag}>`;
+      }
+      default:
+        return `<p>${this.runs(block.runs) || '&#160;'}</p>`;
+    }
+  }
+
+  runs(runs) {
+    let xml = '';
+    let index = 0;
+    while (index < runs.length) {
+      const { href } = runs[index];
+      let end = index + 1;
+      while (end < runs.length && runs[end].href === href) end++;
+
+      const inner = runs.slice(index, end).map(run => this.run(run)).join('');
+      xml += href ? `<a href="${escapeXml(href)}">${inner}</a>` : inner;
+      index = end;
+    }
+    return xml;
+  }
+
+  run(run) {
+    if (run.lineBreak) return '<br/>';
+    if (run.image) {
+      return `<img src="images/${run.image.name}" alt="${escapeXml(run.alt)}" width="${run.width}" height="${run.height}"/>`;
+    }
+
+    let xml = text(run.text);
+    if (run.code) xml = `<code>${xml}</code>`;
+    if (run.strike) xml = `<s>${xml}</s>`;
+    if (run.underline) xml = `<u>${xml}</u>`;
+    if (run.italic) xml = `<em>${xml}</em>`;
+    if (run.bold) xml = `<strong>${xml}</strong>`;
+    return xml;
+  }
+
+  navigation(title) {
+    const headingText = runs => runs.filter(run => run.text).map(run => run.text).join('').trim();
+    const entries = this.headings.length
+      ? this.headings.map(({ id, runs }) => `<li><a href="content.xhtml#${id}">${escapeXml(headingText(runs) || title)}</a></li>`)
+      : [`<li><a href="content.xhtml">${escapeXml(title)}</a></li>`];
+    return xhtml(title, `<nav epub:type="toc" id="toc">\n<h1>${escapeXml(title)}</h1>\n<ol>\n${entries.join('\n')}\n</ol>\n</nav>`);
+  }
+}
+
+// Build an .epub file for a document from documents.buildDocument
+function createEpub({ title, blocks, images }) {
+  const writer = new EpubWriter();
+  const body = writer.blocks(blocks);
+
+  // The mimetype must come first and uncompressed
+  return createZip([
+    { name: 'mimetype', data: MIMETYPE, store: true },
+    { name: 'META-INF/container.xml', data: container() },
+    { name: 'OEBPS/content.opf', data: packageDocument(title, images) },
+    { name: 'OEBPS/nav.xhtml', data: writer.navigation(title) },
+    { name: 'OEBPS/content.xhtml', data: xhtml(title, body) },
+    { name: 'OEBPS/style.css', data: STYLESHEET },
+    ...images.map(image => ({ name: `OEBPS/images/${image.name}`, data: image.data, store: true }))
+  ]);
+}
+
+module.exports = {
+  MIMETYPE,
+  createEpub
+};
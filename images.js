@@ -0,0 +1,62 @@
+const sharp = require('sharp');
+
+// Uploaded photos and screenshots are re-encoded without their metadata
+// (EXIF, GPS location, camera details), turned upright first since the
+// orientation is metadata too. Big ones also get smaller variants:
+//   web   - what the editor shows, at most WEB_WIDTH wide
+//   thumb - for the attachments bar, within THUMB_SIZE square
+// Variants keep the original's format, so exports can embed them.
+
+const WEB_WIDTH = 1600;
+const THUMB_SIZE = 256;
+
+// Formats that are re-encoded. GIFs carry no EXIF and are left alone, which
+// keeps their animation; BMPs aren't read by sharp.
+const ENCODERS = {
+  'image/jpeg': (image, quality) => image.jpeg({ quality, mozjpeg: true }),
+  'image/png': image => image.png({ compressionLevel: 9 }),
+  'image/webp': (image, quality) => image.webp({ quality }),
+  'image/avif': (image, quality) => image.avif({ quality })
+};
+
+function canProcess(mimetype) {
+  return !!ENCODERS[mimetype];
+}
+
+async function encode(data, mimetype, quality, resize) {
+  let image = sharp(data, { animated: mimetype === 'image/webp' }).rotate();
+  if (resize) image = image.resize(resize);
+  const { data: output, info } = await ENCODERS[mimetype](image, quality).toBuffer({ resolveWithObject: true });
+  return { data: output, width: info.width, height: info.pageHeight || info.height };
+}
+
+// Strip an image and make its variants. Returns { data, width, height,
+// variants: [{ variant, data, width, height }] }. Images sharp can't read
+// fail with `error.status` 415.
+async function processImage(data, mimetype) {
+  let original;
+  try {
+    original = await encode(data, mimetype, 90);
+  } catch (err) {
+    const error = new Error('This image could not be read');
+    error.status = 415;
+    throw error;
+  }
+
+  const variants = [];
+  if (original.width > WEB_WIDTH) {
+    variants.push({ variant: 'web', ...await encode(data, mimetype, 80, { width: WEB_WIDTH }) });
+  }
+  if (original.width > THUMB_SIZE || original.height > THUMB_SIZE) {
+    variants.push({
+      variant: 'thumb',
+      ...await encode(data, mimetype, 70, { width: THUMB_SIZE, height: THUMB_SIZE, fit: 'inside' })
+    });
+  }
+  return { ...original, variants };
+}
+
+module.exports = {
+  canProcess,
+  processImage
+};
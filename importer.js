@@ -0,0 +1,587 @@
+// Import text, Markdown, HTML and DOCX files as editor content
+//
+// Every format is converted to sanitized editor HTML, or to Markdown source
+// for notepads in Markdown mode.
+const path = require('path');
+const { sanitizeHtml } = require('./sanitize');
+const { htmlToMarkdown } = require('./convert');
+const markdown = require('./markdown');
+const { imageInfo } = require('./documents');
+const { readZip } = require('./zip');
+
+const EXTENSIONS = {
+  '.txt': 'text',
+  '.text': 'text',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.mdown': 'markdown',
+  '.mkd': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+  '.xhtml': 'html',
+  '.docx': 'docx'
+};
+
+const MIMETYPES = {
+  'text/plain': 'text',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'text/html': 'html',
+  'application/xhtml+xml': 'html',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx'
+};
+
+const EMU_PER_PX = 9525;
+
+function unsupported(message) {
+  const error = new Error(message);
+  error.unsupported = true;
+  return error;
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Keep runs of spaces that HTML would collapse
+function preserveSpaces(html) {
+  return html.replace(/\t/g, '    ').replace(/ {2}/g, ' &nbsp;');
+}
+
+// Encoding detection
+
+function isEncodingSupported(encoding) {
+  try {
+    new TextDecoder(encoding);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Charset named by an HTML meta tag or XML declaration
+function declaredCharset(buffer) {
+  const head = buffer.toString('latin1', 0, 2048);
+  const match = /<meta[^>]+charset\s*=\s*["']?([\w.:-]+)/i.exec(head) || /<\?xml[^>]+encoding\s*=\s*["']([\w.:-]+)/i.exec(head);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// UTF-16 text without a byte order mark has zero bytes in every other position
+function guessUtf16(buffer) {
+  const length = Math.min(buffer.length, 4096) & ~1;
+  if (length < 4) return null;
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < length; i += 2) {
+    if (buffer[i] === 0) evenZeros++;
+    if (buffer[i + 1] === 0) oddZeros++;
+  }
+  const pairs = length / 2;
+  if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) return 'utf-16le';
+  if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) return 'utf-16be';
+  return null;
+}
+
+// Decode text, detecting its encoding: byte order mark, then a declared
+// charset, then valid UTF-8, then UTF-16, and Windows-1252 as the fallback
+function decodeText(buffer) {
+  const decode = (encoding, offset = 0) => ({
+    text: new TextDecoder(encoding).decode(buffer.subarray(offset)),
+    encoding
+  });
+
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return decode('utf-8', 3);
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return decode('utf-16le', 2);
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return decode('utf-16be', 2);
+
+  const utf16 = guessUtf16(buffer);
+  if (utf16) return decode(utf16);
+
+  const declared = declaredCharset(buffer);
+  if (declared && !/^utf-?8$/.test(declared) && isEncodingSupported(declared)) {
+    return decode(declared);
+  }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+  } catch (err) {
+    return decode('windows-1252');
+  }
+}
+
+// Format detection
+
+function looksLikeHtml(text) {
+  return /^\s*(<!doctype html|<html[\s>]|<head[\s>]|<body[\s>])/i.test(text)
+    || /<(p|div|h[1-6]|ul|ol|table|br)[\s>/]/i.test(text.slice(0, 4096)) && /<\/(p|div|h[1-6]|ul|ol|table)>/i.test(text);
+}
+
+// Text with at least two kinds of Markdown syntax
+function looksLikeMarkdown(text) {
+  const signs = [
+    /^#{1,6}\s+\S/m,             // Headings
+    /^\s*[-*+]\s+\S/m,           // Bullet lists
+    /^\s*\d+\.\s+\S/m,           // Numbered lists
+    /^>\s?\S/m,                  // Quotes
+    /^(```|~~~)/m,               // Fenced code
+    /\[[^\]\n]+\]\([^)\s]+\)/,   // Links and images
+    /(\*\*|__)[^\s*_][^\n]*?\1/  // Strong emphasis
+  ];
+  return signs.filter(sign => sign.test(text)).length >= 2;
+}
+
+function isZip(buffer) {
+  return buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+}
+
+// Binary files other than DOCX can't be imported
+function isBinary(buffer) {
+  const sample = buffer.subarray(0, 4096);
+  return sample.includes(0) && !guessUtf16(buffer);
+}
+
+function detectFormat(buffer, filename, mimetype) {
+  if (isZip(buffer)) return 'docx';
+
+  const byName = EXTENSIONS[path.extname(filename || '').toLowerCase()];
+  if (byName && byName !== 'docx') return byName;
+
+  const byType = MIMETYPES[(mimetype || '').split(';')[0].trim().toLowerCase()];
+  if (byType && byType !== 'docx' && byType !== 'text') return byType;
+
+  return null;
+}
+
+// Conversion to editor HTML
+
+function textToHtml(text) {
+  return text.split('\n')
+    .map(line => `<div>${preserveSpaces(escapeHtml(line)).replace(/^ /, '&nbsp;') || '<br>'}</div>`)
+    .join('');
+}
+
+// Collapse the whitespace HTML source uses for layout, outside <pre>
+function collapseWhitespace(html) {
+  let preDepth = 0;
+  return html.split(/(<[^>]*>)/).map((part) => {
+    if (part.startsWith('<')) {
+      if (/^<pre[\s>]/i.test(part)) preDepth++;
+      if (/^<\/pre>/i.test(part)) preDepth = Math.max(0, preDepth - 1);
+      return part;
+    }
+    if (preDepth) return part;
+    if (!part.trim() && /\n/.test(part)) return '';
+    return part.replace(/\s+/g, ' ');
+  }).join('');
+}
+
+function htmlToEditorHtml(html) {
+  const body = /<body[^>]*>([\s\S]*)<\/body>/i.exec(html);
+  return collapseWhitespace(sanitizeHtml(body ? body[1] : html)).trim();
+}
+
+// Minimal XML parsing for the parts of a DOCX file
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return XML_ENTITIES[ref] === undefined ? match : XML_ENTITIES[ref];
+  });
+}
+
+// Build a tree of { name, attributes, children } and text strings
+function parseXml(xml) {
+  const root = { name: null, attributes: {}, children: [] };
+  const stack = [root];
+  const pattern = /<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = pattern.exec(xml))) {
+    const parent = stack[stack.length - 1];
+    if (match[1] !== undefined) {
+      parent.children.push(match[1]);
+    } else if (match[6] !== undefined) {
+      parent.children.push(decodeXml(match[6]));
+    } else if (match[3]) {
+      if (match[2]) {
+        if (stack.length > 1) stack.pop();
+        continue;
+      }
+      const attributes = {};
+      match[4].replace(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (all, name, double, single) => {
+        attributes[name] = decodeXml(double !== undefined ? double : single);
+      });
+      const node = { name: match[3], attributes, children: [] };
+      parent.children.push(node);
+      if (!match[5]) stack.push(node);
+    }
+  }
+  return root;
+}
+
+function elements(node, name) {
+  return node.children.filter(child => typeof child !== 'string' && (!name || child.name === name));
+}
+
+function element(node, name) {
+  return node.children.find(child => typeof child !== 'string' && child.name === name) || null;
+}
+
+// First descendant with the given name
+function find(node, name) {
+  for (const child of elements(node)) {
+    if (child.name === name) return child;
+    const found = find(child, name);
+    if (found) return found;
+  }
+  return null;
+}
+
+// A w:b, w:i, ... toggle, which may be switched off with w:val
+function isOn(properties, name) {
+  const toggle = properties && element(properties, name);
+  return !!toggle && !['false', '0', 'off', 'none'].includes(toggle.attributes['w:val']);
+}
+
+// Converts a DOCX package to editor HTML. Embedded images are stored
+// through `saveImage` and linked from the content.
+class DocxReader {
+  constructor(entries, saveImage) {
+    this.entries = new Map(entries.map(entry => [entry.name, entry.data]));
+    this.saveImage = saveImage;
+    this.images = new Map();
+    this.relationships = this.readRelationships();
+    this.styles = this.readStyles();
+    this.numbering = this.readNumbering();
+  }
+
+  xml(name) {
+    const data = this.entries.get(name);
+    return data ? parseXml(data.toString('utf-8')) : null;
+  }
+
+  readRelationships() {
+    const relationships = new Map();
+    const rels = this.xml('word/_rels/document.xml.rels');
+    if (!rels) return relationships;
+
+    for (const rel of elements(find(rels, 'Relationships') || rels, 'Relationship')) {
+      const { Id, Target, TargetMode } = rel.attributes;
+      const external = TargetMode === 'External';
+      const target = external ? Target : path.posix.normalize(Target.startsWith('/') ? Target.slice(1) : `word/${Target}`);
+      relationships.set(Id, { target, external });
+    }
+    return relationships;
+  }
+
+  // Style ids by name, so headings are found whatever the document's language
+  readStyles() {
+    const styles = new Map();
+    const xml = this.xml('word/styles.xml');
+    if (!xml) return styles;
+
+    for (const style of elements(find(xml, 'w:styles') || xml, 'w:style')) {
+      const name = element(style, 'w:name');
+      styles.set(style.attributes['w:styleId'], name ? name.attributes['w:val'].toLowerCase() : '');
+    }
+    return styles;
+  }
+
+  // Whether each numbering id and level is an ordered list
+  readNumbering() {
+    const xml = this.xml('word/numbering.xml');
+    const ordered = new Map();
+    if (!xml) return ordered;
+
+    const root = find(xml, 'w:numbering') || xml;
+    const abstracts = new Map(elements(root, 'w:abstractNum').map(abstract => [abstract.attributes['w:abstractNumId'], abstract]));
+
+    for (const num of elements(root, 'w:num')) {
+      const abstractId = element(num, 'w:abstractNumId');
+      const abstract = abstractId && abstracts.get(abstractId.attributes['w:val']);
+      if (!abstract) continue;
+
+      for (const level of elements(abstract, 'w:lvl')) {
+        const format = element(level, 'w:numFmt');
+        const isOrdered = !!format && !['bullet', 'none'].includes(format.attributes['w:val']);
+        ordered.set(`${num.attributes['w:numId']}:${level.attributes['w:ilvl']}`, isOrdered);
+      }
+    }
+    return ordered;
+  }
+
+  async convert() {
+    const document = this.xml('word/document.xml');
+    const body = document && find(document, 'w:body');
+    if (!body) {
+      throw unsupported('Not a Word document');
+    }
+    return this.blocks(body);
+  }
+
+  async blocks(parent) {
+    let html = '';
+    const lists = []; // Open lists, innermost last: { tag }
+
+    const closeLists = (depth) => {
+      while (lists.length > depth) {
+        html += `</li></${lists.pop().tag}>`;
+      }
+    };
+
+    for (const child of elements(parent)) {
+      if (child.name === 'w:sdt') {
+        const content = element(child, 'w:sdtContent');
+        if (content) {
+          closeLists(0);
+          html += await this.blocks(content);
+        }
+        continue;
+      }
+
+      if (child.name === 'w:tbl') {
+        closeLists(0);
+        html += await this.table(child);
+        continue;
+      }
+
+      if (child.name !== 'w:p') continue;
+
+      const properties = element(child, 'w:pPr');
+      const list = this.listInfo(properties);
+      const content = await this.inline(child);
+
+      if (!list) {
+        closeLists(0);
+        html += this.paragraph(properties, content);
+        continue;
+      }
+
+      const tag = list.ordered ? 'ol' : 'ul';
+      closeLists(list.level + 1);
+      if (lists.length === list.level + 1 && lists[list.level].tag !== tag) {
+        closeLists(list.level);
+      }
+      if (lists.length === list.level + 1) {
+        html += `</li><li>${content}`;
+      } else {
+        while (lists.length < list.level + 1) {
+          lists.push({ tag });
+          html += `<${tag}><li>`;
+        }
+        html += content;
+      }
+    }
+
+    closeLists(0);
+    return html;
+  }
+
+  listInfo(properties) {
+    const numbering = properties && element(properties, 'w:numPr');
+    if (!numbering) return null;
+
+    const numId = element(numbering, 'w:numId');
+    const ilvl = element(numbering, 'w:ilvl');
+    const id = numId ? numId.attributes['w:val'] : null;
+    if (!id || id === '0') return null;
+
+    const level = Math.min(Number(ilvl ? ilvl.attributes['w:val'] : 0) || 0, 8);
+    return { level, ordered: !!this.numbering.get(`${id}:${level}`) };
+  }
+
+  paragraph(properties, content) {
+    const styleElement = properties && element(properties, 'w:pStyle');
+    const styleId = styleElement ? styleElement.attributes['w:val'] : '';
+    const name = this.styles.get(styleId) || styleId.toLowerCase();
+
+    const heading = /^heading\s*([1-6])$/.exec(name);
+    if (heading) return `<h${heading[1]}>${content}</h${heading[1]}>`;
+    if (name === 'title') return `<h1>${content}</h1>`;
+    if (name === 'subtitle') return `<h2>${content}</h2>`;
+    if (/quote/.test(name)) return `<blockquote>${content || '<br>'}</blockquote>`;
+    // Paragraphs become editor lines
+    return `<div>${content || '<br>'}</div>`;
+  }
+
+  async table(table) {
+    let html = '<table>';
+    for (const row of elements(table, 'w:tr')) {
+      html += '<tr>';
+      for (const cell of elements(row, 'w:tc')) {
+        const paragraphs = [];
+        for (const paragraph of elements(cell, 'w:p')) {
+          paragraphs.push(await this.inline(paragraph));
+        }
+        html += `<td>${paragraphs.join('<br>')}</td>`;
+      }
+      html += '</tr>';
+    }
+    return `${html}</table>`;
+  }
+
+  // Inline HTML for the runs of a paragraph (or of a hyperlink in one)
+  async inline(node) {
+    let html = '';
+    for (const child of elements(node)) {
+      switch (child.name) {
+        case 'w:r':
+          html += await this.run(child);
+          break;
+        case 'w:hyperlink': {
+          const content = await this.inline(child);
+          const rel = this.relationships.get(child.attributes['r:id']);
+          html += rel && rel.external ? `<a href="${escapeHtml(rel.target).replace(/"/g, '&quot;')}">${content}</a>` : content;
+          break;
+        }
+        case 'w:ins':
+        case 'w:smartTag':
+        case 'w:customXml':
+        case 'w:fldSimple':
+          html += await this.inline(child);
+          break;
+        case 'w:sdt': {
+          const content = element(child, 'w:sdtContent');
+          if (content) html += await this.inline(content);
+          break;
+        }
+        default:
+          // Deleted text, bookmarks, proofing marks and paragraph properties
+          break;
+      }
+    }
+    return html;
+  }
+
+  async run(run) {
+    const properties = element(run, 'w:rPr');
+    let html = '';
+
+    for (const child of elements(run)) {
+      switch (child.name) {
+        case 'w:t':
+          html += preserveSpaces(escapeHtml(child.children.join('')));
+          break;
+        case 'w:tab':
+          html += ' &nbsp; &nbsp;';
+          break;
+        case 'w:br':
+        case 'w:cr':
+          html += '<br>';
+          break;
+        case 'w:noBreakHyphen':
+          html += '-';
+          break;
+        case 'w:drawing':
+        case 'w:pict':
+          html += await this.image(child);
+          break;
+        default:
+          break;
+      }
+    }
+    if (!html) return '';
+
+    if (properties) {
+      const alignment = element(properties, 'w:vertAlign');
+      const vertical = alignment && alignment.attributes['w:val'];
+      if (vertical === 'superscript') html = `<sup>${html}</sup>`;
+      if (vertical === 'subscript') html = `<sub>${html}</sub>`;
+      if (isOn(properties, 'w:strike') || isOn(properties, 'w:dstrike')) html = `<s>${html}</s>`;
+      if (isOn(properties, 'w:u')) html = `<u>${html}</u>`;
+      if (isOn(properties, 'w:i')) html = `<em>${html}</em>`;
+      if (isOn(properties, 'w:b')) html = `<strong>${html}</strong>`;
+    }
+    return html;
+  }
+
+  // Store an embedded picture and link it; formats browsers can't show are skipped
+  async image(drawing) {
+    const blip = find(drawing, 'a:blip') || find(drawing, 'v:imagedata');
+    const id = blip && (blip.attributes['r:embed'] || blip.attributes['r:id']);
+    const rel = id && this.relationships.get(id);
+    if (!rel || rel.external) return '';
+
+    const data = this.entries.get(rel.target);
+    const info = data && imageInfo(data);
+    if (!info) return '';
+
+    if (!this.images.has(rel.target)) {
+      const filename = path.posix.basename(rel.target);
+      this.images.set(rel.target, await this.saveImage(filename, data, info.mimetype));
+    }
+
+    const saved = this.images.get(rel.target);
+    if (!saved) return '';
+
+    const properties = find(drawing, 'wp:docPr');
+    const extent = find(drawing, 'wp:extent');
+    const alt = properties ? properties.attributes.descr || properties.attributes.title || '' : '';
+    const width = extent ? Math.round(Number(extent.attributes.cx) / EMU_PER_PX) : 0;
+    const size = width > 0 ? ` width="${width}"` : '';
+    const attribute = value => escapeHtml(value).replace(/"/g, '&quot;');
+    const img = `<img src="${attribute(saved.src)}" alt="${attribute(alt)}"${size}>`;
+    return saved.href && saved.href !== saved.src ? `<a href="${attribute(saved.href)}">${img}</a>` : img;
+  }
+}
+
+async function docxToHtml(buffer, saveImage) {
+  let entries;
+  try {
+    entries = readZip(buffer);
+  } catch (err) {
+    throw unsupported(`Could not read the file: ${err.message}`);
+  }
+  const html = await new DocxReader(entries, saveImage).convert();
+  return sanitizeHtml(html);
+}
+
+// Convert an uploaded file to content for a notepad in `mode`. Images
+// embedded in DOCX files are stored with saveImage(filename, data, mimetype),
+// which returns { src, href }: the URL to show and, if it differs, the one
+// to link to. It returns null to leave the image out.
+// Returns { content, format, encoding }.
+async function importDocument(buffer, { filename, mimetype, mode, saveImage }) {
+  let format = detectFormat(buffer, filename, mimetype);
+  let html = null;
+  let text = null;
+  let encoding = null;
+
+  if (format === 'docx') {
+    html = await docxToHtml(buffer, saveImage);
+  } else {
+    if (isBinary(buffer)) {
+      throw unsupported('Only text, Markdown, HTML and Word documents can be imported');
+    }
+    ({ text, encoding } = decodeText(buffer));
+    text = text.replace(/\r\n?/g, '\n');
+    if (!format) {
+      format = looksLikeHtml(text) ? 'html' : looksLikeMarkdown(text) ? 'markdown' : 'text';
+    }
+    if (format === 'html') {
+      html = htmlToEditorHtml(text);
+    }
+  }
+
+  let content;
+  if (mode === 'markdown') {
+    content = markdown.markdownToContent(html === null ? text : htmlToMarkdown(html));
+  } else if (format === 'markdown') {
+    content = markdown.markdownToHtml(text);
+  } else {
+    content = html === null ? textToHtml(text) : html;
+  }
+
+  return { content, format, encoding };
+}
+
+module.exports = {
+  importDocument,
+  isBinary
+};
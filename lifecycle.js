@@ -0,0 +1,107 @@
+// Notepads don't have to live forever. Owners can delete them, they can be
+// given an expiry date when they are created, and burn-after-reading
+// notepads expire shortly after someone other than the owner first opens
+// them (nobody can sign in again in the meantime). Deleting a notepad takes
+// its decoy, users, revisions, feedback and attachments with it.
+//
+// Expired notepads are deleted every NOTEPAD_CLEANUP_MINUTES (default 1, 0
+// turns it off). The first reader of a burn-after-reading notepad has
+// BURN_READING_MINUTES (default 10) before it goes.
+// Run by hand with: node lifecycle.js [--dry-run]
+const db = require('./database');
+const storage = require('./storage');
+const bus = require('./pubsub');
+
+const DEFAULT_CLEANUP_MINUTES = 1;
+const DEFAULT_READING_MINUTES = 10;
+
+const MINUTE_MS = 60 * 1000;
+
+function minutesSetting(name, fallback) {
+  const minutes = Number(process.env[name]);
+  return process.env[name] !== undefined && minutes >= 0 ? minutes : fallback;
+}
+
+// When a burn-after-reading notepad opened now is deleted
+function burnTime() {
+  return new Date(Date.now() + minutesSetting('BURN_READING_MINUTES', DEFAULT_READING_MINUTES) * MINUTE_MS);
+}
+
+// Delete a notepad with everything in it. Every process disconnects the
+// people in it when it hears 'notepad-deleted'.
+async function deleteNotepad(notepadId) {
+  const files = await db.deleteNotepad(notepadId);
+  for (const file of files) {
+    await storage.remove(file.filepath).catch((error) => console.error('Error removing file:', error));
+  }
+  await bus.publish('notepad-deleted', { notepadId });
+  return files;
+}
+
+// Delete notepads past their expiry, unless `dryRun`. Returns the expired
+// notepads' rows.
+async function cleanup({ dryRun = false } = {}) {
+  const expired = await db.getExpiredNotepads(new Date());
+  if (dryRun) return expired;
+
+  for (const notepad of expired) {
+    await deleteNotepad(notepad.id);
+  }
+  return expired;
+}
+
+function formatReport(expired, dryRun) {
+  const lines = [`${dryRun ? 'Would delete' : 'Deleted'} ${expired.length} expired notepad(s)`];
+  expired.forEach((notepad) => {
+    const { expiresAt } = db.formatLifecycle(notepad);
+    lines.push(`  ${notepad.id}  expired ${expiresAt}${notepad.burned_at ? ' (burned after reading)' : ''}`);
+  });
+  return lines.join('\n');
+}
+
+// Clean up on a timer. Only one process cleans up at a time; the others skip.
+function start() {
+  const minutes = minutesSetting('NOTEPAD_CLEANUP_MINUTES', DEFAULT_CLEANUP_MINUTES);
+  if (!minutes) return;
+
+  setInterval(async () => {
+    try {
+      if (!await bus.lock('notepad-cleanup')) return;
+      try {
+        const expired = await cleanup();
+        if (expired.length) {
+          console.log(formatReport(expired, false));
+        }
+      } finally {
+        await bus.unlock('notepad-cleanup');
+      }
+    } catch (error) {
+      console.error('Error deleting expired notepads:', error);
+    }
+  }, minutes * MINUTE_MS).unref();
+}
+
+module.exports = {
+  burnTime,
+  deleteNotepad,
+  cleanup,
+  formatReport,
+  start
+};
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  // Servers sharing the Postgres bus disconnect whoever is in a deleted notepad
+  db.initializeDatabase()
+    .then(() => bus.start())
+    .then(() => cleanup({ dryRun }))
+    .then((expired) => {
+      console.log(formatReport(expired, dryRun));
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Error deleting expired notepads:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,55 @@
+// Markdown mode: the editor holds Markdown source as plain text
+const { marked } = require('marked');
+const { sanitizeHtml } = require('./sanitize');
+const { htmlToLines } = require('./diff');
+const { htmlToMarkdown } = require('./convert');
+
+const MODES = ['rich', 'markdown'];
+
+// The Markdown source held by a markdown-mode notepad's content
+function markdownSource(content) {
+  return htmlToLines(content).join('\n');
+}
+
+// Store Markdown source as editor content (a single escaped text run)
+function markdownToContent(source) {
+  return source
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\u00a0/g, '&nbsp;');
+}
+
+// Render Markdown source to sanitized HTML
+function renderMarkdown(source) {
+  return sanitizeHtml(marked.parse(source, { gfm: true, breaks: true }));
+}
+
+// Sanitized HTML for a notepad's content in either mode
+function renderNotepad(content, mode) {
+  return mode === 'markdown' ? renderMarkdown(markdownSource(content)) : sanitizeHtml(content);
+}
+
+// Render Markdown source as content for the rich text editor
+function markdownToHtml(source) {
+  // Newlines between blocks would show up as blank lines in the rich editor
+  return renderMarkdown(source).replace(/>\n+(?=<)/g, '>').replace(/\n+$/, '');
+}
+
+// Convert content when a notepad switches mode
+function convertContent(content, mode) {
+  if (mode === 'markdown') {
+    return markdownToContent(htmlToMarkdown(content));
+  }
+  return markdownToHtml(markdownSource(content));
+}
+
+module.exports = {
+  MODES,
+  markdownSource,
+  markdownToContent,
+  markdownToHtml,
+  renderMarkdown,
+  renderNotepad,
+  convertContent
+};
@@ -0,0 +1,216 @@
+// ODT (OpenDocument Text) writer for the document model in documents.js
+const { createZip } = require('./zip');
+const { escapeXml } = require('./documents');
+
+const MIMETYPE = 'application/vnd.oasis.opendocument.text';
+
+const PX_PER_INCH = 96;
+
+const NAMESPACES = [
+  'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"',
+  'xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0"',
+  'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"',
+  'xmlns:draw="urn:oasis:names:tc:opendocument:xmlns:drawing:1.0"',
+  'xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0"',
+  'xmlns:svg="urn:oasis:names:tc:opendocument:xmlns:svg-compatible:1.0"',
+  'xmlns:xlink="http://www.w3.org/1999/xlink"',
+  'xmlns:dc="http://purl.org/dc/elements/1.1/"',
+  'xmlns:meta="urn:oasis:names:tc:opendocument:xmlns:meta:1.0"'
+].join(' ');
+
+const HEADING_SIZES = ['16pt', '14pt', '13pt', '12pt', '11pt', '11pt'];
+
+const BULLETS = ['•', '◦', '▪'];
+
+// Spaces and tabs collapse in ODF text unless written as elements
+function text(value) {
+  return value.split('\t').map(part => escapeXml(part)
+    .replace(/ {2,}/g, spaces => ` <text:s text:c="${spaces.length - 1}"/>`)
+    .replace(/^ /, '<text:s/>')).join('<text:tab/>');
+}
+
+function styles() {
+  const headings = HEADING_SIZES.map((size, index) => `<style:style style:name="Heading_20_${index + 1}" style:display-name="Heading ${index + 1}" style:family="paragraph" style:parent-style-name="Heading" style:next-style-name="Text_20_body" style:default-outline-level="${index + 1}">
+<style:text-properties fo:font-size="${size}" fo:font-weight="bold"/>
+</style:style>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-styles ${NAMESPACES} office:version="1.3">
+<office:styles>
+<style:default-style style:family="paragraph">
+<style:text-properties fo:font-family="Liberation Sans" fo:font-size="11pt"/>
+</style:default-style>
+<style:style style:name="Standard" style:family="paragraph"/>
+<style:style style:name="Text_20_body" style:display-name="Text body" style:family="paragraph" style:parent-style-name="Standard">
+<style:paragraph-properties fo:margin-top="0cm" fo:margin-bottom="0.21cm"/>
+</style:style>
+<style:style style:name="Heading" style:family="paragraph" style:parent-style-name="Standard" style:next-style-name="Text_20_body">
+<style:paragraph-properties fo:margin-top="0.42cm" fo:margin-bottom="0.21cm" fo:keep-with-next="always"/>
+</style:style>
+${headings}
+<style:style style:name="Quotations" style:family="paragraph" style:parent-style-name="Text_20_body">
+<style:paragraph-properties fo:margin-left="1cm"/>
+<style:text-properties fo:font-style="italic" fo:color="#555555"/>
+</style:style>
+<style:style style:name="Preformatted_20_Text" style:display-name="Preformatted Text" style:family="paragraph" style:parent-style-name="Standard">
+<style:paragraph-properties fo:margin-bottom="0.21cm" fo:background-color="#f3f3f3"/>
+<style:text-properties fo:font-family="'Liberation Mono'" fo:font-size="10pt"/>
+</style:style>
+<style:style style:name="Internet_20_link" style:display-name="Internet link" style:family="text">
+<style:text-properties fo:color="#0563c1" style:text-underline-style="solid" style:text-underline-width="auto" style:text-underline-color="font-color"/>
+</style:style>
+</office:styles>
+</office:document-styles>`;
+}
+
+function listStyle(name, ordered) {
+  const levels = [];
+  for (let level = 1; level <= 10; level++) {
+    const element = ordered ? 'text:list-level-style-number' : 'text:list-level-style-bullet';
+    const format = ordered
+      ? 'style:num-suffix="." style:num-format="1"'
+      : `text:bullet-char="${BULLETS[(level - 1) % BULLETS.length]}"`;
+    const indent = (0.635 * level).toFixed(3);
+    levels.push(`<${element} text:level="${level}" ${format}><style:list-level-properties text:list-level-position-and-space-mode="label-alignment"><style:list-level-label-alignment text:label-followed-by="listtab" text:list-tab-stop-position="${indent}cm" fo:text-indent="-0.635cm" fo:margin-left="${indent}cm"/></style:list-level-properties></${element}>`);
+  }
+  return `<text:list-style style:name="${name}">${levels.join('')}</text:list-style>`;
+}
+
+function meta(title) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-meta ${NAMESPACES} office:version="1.3">
+<office:meta><dc:title>${escapeXml(title)}</dc:title><meta:creation-date>${new Date().toISOString().replace(/\.\d+Z$/, '')}</meta:creation-date></office:meta>
+</office:document-meta>`;
+}
+
+function manifest(images) {
+  const pictures = images.map(image => `<manifest:file-entry manifest:full-path="Pictures/${image.name}" manifest:media-type="${image.mimetype}"/>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="1.3">
+<manifest:file-entry manifest:full-path="/" manifest:version="1.3" manifest:media-type="${MIMETYPE}"/>
+<manifest:file-entry manifest:full-path="content.xml" manifest:media-type="text/xml"/>
+<manifest:file-entry manifest:full-path="styles.xml" manifest:media-type="text/xml"/>
+<manifest:file-entry manifest:full-path="meta.xml" manifest:media-type="text/xml"/>
+${pictures.join('\n')}
+</manifest:manifest>`;
+}
+
+// Collects the automatic text styles and frames used while the body is written
+class OdtWriter {
+  constructor() {
+    this.textStyles = new Map();
+    this.frames = 0;
+  }
+
+  blocks(blocks) {
+    return blocks.map(block => this.block(block)).join('');
+  }
+
+  block(block) {
+    switch (block.type) {
+      case 'heading':
+        return `<text:h text:style-name="Heading_20_${block.level}" text:outline-level="${block.level}">${this.runs(block.runs)}</text:h>`;
+      case 'code': {
+        const lines = block.text.split('\n').map(text).join('<text:line-break/>');
+        return `<text:p text:style-name="Preformatted_20_Text">${lines}</text:p>`;
+      }
+      case 'list': {
+        const items = block.items.map((item) => {
+          const content = item.length ? this.blocks(item) : '<text:p text:style-name="Standard"/>';
+          return `<text:list-item>${content}</text:list-item>`;
+        });
+        return `<text:list text:style-name="${block.ordered ? 'LNumbers' : 'LBullets'}">${items.join('')}</text:list>`;
+      }
+      default: {
+        const style = block.quote ? 'Quotations' : 'Text_20_body';
+        return `<text:p text:style-name="${style}">${this.runs(block.runs)}</text:p>`;
+      }
+    }
+  }
+
+  runs(runs) {
+    let xml = '';
+    let index = 0;
+    while (index < runs.length) {
+      const { href } = runs[index];
+      let end = index + 1;
+      while (end < runs.length && runs[end].href === href) end++;
+
+      const inner = runs.slice(index, end).map(run => this.run(run)).join('');
+      xml += href
+        ? `<text:a xlink:type="simple" xlink:href="${escapeXml(href)}" text:style-name="Internet_20_link">${inner}</text:a>`
+        : inner;
+      index = end;
+    }
+    return xml;
+  }
+
+  run(run) {
+    if (run.lineBreak) return '<text:line-break/>';
+    if (run.image) return this.frame(run);
+
+    const style = this.textStyle(run);
+    return style ? `<text:span text:style-name="${style}">${text(run.text)}</text:span>` : text(run.text);
+  }
+
+  // One automatic style per combination of emphasis
+  textStyle(run) {
+    const key = ['bold', 'italic', 'underline', 'strike', 'code'].filter(name => run[name]).join(' ');
+    if (!key) return null;
+    if (!this.textStyles.has(key)) {
+      this.textStyles.set(key, { name: `T${this.textStyles.size + 1}`, run });
+    }
+    return this.textStyles.get(key).name;
+  }
+
+  frame({ image, alt, width, height }) {
+    const id = ++this.frames;
+    const inches = px => `${(px / PX_PER_INCH).toFixed(3)}in`;
+    return `<draw:frame draw:name="Image${id}" text:anchor-type="as-char" svg:width="${inches(width)}" svg:height="${inches(height)}" draw:z-index="0">`
+      + `<draw:image xlink:href="Pictures/${image.name}" xlink:type="simple" xlink:show="embed" xlink:actuate="onLoad"/>`
+      + (alt ? `<svg:title>${escapeXml(alt)}</svg:title>` : '')
+      + '</draw:frame>';
+  }
+
+  automaticStyles() {
+    const textStyles = [...this.textStyles.values()].map(({ name, run }) => {
+      const properties = [];
+      if (run.bold) properties.push('fo:font-weight="bold"');
+      if (run.italic) properties.push('fo:font-style="italic"');
+      if (run.underline) properties.push('style:text-underline-style="solid" style:text-underline-width="auto" style:text-underline-color="font-color"');
+      if (run.strike) properties.push('style:text-line-through-style="solid"');
+      if (run.code) properties.push('fo:font-family="\'Liberation Mono\'"');
+      return `<style:style style:name="${name}" style:family="text"><style:text-properties ${properties.join(' ')}/></style:style>`;
+    });
+    return [...textStyles, listStyle('LBullets', false), listStyle('LNumbers', true)].join('\n');
+  }
+}
+
+// Build an .odt file for a document from documents.buildDocument
+function createOdt({ title, blocks, images }) {
+  const writer = new OdtWriter();
+  const body = writer.blocks(blocks);
+
+  const content = `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-content ${NAMESPACES} office:version="1.3">
+<office:automatic-styles>
+${writer.automaticStyles()}
+</office:automatic-styles>
+<office:body><office:text>${body}</office:text></office:body>
+</office:document-content>`;
+
+  // The mimetype must come first and uncompressed
+  return createZip([
+    { name: 'mimetype', data: MIMETYPE, store: true },
+    { name: 'META-INF/manifest.xml', data: manifest(images) },
+    { name: 'content.xml', data: content },
+    { name: 'styles.xml', data: styles() },
+    { name: 'meta.xml', data: meta(title) },
+    ...images.map(image => ({ name: `Pictures/${image.name}`, data: image.data, store: true }))
+  ]);
+}
+
+module.exports = {
+  MIMETYPE,
+  createOdt
+};
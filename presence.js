@@ -0,0 +1,119 @@
+const OT = require('./public/js/ot');
+
+// Colours handed out to people in a notepad, first free one wins
+const COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#9a6324', '#469990', '#808000'];
+
+// How long after their last edit someone still counts as typing
+const TYPING_TIMEOUT = 3000;
+
+// People in a notepad are kept in a room: a Map of sessionId -> entry, stored
+// on the live document so every server process has the same copy. Presence
+// is per session, so several tabs of one person share an entry. Sockets are
+// named `${processId}:${socketId}`, so a process's sockets can be dropped if
+// it goes away.
+
+function pickColor(room) {
+  const used = new Set([...room.values()].map(entry => entry.color));
+  return COLORS.find(color => !used.has(color)) || COLORS[room.size % COLORS.length];
+}
+
+// Add a socket to a session's entry, creating it for a new person.
+// `id` is sent to other clients in place of the session id.
+function join(room, sessionId, socketKey, user, id) {
+  let entry = room.get(sessionId);
+  if (!entry) {
+    entry = {
+      id,
+      username: user.username,
+      color: pickColor(room),
+      sockets: new Set(),
+      cursor: null,   // { start, end } in the live document
+      typing: false
+    };
+    room.set(sessionId, entry);
+  }
+  entry.sockets.add(socketKey);
+  return entry;
+}
+
+// Remove a socket; returns the entry once the session's last socket is gone
+function leave(room, sessionId, socketKey) {
+  const entry = room.get(sessionId);
+  if (!entry || !entry.sockets.delete(socketKey)) return null;
+  if (entry.sockets.size) return null;
+
+  room.delete(sessionId);
+  return entry;
+}
+
+// Remove every socket of a server process; returns true if anyone left
+function leaveProcess(room, processId) {
+  let changed = false;
+  room.forEach((entry, sessionId) => {
+    for (const socketKey of entry.sockets) {
+      if (socketKey.startsWith(`${processId}:`)) {
+        entry.sockets.delete(socketKey);
+      }
+    }
+    if (!entry.sockets.size) {
+      room.delete(sessionId);
+      changed = true;
+    }
+  });
+  return changed;
+}
+
+// What clients see of everyone in a notepad
+function list(room) {
+  return [...room.values()].map(entry => ({
+    id: entry.id,
+    username: entry.username,
+    color: entry.color,
+    cursor: entry.cursor,
+    typing: entry.typing
+  }));
+}
+
+// Keep every stored cursor in step with an operation applied to the document
+function mapCursors(room, op) {
+  for (const entry of room.values()) {
+    if (entry.cursor) entry.cursor = OT.transformRange(entry.cursor, op);
+  }
+}
+
+// A room as plain data, for sending to another process
+function serialize(room) {
+  return [...room].map(([sessionId, entry]) => [sessionId, { ...entry, sockets: [...entry.sockets] }]);
+}
+
+function deserialize(entries) {
+  return new Map(entries.map(([sessionId, entry]) => [sessionId, { ...entry, sockets: new Set(entry.sockets) }]));
+}
+
+// Typing timers live in the process the edits arrive at:
+// `${documentId}:${sessionId}` -> timer
+const typingTimers = new Map();
+
+// Note that a session edited. `onStop` runs once it has been quiet for
+// TYPING_TIMEOUT. Returns true if it was not typing before.
+function startTyping(documentId, sessionId, onStop) {
+  const key = `${documentId}:${sessionId}`;
+  const started = !typingTimers.has(key);
+  clearTimeout(typingTimers.get(key));
+  typingTimers.set(key, setTimeout(() => {
+    typingTimers.delete(key);
+    onStop();
+  }, TYPING_TIMEOUT));
+  return started;
+}
+
+module.exports = {
+  join,
+  leave,
+  leaveProcess,
+  list,
+  mapCursors,
+  serialize,
+  deserialize,
+  startTyping
+};
@@ -0,0 +1,118 @@
+// Sends a file to the notepad in chunks. If the connection drops it waits,
+// asks the server how far it got and carries on from there.
+const ChunkedUpload = (function () {
+  // Tries in a row without getting anywhere before giving up (waiting for
+  // the browser to come back online doesn't count)
+  const MAX_FAILURES = 8;
+  const MAX_DELAY = 30 * 1000;
+
+  class UploadError extends Error {}
+
+  function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, ms);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(signal.reason);
+        }, { once: true });
+      }
+    });
+  }
+
+  function waitForOnline(signal) {
+    if (navigator.onLine) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      window.addEventListener('online', resolve, { once: true });
+      if (signal) signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+  }
+
+  // A JSON request to the uploads API. Answers the server gave are returned
+  // (or thrown as UploadError); network failures and server errors throw
+  // whatever fetch threw, to be retried.
+  async function request(url, options) {
+    const response = await fetch(url, options);
+    let data;
+    try {
+      data = await response.json();
+    } catch (error) {
+      throw new Error(`Unexpected response (${response.status})`);
+    }
+    if (data.success || response.status === 409) return data;
+    if (response.status >= 500) throw new Error(data.error || `Server error (${response.status})`);
+    throw new UploadError(data.error || 'Failed to upload file');
+  }
+
+  // Upload `blob` as `filename` and resolve with the stored file. Progress
+  // is reported as onProgress(sentBytes, totalBytes), and onRetry() is called
+  // when a request failed and is about to be tried again. Aborting `signal`
+  // cancels the upload on the server too.
+  async function upload(notepadId, blob, filename, { onProgress = () => {}, onRetry = () => {}, signal } = {}) {
+    const base = `/api/notepad/${notepadId}/uploads`;
+    const json = { 'Content-Type': 'application/json' };
+
+    const started = await request(base, {
+      method: 'POST',
+      headers: json,
+      body: JSON.stringify({ filename, size: blob.size, mimetype: blob.type }),
+      signal
+    });
+    const { uploadId, chunkSize } = started;
+    let received = started.received;
+    let failures = 0;
+
+    try {
+      while (true) {
+        onProgress(received, blob.size);
+        try {
+          if (received < blob.size) {
+            const chunk = blob.slice(received, received + chunkSize);
+            const data = await request(`${base}/${uploadId}?offset=${received}`, {
+              method: 'PUT',
+              headers: { 'Content-Type': 'application/octet-stream' },
+              body: chunk,
+              signal
+            });
+            // A 409 tells us where the server is; either way carry on from there
+            received = data.received;
+          } else {
+            const data = await request(`${base}/${uploadId}/complete`, { method: 'POST', signal });
+            if (data.success) {
+              onProgress(blob.size, blob.size);
+              return data.file;
+            }
+            // An earlier attempt of ours is still storing it
+            if (data.completing) await wait(1000, signal);
+            received = data.received;
+          }
+          failures = 0;
+        } catch (error) {
+          if (error instanceof UploadError || (signal && signal.aborted)) throw error;
+          if (++failures > MAX_FAILURES) throw new UploadError('The connection keeps failing, the upload was stopped');
+          onRetry();
+
+          await waitForOnline(signal);
+          await wait(Math.min(1000 * 2 ** (failures - 1), MAX_DELAY), signal);
+
+          // The last chunk may have arrived even though its answer didn't
+          try {
+            received = (await request(`${base}/${uploadId}`, { signal })).received;
+          } catch (statusError) {
+            if (statusError instanceof UploadError) throw statusError;
+          }
+        }
+      }
+    } catch (error) {
+      if (signal && signal.aborted) {
+        fetch(`${base}/${uploadId}`, { method: 'DELETE' }).catch(() => {});
+      }
+      throw error;
+    }
+  }
+
+  return {
+    upload,
+    UploadError
+  };
+})();
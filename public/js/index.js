@@ -20,7 +20,9 @@ if (themeToggle) {
   themeToggle.addEventListener('click', toggleTheme);
 }
 
-// Create Notepad Form
+// Create Notepad Form, opened from the glitch page
+const createEntry = document.getElementById('createEntry');
+const createModal = document.getElementById('createModal');
 const createForm = document.getElementById('createForm');
 const successModal = document.getElementById('successModal');
 const copyUrlBtn = document.getElementById('copyUrlBtn');
@@ -28,12 +30,32 @@ const goToNotepadBtn = document.getElementById('goToNotepad');
 
 let createdNotepadUrl = '';
 
+createEntry.addEventListener('click', () => {
+  createModal.classList.add('active');
+  document.getElementById('ownerUsername').focus();
+});
+
 createForm.addEventListener('submit', async (e) => {
   e.preventDefault();
 
+  const ownerUsername = document.getElementById('ownerUsername').value.trim();
   const mainPassword = document.getElementById('mainPassword').value;
   const altPassword = document.getElementById('altPassword').value;
 
+  // Optional: hours until the notepad is deleted, and burn after reading
+  const expiresIn = document.getElementById('expiresIn');
+  const burnAfterReading = document.getElementById('burnAfterReading').checked;
+  let expiresAt;
+  if (expiresIn.value.trim() !== '') {
+    const hours = Number(expiresIn.value);
+    expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+    if (!(hours > 0) || isNaN(expiresAt.getTime())) {
+      alert('Delete after must be a number of hours greater than zero.');
+      expiresIn.focus();
+      return;
+    }
+  }
+
   try {
     const response = await fetch('/api/notepad/create', {
       method: 'POST',
@@ -41,8 +63,11 @@ createForm.addEventListener('submit', async (e) => {
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({
+        username: ownerUsername || undefined,
         password: mainPassword,
-        altPassword: altPassword
+        altPassword: altPassword,
+        expiresAt: expiresAt ? expiresAt.toISOString() : undefined,
+        burnAfterReading
       })
     });
 
@@ -52,9 +77,12 @@ createForm.addEventListener('submit', async (e) => {
       // Show success modal
       createdNotepadUrl = window.location.origin + data.url;
       document.getElementById('notepadUrl').value = createdNotepadUrl;
+      document.getElementById('ownerUserDisplay').textContent = data.users[0];
       document.getElementById('mainPassDisplay').textContent = mainPassword;
+      document.getElementById('decoyUserDisplay').textContent = data.users[1];
       document.getElementById('altPassDisplay').textContent = altPassword;
       
+      createModal.classList.remove('active');
       successModal.classList.add('active');
       
       // Reset form
@@ -100,9 +128,11 @@ goToNotepadBtn.addEventListener('click', () => {
   window.location.href = createdNotepadUrl;
 });
 
-// Close modal on outside click
-successModal.addEventListener('click', (e) => {
-  if (e.target === successModal) {
-    successModal.classList.remove('active');
-  }
+// Close modals on outside click
+[createModal, successModal].forEach(modal => {
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      modal.classList.remove('active');
+    }
+  });
 });
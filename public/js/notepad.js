@@ -30,12 +30,20 @@ const lineCount = document.getElementById('lineCount');
 const userCount = document.getElementById('userCount');
 const timestamp = document.getElementById('timestamp');
 const uploadedFiles = document.getElementById('uploadedFiles');
+const attachments = new Map(); // File id -> file shown in the attachments bar
+const uploadProgress = document.getElementById('uploadProgress');
+const connectionStatus = document.getElementById('connectionStatus');
+const lifecycleBanner = document.getElementById('lifecycleBanner');
 
 // Socket.IO connection
 let socket;
 let currentUsername = '';
+let currentUserId = null;
 let isAuthenticated = false;
+let isOwner = false;
+let currentRole = 'viewer';
 let isBlankMode = false;
+let isMarkdownMode = false; // The editor holds Markdown source instead of rich text
 
 // Authentication
 authForm.addEventListener('submit', async (e) => {
@@ -64,13 +72,20 @@ authForm.addEventListener('submit', async (e) => {
       } else {
         // Correct credentials
         currentUsername = data.username;
+        currentUserId = data.userId;
         isAuthenticated = true;
+        isOwner = !!data.isOwner;
+        currentRole = data.role;
         isBlankMode = false;
         showNotepad();
+        applyRole();
         authModal.classList.remove('active');
         initializeSocket();
         loadNotepad();
       }
+    } else if (response.status === 429) {
+      authError.textContent = data.error;
+      authError.classList.add('active');
     } else {
       authError.textContent = 'Authentication failed. Please try again.';
       authError.classList.add('active');
@@ -91,29 +106,331 @@ function showNotepad() {
   }
 }
 
+// Roles: owners and editors edit, commenters add feedback, viewers only read
+function canEdit() {
+  return currentRole === 'owner' || currentRole === 'editor';
+}
+
+function canComment() {
+  return canEdit() || currentRole === 'commenter';
+}
+
+// Show only what the current role allows
+function applyRole() {
+  const editable = canEdit();
+  // Markdown source is plain text, so formatting and pasted markup are left out
+  editor.contentEditable = editable ? (isMarkdownMode ? 'plaintext-only' : 'true') : 'false';
+  editor.setAttribute('data-placeholder', editable ? 'Start typing...' : 'Nothing here yet.');
+
+  ['importBtn', 'uploadFileBtn', 'voiceRecordBtn', 'restoreRevisionBtn', 'markdownBtn'].forEach(id => {
+    const btn = document.getElementById(id);
+    if (btn) btn.style.display = editable ? '' : 'none';
+  });
+  uploadedFiles.querySelectorAll('.file-delete-btn').forEach(btn => {
+    btn.style.display = editable ? '' : 'none';
+  });
+}
+
+// Collaborative editing state (operations are built with /js/ot.js)
+let docInstance = null;    // Which load of the document on the server versions count in
+let docVersion = 0;        // Last server version this client has seen
+let confirmedContent = ''; // Server content at docVersion, without our pending edits
+let syncedContent = '';    // Editor content as of the last captured change
+let outstandingOp = null;  // Sent to the server, waiting for acknowledgment
+let outstandingId = null;  // Id the outstanding op was sent with
+let bufferedOp = null;     // Local changes waiting for the outstanding op
+let saveFailed = false;    // The server refused the last op we sent
+
 // Initialize Socket.IO
 function initializeSocket() {
+  const restored = restoreOfflineQueue();
   socket = io();
 
-  socket.emit('join-notepad', notepadId);
+  // (Re)join on every connection; the first join waits for edits saved offline
+  socket.on('connect', () => {
+    restored.then(joinNotepad);
+  });
+
+  socket.on('disconnect', () => {
+    // Don't let Socket.IO replay stale events on reconnect; rejoining resends edits
+    socket.sendBuffer = [];
+    setConnectionState('offline');
+    setPresence([]);
+    saveOfflineQueue();
+  });
+
+  socket.on('connect_error', (error) => {
+    console.error('Socket connection error:', error.message);
+    setConnectionState('offline');
+  });
+
+  // The owner renamed us or changed our role
+  socket.on('user-updated', (data) => {
+    currentUsername = data.username;
+    currentRole = data.role;
+    applyRole();
+    renderFeedback();
+  });
 
   socket.on('active-users', (count) => {
     userCount.textContent = count;
   });
 
   socket.on('content-update', (data) => {
-    if (data.editor !== currentUsername) {
-      // Content is trusted (sanitized by server/editor logic) and needs to render HTML
-      editor.innerHTML = data.content;
-      updateStats();
-      updateLineNumbers();
-      updateTimestamp(data.timestamp);
-    }
+    receiveRemoteOp(data.ops);
+    updateTimestamp(data.timestamp);
+    schedulePreview();
+  });
+
+  socket.on('mode-changed', (data) => {
+    setMode(data.mode);
   });
 
   socket.on('feedback-added', (feedback) => {
+    if (!feedback.parentId) {
+      addFeedbackAnchor(feedback.id, { start: feedback.anchorStart, end: feedback.anchorEnd });
+    }
     displayFeedback(feedback);
   });
+
+  socket.on('feedback-updated', (feedback) => {
+    displayFeedback(feedback);
+  });
+
+  socket.on('feedback-deleted', (data) => {
+    removeFeedback(data.id);
+  });
+
+  socket.on('file-deleted', (data) => {
+    removeFileChip(data.id);
+  });
+
+  // The owner deleted the notepad, or it expired
+  socket.on('notepad-deleted', () => {
+    notepadDeleted();
+  });
+
+  socket.on('presence', (users) => {
+    setPresence(users);
+  });
+
+  socket.on('cursor-update', (data) => {
+    setRemoteCursor(data.id, data.cursor);
+  });
+
+  socket.on('typing', (data) => {
+    const user = presenceUsers.get(data.id);
+    if (user) {
+      user.typing = data.typing;
+      renderPresence();
+    }
+  });
+}
+
+// Merge an operation from the server into the editor
+function applyRemoteOp(remoteOp) {
+  // Keep anything typed since the last save before merging the remote edit
+  captureLocalChanges();
+  const selection = getCursorRange();
+
+  let op = remoteOp;
+  if (outstandingOp) {
+    [outstandingOp, op] = OT.transform(outstandingOp, op);
+  }
+  if (bufferedOp) {
+    [bufferedOp, op] = OT.transform(bufferedOp, op);
+  }
+
+  syncedContent = OT.apply(syncedContent, op);
+  mapFeedbackAnchors(op);
+  mapRemoteCursors(op);
+  mapDropTargets(op);
+  renderContent(syncedContent, selection && OT.transformRange(selection, op));
+}
+
+// An operation from another client, made against the version after ours
+function receiveRemoteOp(op) {
+  docVersion++;
+  confirmedContent = OT.apply(confirmedContent, op);
+  applyRemoteOp(op);
+}
+
+// The server applied our outstanding op, followed by `fix` if it had to clean it up
+function acknowledgeOp(fix) {
+  docVersion++;
+  confirmedContent = OT.apply(confirmedContent, outstandingOp);
+  outstandingOp = null;
+  outstandingId = null;
+
+  if (fix) {
+    confirmedContent = OT.apply(confirmedContent, fix);
+    applyRemoteOp(fix);
+  }
+}
+
+// Join the notepad room. The first time we start from the server's version;
+// after a dropped connection we catch up and keep our unsent edits.
+function joinNotepad() {
+  const resume = docInstance ? { instance: docInstance, version: docVersion, pending: outstandingId } : null;
+  if (resume) setConnectionState('syncing');
+
+  socket.emit('join-notepad', notepadId, { resume }, (response) => {
+    if (!response || !response.success) {
+      showSaveStatus('error');
+      return;
+    }
+
+    let conflict = false;
+    if (resume) {
+      // Replay what we missed as if it had arrived live, then merge what is left
+      if (response.missed) catchUp(response.missed, response.receipt);
+      conflict = reconcile(response);
+    } else {
+      docVersion = response.version;
+      confirmedContent = response.content;
+      syncedContent = response.content;
+      outstandingOp = null;
+      outstandingId = null;
+      bufferedOp = null;
+      setFeedbackAnchors(response.anchors);
+    }
+    docInstance = response.instance;
+    setMode(response.mode);
+    renderContent(syncedContent);
+
+    if (conflict) {
+      setConnectionState('conflict');
+    } else if (connectionState !== 'conflict') {
+      setConnectionState(bufferedOp ? 'syncing' : 'online');
+    }
+    saveContent();
+
+    // Everyone's cursors follow in a presence broadcast
+    presenceId = response.presenceId;
+    sentCursor = undefined;
+    sendCursor();
+  });
+}
+
+// Apply operations the server applied while we were disconnected. One of
+// them may be our outstanding op, which then counts as acknowledged.
+function catchUp(missed, receipt) {
+  missed.forEach(op => {
+    if (outstandingOp && receipt && receipt.version === docVersion + 1) {
+      acknowledgeOp(receipt.fix);
+    } else {
+      receiveRemoteOp(op);
+    }
+  });
+}
+
+// Rebase our pending edits onto the server's content. After catching up this
+// only resends what never arrived; if the server could not say what we missed
+// (it reloaded the notepad, or we were away too long) both sides' changes
+// since confirmedContent are merged. Returns true if they touched the same text.
+function reconcile({ content, version, anchors }) {
+  captureLocalChanges();
+
+  let base = confirmedContent;
+  let local = outstandingOp && bufferedOp ? OT.compose(outstandingOp, bufferedOp) : (outstandingOp || bufferedOp);
+  if (outstandingOp && OT.apply(base, outstandingOp) === content) {
+    // It arrived, and nothing else changed since
+    base = content;
+    local = bufferedOp;
+  }
+
+  let conflict = false;
+  if (local && base !== content) {
+    const remote = OT.diff(base, content);
+    conflict = rangesOverlap(changedRanges(local), changedRanges(remote));
+    local = OT.transform(local, remote)[0];
+  }
+
+  docVersion = version;
+  confirmedContent = content;
+  outstandingOp = null;
+  outstandingId = null;
+  bufferedOp = local && !isNoop(local) ? local : null;
+  syncedContent = bufferedOp ? OT.apply(content, bufferedOp) : content;
+
+  setFeedbackAnchors(anchors);
+  if (bufferedOp) mapFeedbackAnchors(bufferedOp);
+  return conflict;
+}
+
+function isNoop(op) {
+  return op.every(component => typeof component === 'number' && component > 0);
+}
+
+// The [start, end] spans of the original document an operation changes
+function changedRanges(op) {
+  const ranges = [];
+  let position = 0;
+  op.forEach(component => {
+    if (typeof component === 'string') {
+      ranges.push([position, position]);
+    } else if (component < 0) {
+      ranges.push([position, position - component]);
+      position -= component;
+    } else {
+      position += component;
+    }
+  });
+  return ranges;
+}
+
+function rangesOverlap(a, b) {
+  return a.some(([start, end]) => b.some(([otherStart, otherEnd]) => start <= otherEnd && otherStart <= end));
+}
+
+// Replace the editor content, keeping the caret where it was. A `selection`
+// (offsets into the new content) is restored instead when the caller knows
+// where an edit moved it.
+function renderContent(content, selection) {
+  const caret = selection ? null : getCaretOffset();
+  // Content is sanitized by the server before it is stored or broadcast
+  editor.innerHTML = content;
+  if (selection) {
+    setCursorRange(selection);
+  } else if (caret !== null) {
+    setCaretOffset(caret);
+  }
+  updateStats();
+  updateLineNumbers();
+  renderFeedback();
+  renderCursors();
+}
+
+// Caret position as a character offset into the editor's text
+function getCaretOffset() {
+  const selection = window.getSelection();
+  if (!selection.rangeCount || !editor.contains(selection.anchorNode)) {
+    return null;
+  }
+
+  const range = selection.getRangeAt(0).cloneRange();
+  range.selectNodeContents(editor);
+  range.setEnd(selection.anchorNode, selection.anchorOffset);
+  return range.toString().length;
+}
+
+function setCaretOffset(offset) {
+  const walker = document.createTreeWalker(editor, NodeFilter.SHOW_TEXT);
+  let remaining = offset;
+  let node;
+
+  while ((node = walker.nextNode())) {
+    if (remaining <= node.length) {
+      const range = document.createRange();
+      range.setStart(node, remaining);
+      range.collapse(true);
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+      return;
+    }
+    remaining -= node.length;
+  }
 }
 
 // Load notepad content
@@ -123,10 +440,7 @@ async function loadNotepad() {
     const data = await response.json();
 
     if (data.success) {
-      editor.innerHTML = data.notepad.content;
-      updateStats();
-      updateLineNumbers();
-      
+      // Content itself arrives with the join-notepad acknowledgment
       if (data.notepad.updated_at) {
         updateTimestamp(data.notepad.updated_at);
       }
@@ -136,12 +450,39 @@ async function loadNotepad() {
 
       // Load files
       data.files.forEach(displayFile);
+
+      showLifecycle(data.lifecycle);
     }
   } catch (error) {
     console.error('Error loading notepad:', error);
   }
 }
 
+// Say when the notepad will be deleted, if it will
+function showLifecycle({ expiresAt, burnAfterReading, burned }) {
+  if (burned) {
+    lifecycleBanner.textContent = `This notepad burns after reading. Nobody can open it again, ` +
+      `and it is deleted at ${formatTimestamp(expiresAt)}: copy anything you need before then.`;
+  } else if (burnAfterReading) {
+    lifecycleBanner.textContent = 'This notepad burns after reading: it is deleted shortly after someone ' +
+      'other than the owner first opens it.' + (expiresAt ? ` Otherwise it is deleted at ${formatTimestamp(expiresAt)}.` : '');
+  } else if (expiresAt) {
+    lifecycleBanner.textContent = `This notepad is deleted at ${formatTimestamp(expiresAt)}.`;
+  } else {
+    lifecycleBanner.textContent = '';
+  }
+}
+
+// Nothing more can be done here once the notepad is gone; what is on
+// screen stays readable
+function notepadDeleted() {
+  currentRole = 'viewer';
+  applyRole();
+  OfflineQueue.remove(offlineQueueKey()).catch(() => {});
+  lifecycleBanner.textContent = 'This notepad has been deleted.';
+  lifecycleBanner.classList.add('deleted');
+}
+
 // Editor input handler with debounce
 let saveTimeout;
 editor.addEventListener('input', () => {
@@ -151,32 +492,179 @@ editor.addEventListener('input', () => {
   clearTimeout(saveTimeout);
   saveTimeout = setTimeout(() => {
     saveContent();
-  }, 1000); // Save after 1 second of no typing
+    renderFeedback();
+    renderCursors();
+  }, 300); // Send changes after a short pause in typing
 });
 
+// Turn edits since the last capture into an operation waiting to be sent
+function captureLocalChanges() {
+  const content = editor.innerHTML; // Use innerHTML to preserve media elements
+  if (content === syncedContent) return;
+
+  const op = OT.diff(syncedContent, content);
+  syncedContent = content;
+  bufferedOp = bufferedOp ? OT.compose(bufferedOp, op) : op;
+  mapFeedbackAnchors(op);
+  mapRemoteCursors(op);
+  mapDropTargets(op);
+}
+
 // Save content with status indicator
 function saveContent() {
-  const content = editor.innerHTML; // Use innerHTML to preserve media elements
-  
+  if (!socket || isBlankMode || !canEdit()) return;
+
+  captureLocalChanges();
+
+  if (!outstandingOp && !bufferedOp) {
+    showSaveStatus('saved');
+    return;
+  }
+
+  // Offline, edits wait in the queue until we rejoin
+  if (!socket.connected) {
+    saveOfflineQueue();
+    return;
+  }
+
   // Show saving status
   showSaveStatus('saving');
+  sendBufferedOp();
+}
 
-  if (socket && !isBlankMode) {
-    socket.emit('content-change', {
-      notepadId,
-      content,
-      username: currentUsername
-    }, (response) => {
-      // Show saved status on acknowledgment
-      if (response && response.success) {
-        showSaveStatus('saved');
+// Resolve to true once every local edit has been acknowledged by the
+// server, or to false if they can't get there (offline, or refused)
+function waitForSync() {
+  saveContent();
+  return new Promise((resolve) => {
+    const check = () => {
+      if (!outstandingOp && !bufferedOp) return resolve(true);
+      if (!socket.connected || saveFailed) return resolve(false);
+      setTimeout(check, 50);
+    };
+    check();
+  });
+}
+
+// Send buffered changes once the previous operation has been acknowledged
+function sendBufferedOp() {
+  if (outstandingOp || !bufferedOp || !socket.connected) return;
+
+  outstandingOp = bufferedOp;
+  bufferedOp = null;
+  saveFailed = false;
+
+  outstandingId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  const id = outstandingId;
+
+  socket.emit('content-change', {
+    notepadId,
+    version: docVersion,
+    ops: outstandingOp,
+    id
+  }, (response) => {
+    // Answered after a reconnect already settled this op
+    if (id !== outstandingId) return;
+
+    if (response && response.success) {
+      // The server may have stripped markup it doesn't allow from our edit
+      acknowledgeOp(response.fix);
+
+      if (bufferedOp) {
+        sendBufferedOp();
       } else {
-        showSaveStatus('error');
+        // Show saved status on acknowledgment
+        showSaveStatus('saved');
+        if (connectionState === 'syncing') setConnectionState('online');
+        if (cursorPending) sendCursor();
+      }
+      saveOfflineQueue();
+      schedulePreview();
+    } else {
+      saveFailed = true;
+      showSaveStatus('error');
+      if (response && response.resync) {
+        // Our copy diverged from the server; catch up from its version, keeping our edits
+        joinNotepad();
       }
+    }
+  });
+}
+
+// Offline queue: unacknowledged edits as of the last version we saw,
+// so they can be rebased when we reconnect or the page is opened again
+function offlineQueueKey() {
+  return `${notepadId}:${currentUserId || currentUsername}`;
+}
+
+function saveOfflineQueue() {
+  if (!docInstance || !canEdit()) return;
+
+  captureLocalChanges();
+  const key = offlineQueueKey();
+  const pending = !outstandingOp && !bufferedOp
+    ? OfflineQueue.remove(key)
+    : OfflineQueue.save(key, {
+      instance: docInstance,
+      version: docVersion,
+      base: confirmedContent,
+      outstanding: outstandingOp,
+      outstandingId,
+      buffered: bufferedOp,
+      savedAt: new Date().toISOString()
     });
+  pending.catch(error => console.error('Offline queue error:', error));
+}
+
+// Pick up edits left from a visit that ended before they reached the server
+async function restoreOfflineQueue() {
+  try {
+    const entry = await OfflineQueue.load(offlineQueueKey());
+    if (!entry) return;
+
+    docInstance = entry.instance;
+    docVersion = entry.version;
+    confirmedContent = entry.base;
+    outstandingOp = entry.outstanding;
+    outstandingId = entry.outstandingId;
+    bufferedOp = entry.buffered;
+
+    syncedContent = confirmedContent;
+    if (outstandingOp) syncedContent = OT.apply(syncedContent, outstandingOp);
+    if (bufferedOp) syncedContent = OT.apply(syncedContent, bufferedOp);
+    renderContent(syncedContent);
+  } catch (error) {
+    console.error('Offline queue error:', error);
   }
 }
 
+// Connection indicator in the footer: online (hidden), offline, syncing or conflict
+const CONNECTION_LABELS = {
+  online: '',
+  offline: 'Offline – edits are kept on this device',
+  syncing: 'Syncing…',
+  conflict: 'Merged with changes made while you were offline – check the text'
+};
+
+let connectionState = 'online';
+
+function setConnectionState(state) {
+  connectionState = state;
+  connectionStatus.textContent = CONNECTION_LABELS[state];
+  connectionStatus.className = `connection-status ${state}`;
+  connectionStatus.title = state === 'conflict'
+    ? 'Earlier versions are in History. Click to dismiss.'
+    : '';
+}
+
+connectionStatus.addEventListener('click', () => {
+  if (connectionState === 'conflict') {
+    setConnectionState(outstandingOp || bufferedOp ? 'syncing' : 'online');
+  }
+});
+
+window.addEventListener('pagehide', saveOfflineQueue);
+
 // Show save status indicator
 function showSaveStatus(status) {
   const statusEl = document.getElementById('saveStatus') || createSaveStatusElement();
@@ -249,6 +737,10 @@ function updateLineNumbers() {
 
 // Update timestamp - Full date/time format in Bangkok timezone
 function updateTimestamp(isoString) {
+  timestamp.textContent = formatTimestamp(isoString);
+}
+
+function formatTimestamp(isoString) {
   const date = new Date(isoString);
   
   // Format with Bangkok timezone (UTC+7): "Feb 6, 2026, 21:12"
@@ -262,29 +754,33 @@ function updateTimestamp(isoString) {
     timeZone: 'Asia/Bangkok' // UTC+7
   };
   
-  const formatted = date.toLocaleString('en-US', options);
-  timestamp.textContent = formatted;
+  return date.toLocaleString('en-US', options);
 }
 
 // File Upload Handlers
-document.getElementById('uploadTxtBtn').addEventListener('click', () => {
-  document.getElementById('txtFileInput').click();
+document.getElementById('importBtn').addEventListener('click', () => {
+  // The file dialog takes focus, so remember where the caret was
+  const selection = window.getSelection();
+  importRange = selection.rangeCount > 0 && editor.contains(selection.anchorNode)
+    ? selection.getRangeAt(0).cloneRange()
+    : null;
+  document.getElementById('importFileInput').click();
 });
 
 document.getElementById('uploadFileBtn').addEventListener('click', () => {
   document.getElementById('fileInput').click();
 });
 
-document.getElementById('txtFileInput').addEventListener('change', async (e) => {
+document.getElementById('importFileInput').addEventListener('change', async (e) => {
   const file = e.target.files[0];
   if (!file) return;
 
   const formData = new FormData();
-  formData.append('file', file);
   formData.append('notepadId', notepadId);
+  formData.append('file', file);
 
   try {
-    const response = await fetch('/api/upload/txt', {
+    const response = await fetch('/api/upload/document', {
       method: 'POST',
       body: formData
     });
@@ -292,80 +788,217 @@ document.getElementById('txtFileInput').addEventListener('change', async (e) =>
     const data = await response.json();
 
     if (data.success) {
-      editor.innerText = data.content;
-      updateStats();
-      updateLineNumbers();
-      saveContent();
+      data.files.forEach(displayFile);
+      openImportModal(data);
+    } else {
+      alert(data.error || 'Failed to import file');
     }
   } catch (error) {
-    console.error('Upload error:', error);
-    alert('Failed to upload file');
+    console.error('Import error:', error);
+    alert('Failed to import file');
   }
 
   e.target.value = ''; // Reset input
 });
 
-document.getElementById('fileInput').addEventListener('change', async (e) => {
-  const file = e.target.files[0];
-  if (!file) return;
+document.getElementById('fileInput').addEventListener('change', (e) => {
+  [...e.target.files].forEach(file => queueUpload(file, file.name));
+  e.target.value = ''; // Reset input
+});
 
-  const formData = new FormData();
-  formData.append('file', file);
-  formData.append('notepadId', notepadId);
+// Uploads go one at a time, so files land in the document in the order
+// they were chosen or dropped
+const uploadQueue = [];
+let uploading = false;
+
+// Where dropped files are still to go: { position, files } with an offset
+// into syncedContent, moved along by every edit until the files arrive
+const dropTargets = new Set();
+
+// Upload a file in chunks, showing its progress, then add it to the
+// attachments bar and the document. `target` is from dropTargets; without
+// one the file goes at the end.
+function queueUpload(blob, filename, target = null) {
+  const job = { blob, filename, target, controller: new AbortController(), item: createUploadItem(filename) };
+
+  job.item.querySelector('.upload-cancel').addEventListener('click', () => {
+    // Running uploads finish up when the abort reaches them; failed ones are just dismissed
+    job.controller.abort();
+    const queued = uploadQueue.indexOf(job);
+    if (queued !== -1) uploadQueue.splice(queued, 1);
+    if (queued !== -1 || job.item.classList.contains('failed')) finishUpload(job);
+  });
 
-  try {
-    const response = await fetch('/api/upload/file', {
-      method: 'POST',
-      body: formData
-    });
+  uploadQueue.push(job);
+  runUploadQueue();
+}
 
-    const data = await response.json();
+async function runUploadQueue() {
+  if (uploading) return;
+  uploading = true;
+  while (uploadQueue.length) {
+    await runUpload(uploadQueue.shift());
+  }
+  uploading = false;
+}
 
-    if (data.success) {
-      displayFile(data.file);
-      
-      // Insert media element directly into editor
-      const mimetype = data.file.mimetype;
-      let mediaElement;
-      
-      if (mimetype.startsWith('image/')) {
-        mediaElement = document.createElement('img');
-        mediaElement.src = data.file.url;
-        mediaElement.alt = data.file.filename;
-        mediaElement.style.maxWidth = '100%';
-        mediaElement.style.display = 'block';
-        mediaElement.style.margin = '10px 0';
-      } else if (mimetype.startsWith('video/')) {
-        mediaElement = document.createElement('video');
-        mediaElement.src = data.file.url;
-        mediaElement.controls = true;
-        mediaElement.style.maxWidth = '100%';
-        mediaElement.style.display = 'block';
-        mediaElement.style.margin = '10px 0';
-      } else if (mimetype.startsWith('audio/')) {
-        mediaElement = document.createElement('audio');
-        mediaElement.src = data.file.url;
-        mediaElement.controls = true;
-        mediaElement.style.display = 'block';
-        mediaElement.style.margin = '10px 0';
-      }
-      
-      if (mediaElement) {
-        // Wrap media in container with delete button
-        const wrapper = createMediaWrapper(mediaElement);
-        editor.appendChild(wrapper);
-        editor.appendChild(document.createElement('br')); // Add line break
-        saveContent();
+async function runUpload(job) {
+  const bar = job.item.querySelector('progress');
+  const status = job.item.querySelector('.upload-status');
+
+  try {
+    const file = await ChunkedUpload.upload(notepadId, job.blob, job.filename, {
+      signal: job.controller.signal,
+      onProgress: (sent, total) => {
+        bar.value = total ? sent / total : 1;
+        status.textContent = `${Math.floor(bar.value * 100)}%`;
+      },
+      onRetry: () => {
+        status.textContent = navigator.onLine ? 'Reconnecting…' : 'Waiting for connection…';
       }
-    }
+    });
+
+    displayFile(file);
+    insertUploadedFile(file, job.target);
+    finishUpload(job);
   } catch (error) {
+    if (job.controller.signal.aborted) {
+      finishUpload(job);
+      return;
+    }
     console.error('Upload error:', error);
-    alert('Failed to upload file');
+
+    // Failed uploads stay listed until dismissed, with the reason
+    job.item.classList.add('failed');
+    status.textContent = error instanceof ChunkedUpload.UploadError ? error.message : 'Failed to upload file';
+    job.item.querySelector('.upload-cancel').title = 'Dismiss';
+    releaseDropTarget(job);
   }
+}
 
-  e.target.value = ''; // Reset input
+function finishUpload(job) {
+  job.item.remove();
+  releaseDropTarget(job);
+}
+
+function releaseDropTarget(job) {
+  if (job.target && --job.target.files === 0) dropTargets.delete(job.target);
+  job.target = null;
+}
+
+function createUploadItem(filename) {
+  const item = document.createElement('div');
+  item.className = 'upload-item';
+  item.innerHTML = `
+    <span class="upload-name"></span>
+    <progress max="1" value="0"></progress>
+    <span class="upload-status">Waiting…</span>
+    <button class="upload-cancel" title="Cancel upload">×</button>
+  `;
+  item.querySelector('.upload-name').textContent = filename;
+  uploadProgress.appendChild(item);
+  return item;
+}
+
+// Keep drop targets on their spot through an edit to syncedContent; text
+// typed right at one goes before the file
+function mapDropTargets(op) {
+  dropTargets.forEach(target => {
+    target.position = OT.transformPosition(target.position, op, true);
+  });
+}
+
+// The element that shows an uploaded file in the document, if it is media
+function uploadedMedia(file) {
+  if (file.mimetype.startsWith('image/')) {
+    return uploadedImage(file);
+  }
+
+  let media;
+  if (file.mimetype.startsWith('video/')) {
+    media = document.createElement('video');
+    media.style.maxWidth = '100%';
+  } else if (file.mimetype.startsWith('audio/')) {
+    media = document.createElement('audio');
+  } else {
+    return null;
+  }
+  media.src = file.url;
+  media.controls = true;
+  media.style.display = 'block';
+  media.style.margin = '10px 0';
+  return media;
+}
+
+// Put an uploaded file into the document at a drop target, or at the end.
+// Files that aren't media only go in the attachments bar.
+function insertUploadedFile(file, target) {
+  // Brings the target up to date with anything typed since the last capture
+  captureLocalChanges();
+
+  const range = document.createRange();
+  const position = target && domPosition(target.position);
+  if (position) {
+    range.setStart(position.node, position.offset);
+  } else {
+    range.selectNodeContents(editor);
+    range.collapse(false);
+  }
+
+  if (isMarkdownMode) {
+    insertMarkdownMedia(file, range);
+  } else {
+    const media = uploadedMedia(file);
+    if (!media) return;
+
+    // Wrap media in container with delete button
+    range.insertNode(document.createElement('br'));
+    range.insertNode(createMediaWrapper(media));
+    saveContent();
+  }
+
+  // The range now covers what went in; the next file dropped with this one goes after it
+  if (target) {
+    captureLocalChanges();
+    target.position = htmlOffset(range.endContainer, range.endOffset);
+  }
+}
+
+// Files dropped on the editor go where they were dropped
+editor.addEventListener('dragover', (e) => {
+  if (!canEdit() || !e.dataTransfer.types.includes('Files')) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'copy';
+});
+
+editor.addEventListener('drop', (e) => {
+  if (!canEdit() || !e.dataTransfer.files.length) return;
+  e.preventDefault();
+
+  const point = dropPoint(e.clientX, e.clientY);
+  captureLocalChanges();
+  const position = point ? htmlOffset(point.node, point.offset) : syncedContent.length;
+
+  const files = [...e.dataTransfer.files];
+  const target = { position, files: files.length };
+  dropTargets.add(target);
+  files.forEach(file => queueUpload(file, file.name, target));
 });
 
+// The DOM position in the editor under a point on screen, if any
+function dropPoint(x, y) {
+  let node;
+  let offset;
+  if (document.caretPositionFromPoint) {
+    const caret = document.caretPositionFromPoint(x, y);
+    if (caret) ({ offsetNode: node, offset } = caret);
+  } else if (document.caretRangeFromPoint) {
+    const range = document.caretRangeFromPoint(x, y);
+    if (range) ({ startContainer: node, startOffset: offset } = range);
+  }
+  return node && editor.contains(node) ? { node, offset } : null;
+}
+
 // Display uploaded file
 function displayFile(file) {
   const fileChip = document.createElement('div');
@@ -374,37 +1007,733 @@ function displayFile(file) {
     <svg width="16" height="16" viewBox="0 0 20 20" fill="currentColor">
       <path fill-rule="evenodd" d="M8 4a3 3 0 00-3 3v4a5 5 0 0010 0V7a1 1 0 112 0v4a7 7 0 11-14 0V7a5 5 0 0110 0v4a3 3 0 11-6 0V7a1 1 0 012 0v4a1 1 0 102 0V7a3 3 0 00-3-3z" clip-rule="evenodd"/>
     </svg>
-    <span>${file.filename}</span>
+    <span></span>
   `;
+  fileChip.querySelector('span').textContent = file.filename;
+
+  // Images show their thumbnail in place of the paperclip
+  const thumb = file.variants && file.variants.thumb;
+  if (thumb || (file.mimetype.startsWith('image/') && file.width)) {
+    const img = document.createElement('img');
+    img.className = 'file-thumb';
+    img.src = thumb ? thumb.url : file.url;
+    img.alt = '';
+    fileChip.querySelector('svg').replaceWith(img);
+  }
   
   fileChip.addEventListener('click', () => {
     window.open(file.url, '_blank');
   });
+
+  if (file.id) {
+    const linkBtn = document.createElement('button');
+    linkBtn.className = 'file-link-btn';
+    linkBtn.title = 'Copy a link that works without signing in (for a week)';
+    linkBtn.textContent = '🔗';
+    linkBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      copyFileLink(file, linkBtn);
+    });
+    fileChip.appendChild(linkBtn);
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'file-delete-btn';
+    deleteBtn.title = 'Delete this file';
+    deleteBtn.textContent = '×';
+    deleteBtn.style.display = canEdit() ? '' : 'none';
+    deleteBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      deleteFile(file);
+    });
+    fileChip.appendChild(deleteBtn);
+    fileChip.dataset.fileId = file.id;
+    attachments.set(file.id, file);
+  }
   
   uploadedFiles.appendChild(fileChip);
 }
 
+function removeFileChip(fileId) {
+  attachments.delete(fileId);
+  const chip = uploadedFiles.querySelector(`.file-chip[data-file-id="${fileId}"]`);
+  if (chip) chip.remove();
+}
+
+// Delete an attachment for everyone, along with the copies of it in the
+// document (in Markdown mode the links are left for the author to remove)
+async function deleteFile(file, confirmed = false) {
+  if (!confirmed && !confirm(`Delete "${file.filename}"? It will no longer load anywhere it is used.`)) return;
+
+  try {
+    const response = await fetch(`/api/notepad/${notepadId}/files/${file.id}`, {
+      method: 'DELETE'
+    });
+    const data = await response.json();
+    if (!data.success) {
+      alert(data.error || 'Failed to delete file');
+      return;
+    }
+
+    removeFileChip(file.id);
+    if (!isMarkdownMode) {
+      const copies = mediaUsing(file);
+      copies.forEach(media => (media.closest('.media-wrapper') || media.closest('a') || media).remove());
+      if (copies.length) saveContent();
+    }
+  } catch (error) {
+    console.error('Error deleting file:', error);
+    alert('Failed to delete file');
+  }
+}
+
+// The original and resized copies of a file
+function fileUrls(file) {
+  return [file.url, ...Object.values(file.variants || {}).map(variant => variant.url)];
+}
+
+function mediaUsing(file) {
+  const urls = fileUrls(file);
+  return [...editor.querySelectorAll('img, video, audio')].filter(media => urls.includes(media.getAttribute('src')));
+}
+
+// Once the last copy of an attachment leaves the document, offer to delete
+// the file too. Otherwise it stays in the attachments bar (and is still
+// used by the document's history).
+function offerFileDeletion(url) {
+  const file = [...attachments.values()].find(attachment => fileUrls(attachment).includes(url));
+  if (!file || mediaUsing(file).length) return;
+
+  if (confirm(`Also delete "${file.filename}" from the notepad's files?`)) {
+    deleteFile(file, true);
+  }
+}
+
+// Files are only served to people signed in to the notepad; signed links
+// let them be shared or embedded elsewhere until they expire
+async function copyFileLink(file, button) {
+  try {
+    const response = await fetch(`/api/notepad/${notepadId}/files/${file.id}/link`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ expiresIn: 7 * 24 * 60 * 60 })
+    });
+    const data = await response.json();
+    if (!data.success) {
+      alert(data.error || 'Failed to create link');
+      return;
+    }
+
+    const url = new URL(data.url, window.location.origin).href;
+    try {
+      await navigator.clipboard.writeText(url);
+      button.textContent = '✓';
+      setTimeout(() => { button.textContent = '🔗'; }, 1500);
+    } catch (error) {
+      prompt('Copy this link:', url);
+    }
+  } catch (error) {
+    console.error('Error creating file link:', error);
+    alert('Failed to create link');
+  }
+}
+
+// Markdown mode
+const markdownBtn = document.getElementById('markdownBtn');
+const previewBtn = document.getElementById('previewBtn');
+const markdownPreview = document.getElementById('markdownPreview');
+
+let showPreview = true;
+let previewTimeout;
+
+function setMode(mode) {
+  isMarkdownMode = mode === 'markdown';
+  editor.classList.toggle('markdown-source', isMarkdownMode);
+  markdownBtn.classList.toggle('active', isMarkdownMode);
+  previewBtn.style.display = isMarkdownMode ? '' : 'none';
+  applyRole();
+  updatePreviewVisibility();
+}
+
+function updatePreviewVisibility() {
+  const visible = isMarkdownMode && showPreview;
+  markdownPreview.classList.toggle('active', visible);
+  previewBtn.classList.toggle('active', visible);
+  if (visible) {
+    schedulePreview();
+  }
+}
+
+// Refresh the preview shortly after the server has the latest source
+function schedulePreview() {
+  if (!isMarkdownMode || !showPreview) return;
+
+  clearTimeout(previewTimeout);
+  previewTimeout = setTimeout(async () => {
+    try {
+      const response = await fetch(`/api/notepad/${notepadId}/render`, {
+        headers: {
+          'Accept': 'application/json'
+        }
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        // Rendered and sanitized by the server
+        markdownPreview.innerHTML = data.html;
+      }
+    } catch (error) {
+      console.error('Preview error:', error);
+    }
+  }, 300);
+}
+
+// Insert text at the caret, or at the end if the editor isn't focused
+function insertTextAtCursor(text) {
+  const node = document.createTextNode(text);
+  const selection = window.getSelection();
+
+  if (selection.rangeCount > 0 && editor.contains(selection.anchorNode)) {
+    const range = selection.getRangeAt(0);
+    range.deleteContents();
+    range.insertNode(node);
+    range.setStartAfter(node);
+    range.collapse(true);
+    selection.removeAllRanges();
+    selection.addRange(range);
+  } else {
+    editor.appendChild(node);
+  }
+}
+
+// In Markdown mode uploads go in as Markdown links rather than media
+// elements, at `range` or the caret
+function insertMarkdownMedia(file, range = null) {
+  const link = `[${file.filename}](${file.url})`;
+  const web = file.variants && file.variants.web;
+  let text;
+  if (web) {
+    text = `\n[![${file.filename}](${web.url})](${file.url})\n`;
+  } else {
+    text = file.mimetype.startsWith('image/') ? `\n!${link}\n` : `\n${link}\n`;
+  }
+
+  if (range) {
+    range.insertNode(document.createTextNode(text));
+  } else {
+    insertTextAtCursor(text);
+  }
+  saveContent();
+}
+
+markdownBtn.addEventListener('click', async () => {
+  if (!canEdit()) return;
+
+  const mode = isMarkdownMode ? 'rich' : 'markdown';
+  const message = mode === 'markdown'
+    ? 'Switch to Markdown? The content becomes Markdown source text.'
+    : 'Switch to rich text? The Markdown is rendered into formatted text.';
+  if (!confirm(message)) return;
+
+  try {
+    // Convert what everyone has, including our own latest edits
+    if (!await waitForSync()) {
+      alert('Your latest edits could not be saved, so the mode was not changed');
+      return;
+    }
+    const response = await fetch(`/api/notepad/${notepadId}/mode`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ mode })
+    });
+    const data = await response.json();
+
+    if (!data.success) {
+      alert(data.error);
+    }
+  } catch (error) {
+    console.error('Mode change error:', error);
+    alert('Failed to change mode');
+  }
+});
+
+previewBtn.addEventListener('click', () => {
+  showPreview = !showPreview;
+  updatePreviewVisibility();
+});
+
 // Export handlers
 document.getElementById('exportRawBtn').addEventListener('click', () => {
   window.open(`/api/notepad/${notepadId}/export/raw`, '_blank');
 });
 
-document.getElementById('exportMdBtn').addEventListener('click', () => {
-  window.location.href = `/api/notepad/${notepadId}/export/markdown`;
+document.getElementById('exportDocxBtn').addEventListener('click', () => {
+  window.location.href = `/api/notepad/${notepadId}/export/docx`;
+});
+
+document.getElementById('exportOdtBtn').addEventListener('click', () => {
+  window.location.href = `/api/notepad/${notepadId}/export/odt`;
+});
+
+document.getElementById('exportEpubBtn').addEventListener('click', () => {
+  window.location.href = `/api/notepad/${notepadId}/export/epub`;
+});
+
+document.getElementById('exportMdBtn').addEventListener('click', () => {
+  window.location.href = `/api/notepad/${notepadId}/export/markdown`;
+});
+
+document.getElementById('exportCodeBtn').addEventListener('click', () => {
+  window.location.href = `/api/notepad/${notepadId}/export/code`;
+});
+
+document.getElementById('exportArchiveBtn').addEventListener('click', () => {
+  window.location.href = `/api/notepad/${notepadId}/export/archive`;
+});
+
+// Document import
+const importModal = document.getElementById('importModal');
+const importDetails = document.getElementById('importDetails');
+const importInsertBtn = document.getElementById('importInsertBtn');
+
+const IMPORT_FORMATS = { text: 'Plain text', markdown: 'Markdown', html: 'HTML', docx: 'Word document' };
+
+let importRange = null;   // Caret position when the import was started
+let pendingImport = null; // Converted content waiting for the user's choice
+
+function openImportModal(data) {
+  pendingImport = data;
+  const encoding = data.encoding ? `, ${data.encoding.toUpperCase()}` : '';
+  importDetails.textContent = `${data.filename} (${IMPORT_FORMATS[data.format]}${encoding})`;
+  importInsertBtn.disabled = !importRange;
+  importModal.classList.add('active');
+}
+
+function closeImportModal() {
+  importModal.classList.remove('active');
+  pendingImport = null;
+}
+
+// Put the imported content in place: 'replace', 'insert' at the caret or 'append'
+function applyImport(placement) {
+  if (!pendingImport || !canEdit()) return;
+  const { content } = pendingImport;
+
+  if (placement === 'replace') {
+    editor.innerHTML = content;
+  } else if (placement === 'insert' && importRange && editor.contains(importRange.startContainer)) {
+    const fragment = importRange.createContextualFragment(content);
+    const last = fragment.lastChild;
+    importRange.deleteContents();
+    importRange.insertNode(fragment);
+
+    if (last) {
+      const range = document.createRange();
+      range.setStartAfter(last);
+      range.collapse(true);
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+  } else {
+    // Markdown source needs a line break before the appended text
+    const text = editor.textContent;
+    const separator = isMarkdownMode && text && !text.endsWith('\n') ? '\n' : '';
+    editor.insertAdjacentHTML('beforeend', separator + content);
+  }
+
+  closeImportModal();
+  importRange = null;
+  updateStats();
+  updateLineNumbers();
+  saveContent();
+  renderFeedback();
+}
+
+document.getElementById('importReplaceBtn').addEventListener('click', () => applyImport('replace'));
+importInsertBtn.addEventListener('click', () => applyImport('insert'));
+document.getElementById('importAppendBtn').addEventListener('click', () => applyImport('append'));
+document.getElementById('cancelImportBtn').addEventListener('click', closeImportModal);
+
+importModal.addEventListener('click', (e) => {
+  if (e.target === importModal) {
+    closeImportModal();
+  }
+});
+
+// Revision History
+const historyModal = document.getElementById('historyModal');
+const revisionList = document.getElementById('revisionList');
+const revisionDiff = document.getElementById('revisionDiff');
+const restoreRevisionBtn = document.getElementById('restoreRevisionBtn');
+
+let selectedRevisionId = null;
+
+document.getElementById('historyBtn').addEventListener('click', openHistory);
+
+document.getElementById('closeHistoryBtn').addEventListener('click', () => {
+  historyModal.classList.remove('active');
+});
+
+async function openHistory() {
+  if (isBlankMode) return;
+
+  selectedRevisionId = null;
+  restoreRevisionBtn.disabled = true;
+  revisionList.innerHTML = '';
+  revisionDiff.innerHTML = '<p class="hint">Select a revision to see what changed.</p>';
+  historyModal.classList.add('active');
+
+  try {
+    const response = await fetch(`/api/notepad/${notepadId}/revisions`);
+    const data = await response.json();
+
+    if (data.success) {
+      data.revisions.forEach(displayRevision);
+      if (!data.revisions.length) {
+        revisionDiff.innerHTML = '<p class="hint">No revisions yet.</p>';
+      }
+    }
+  } catch (error) {
+    console.error('Error loading revisions:', error);
+  }
+}
+
+function displayRevision(revision) {
+  const item = document.createElement('li');
+  item.className = 'revision-item';
+
+  const editorName = document.createElement('div');
+  editorName.className = 'revision-editor';
+  editorName.textContent = revision.editor || 'Anonymous';
+
+  const time = document.createElement('div');
+  time.className = 'revision-time';
+  time.textContent = formatTimestamp(revision.updated_at);
+
+  item.appendChild(editorName);
+  item.appendChild(time);
+  item.addEventListener('click', () => {
+    revisionList.querySelectorAll('.revision-item').forEach(el => el.classList.remove('selected'));
+    item.classList.add('selected');
+    showRevisionDiff(revision.id);
+  });
+
+  revisionList.appendChild(item);
+}
+
+// Show what a revision changed compared to the one before it
+async function showRevisionDiff(revisionId) {
+  selectedRevisionId = revisionId;
+  restoreRevisionBtn.disabled = false;
+
+  try {
+    const response = await fetch(`/api/notepad/${notepadId}/revisions/${revisionId}/diff`);
+    const data = await response.json();
+
+    if (data.success && selectedRevisionId === revisionId) {
+      revisionDiff.innerHTML = '';
+      data.changes.forEach(change => {
+        const line = document.createElement('div');
+        line.className = `diff-line ${change.type}`;
+        const marker = change.type === 'added' ? '+ ' : change.type === 'removed' ? '- ' : '  ';
+        line.textContent = marker + change.text;
+        revisionDiff.appendChild(line);
+      });
+    }
+  } catch (error) {
+    console.error('Error loading diff:', error);
+  }
+}
+
+restoreRevisionBtn.addEventListener('click', async () => {
+  if (!selectedRevisionId || !confirm('Restore this version? Current content will be replaced.')) {
+    return;
+  }
+
+  try {
+    // Send pending edits first so they end up in history too
+    if (!await waitForSync()) {
+      alert('Your latest edits could not be saved, so the revision was not restored');
+      return;
+    }
+
+    const response = await fetch(`/api/notepad/${notepadId}/revisions/${selectedRevisionId}/restore`, {
+      method: 'POST'
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      historyModal.classList.remove('active');
+    } else {
+      alert('Failed to restore revision');
+    }
+  } catch (error) {
+    console.error('Restore error:', error);
+    alert('Failed to restore revision');
+  }
+});
+
+historyModal.addEventListener('click', (e) => {
+  if (e.target === historyModal) {
+    historyModal.classList.remove('active');
+  }
+});
+
+// Access Management
+const accessModal = document.getElementById('accessModal');
+const userList = document.getElementById('userList');
+const inviteForm = document.getElementById('inviteForm');
+const accessError = document.getElementById('accessError');
+const failedSignIns = document.getElementById('failedSignIns');
+const failedSignInsLocked = document.getElementById('failedSignInsLocked');
+const failedSignInList = document.getElementById('failedSignInList');
+
+document.getElementById('accessBtn').addEventListener('click', openAccess);
+
+document.getElementById('deleteNotepadBtn').addEventListener('click', async () => {
+  if (!confirm('Delete this notepad and everything in it for everyone? This cannot be undone.')) return;
+
+  try {
+    const response = await fetch(`/api/notepad/${notepadId}`, {
+      method: 'DELETE'
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      window.location.href = '/';
+    } else {
+      showAccessError(data.error);
+    }
+  } catch (error) {
+    console.error('Error deleting notepad:', error);
+    showAccessError('Failed to delete notepad');
+  }
+});
+
+document.getElementById('closeAccessBtn').addEventListener('click', () => {
+  accessModal.classList.remove('active');
+});
+
+async function openAccess() {
+  if (isBlankMode) return;
+
+  inviteForm.style.display = isOwner ? 'flex' : 'none';
+  document.getElementById('deleteNotepadSection').style.display = isOwner ? '' : 'none';
+  failedSignIns.style.display = 'none';
+  showAccessError('');
+  accessModal.classList.add('active');
+
+  try {
+    const response = await fetch(`/api/notepad/${notepadId}/users`);
+    const data = await response.json();
+
+    if (data.success) {
+      displayUsers(data.users);
+    } else {
+      showAccessError(data.error);
+    }
+  } catch (error) {
+    console.error('Error loading users:', error);
+    showAccessError('Failed to load users');
+  }
+
+  if (isOwner) loadFailedSignIns();
+}
+
+// Wrong passwords tried on this notepad, for the owner
+async function loadFailedSignIns() {
+  try {
+    const response = await fetch(`/api/notepad/${notepadId}/failed-sign-ins`);
+    const data = await response.json();
+    if (!data.success) return;
+
+    failedSignInsLocked.textContent = data.lockedUntil
+      ? `Too many wrong passwords: nobody can sign in until ${formatTimestamp(data.lockedUntil)}.`
+      : '';
+    failedSignInList.innerHTML = '';
+    data.attempts.forEach(attempt => {
+      const item = document.createElement('li');
+      item.className = 'failed-sign-in';
+
+      const name = document.createElement('span');
+      name.className = 'failed-sign-in-name';
+      name.textContent = attempt.username || '(no username)';
+      item.appendChild(name);
+
+      const details = document.createElement('span');
+      details.className = 'failed-sign-in-details';
+      details.textContent = `${attempt.ip} · ${formatTimestamp(attempt.attemptedAt)}`;
+      item.appendChild(details);
+
+      failedSignInList.appendChild(item);
+    });
+    if (!data.attempts.length) {
+      const item = document.createElement('li');
+      item.className = 'failed-sign-in empty';
+      item.textContent = 'No wrong passwords so far';
+      failedSignInList.appendChild(item);
+    }
+    failedSignIns.style.display = '';
+  } catch (error) {
+    console.error('Error loading failed sign-ins:', error);
+  }
+}
+
+function displayUsers(users) {
+  userList.innerHTML = '';
+
+  users.forEach(user => {
+    const item = document.createElement('li');
+    item.className = 'user-item';
+
+    const name = document.createElement('span');
+    name.className = 'user-name';
+    name.textContent = user.username;
+    item.appendChild(name);
+
+    if (user.isAlternate) item.appendChild(createBadge('Decoy'));
+    if (user.username === currentUsername) item.appendChild(createBadge('You'));
+
+    if (isOwner && !user.isOwner) {
+      item.appendChild(createRoleSelect(user));
+    } else {
+      item.appendChild(createBadge(user.role));
+    }
+
+    item.appendChild(createUserAction('Password', () => changePassword(user)));
+
+    if (isOwner) {
+      item.appendChild(createUserAction('Rename', () => renameUser(user)));
+      if (!user.isOwner) {
+        item.appendChild(createUserAction('Revoke', () => revokeUser(user)));
+      }
+    }
+
+    userList.appendChild(item);
+  });
+}
+
+function createBadge(text) {
+  const badge = document.createElement('span');
+  badge.className = 'user-badge';
+  badge.textContent = text;
+  return badge;
+}
+
+function createRoleSelect(user) {
+  const select = document.createElement('select');
+  select.className = 'role-select';
+  ['editor', 'commenter', 'viewer'].forEach(role => {
+    const option = document.createElement('option');
+    option.value = role;
+    option.textContent = role;
+    select.appendChild(option);
+  });
+  select.value = user.role;
+
+  select.addEventListener('change', () => {
+    updateAccess(`/api/notepad/${notepadId}/users/${user.id}`, 'PUT', { role: select.value });
+  });
+  return select;
+}
+
+function createUserAction(label, handler) {
+  const btn = document.createElement('button');
+  btn.className = 'toolbar-btn';
+  btn.textContent = label;
+  btn.addEventListener('click', handler);
+  return btn;
+}
+
+function showAccessError(message) {
+  accessError.textContent = message;
+  accessError.classList.toggle('active', !!message);
+}
+
+// Send a user management request and refresh the list
+async function updateAccess(url, method, body) {
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      showAccessError('');
+      if (data.users) displayUsers(data.users);
+    } else {
+      showAccessError(data.error);
+    }
+    return data.success;
+  } catch (error) {
+    console.error('Access update error:', error);
+    showAccessError('Connection error. Please try again.');
+    return false;
+  }
+}
+
+async function changePassword(user) {
+  const password = prompt(`New password for ${user.username}:`);
+  if (!password) return;
+
+  if (await updateAccess(`/api/notepad/${notepadId}/users/${user.id}/password`, 'PUT', { password })) {
+    alert('Password changed');
+  }
+}
+
+async function renameUser(user) {
+  const username = prompt(`Rename ${user.username} to:`, user.username);
+  if (!username || username === user.username) return;
+
+  if (await updateAccess(`/api/notepad/${notepadId}/users/${user.id}`, 'PUT', { username })) {
+    if (user.username === currentUsername) {
+      currentUsername = username;
+    }
+  }
+}
+
+async function revokeUser(user) {
+  if (!confirm(`Revoke access for ${user.username}?`)) return;
+  await updateAccess(`/api/notepad/${notepadId}/users/${user.id}`, 'DELETE');
+}
+
+inviteForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const invited = await updateAccess(`/api/notepad/${notepadId}/users`, 'POST', {
+    username: document.getElementById('inviteUsername').value,
+    password: document.getElementById('invitePassword').value,
+    isAlternate: document.getElementById('inviteDecoy').checked,
+    role: document.getElementById('inviteRole').value
+  });
+
+  if (invited) {
+    inviteForm.reset();
+  }
 });
 
-document.getElementById('exportCodeBtn').addEventListener('click', () => {
-  window.location.href = `/api/notepad/${notepadId}/export/code`;
+accessModal.addEventListener('click', (e) => {
+  if (e.target === accessModal) {
+    accessModal.classList.remove('active');
+  }
 });
 
 // Feedback System
 const feedbackModal = document.getElementById('feedbackModal');
-const feedbackLineNum = document.getElementById('feedbackLineNum');
+const feedbackQuote = document.getElementById('feedbackQuote');
 const feedbackComment = document.getElementById('feedbackComment');
 const closeFeedbackBtn = document.getElementById('closeFeedbackBtn');
 const submitFeedbackBtn = document.getElementById('submitFeedbackBtn');
 
-let currentFeedbackLine = 0;
+let currentFeedbackQuote = '';
 let selectedReaction = '';
 
 // Add feedback buttons to lines (on hover)
@@ -415,21 +1744,122 @@ editor.addEventListener('mouseover', (e) => {
   // by adding feedback icons that appear on hover
 });
 
-// Double-click on a line to add feedback
+// Double-click a word to add feedback on it
 editor.addEventListener('dblclick', (e) => {
   if (isBlankMode) return;
-  
+
+  openFeedbackModal(getSelectionAnchor());
+});
+
+// The selected text as offsets into the editor's HTML, plus the text itself
+function getSelectionAnchor() {
   const selection = window.getSelection();
+  if (!selection.rangeCount) return null;
+
   const range = selection.getRangeAt(0);
-  const textBeforeSelection = editor.innerText.substring(0, range.startOffset);
-  const lineNumber = textBeforeSelection.split('\n').length;
-  
-  openFeedbackModal(lineNumber);
-});
+  if (!editor.contains(range.startContainer) || !editor.contains(range.endContainer)) {
+    return null;
+  }
+
+  // Offsets are measured against syncedContent, so bring it up to date first
+  captureLocalChanges();
+  return {
+    start: htmlOffset(range.startContainer, range.startOffset),
+    end: htmlOffset(range.endContainer, range.endOffset),
+    quote: range.toString()
+  };
+}
+
+// Offset into the editor's innerHTML of a DOM position inside it
+function htmlOffset(container, offset) {
+  let index;
+  if (container.nodeType === Node.TEXT_NODE) {
+    index = escapedLength(container.data.slice(0, offset));
+  } else {
+    index = openTagLength(container);
+    for (let i = 0; i < offset; i++) {
+      index += outerLength(container.childNodes[i]);
+    }
+  }
+
+  // Add everything before the container, up to the editor itself
+  let node = container;
+  while (node !== editor) {
+    const parent = node.parentNode;
+    for (let sibling = parent.firstChild; sibling !== node; sibling = sibling.nextSibling) {
+      index += outerLength(sibling);
+    }
+    index += openTagLength(parent);
+    node = parent;
+  }
+
+  return index;
+}
+
+// The DOM position at an offset into the editor's innerHTML, the other way
+// round from htmlOffset. Offsets inside a tag give the position before it.
+function domPosition(position) {
+  let container = editor;
+  let remaining = position;
+
+  for (let i = 0; i < container.childNodes.length; i++) {
+    const child = container.childNodes[i];
+    const length = outerLength(child);
+    if (remaining >= length) {
+      remaining -= length;
+      continue;
+    }
+
+    if (child.nodeType === Node.TEXT_NODE) {
+      let offset = 0;
+      while (remaining > 0 && offset < child.length) {
+        remaining -= escapedLength(child.data[offset]);
+        offset++;
+      }
+      return { node: child, offset };
+    }
+
+    const openLength = child.nodeType === Node.ELEMENT_NODE ? openTagLength(child) : length;
+    if (remaining === 0 || remaining < openLength || child.outerHTML.length === openLength) {
+      return { node: container, offset: i };
+    }
+
+    // Somewhere inside this element
+    container = child;
+    remaining -= openLength;
+    i = -1;
+  }
+
+  return { node: container, offset: container.childNodes.length };
+}
 
-function openFeedbackModal(lineNumber) {
-  currentFeedbackLine = lineNumber;
-  feedbackLineNum.textContent = lineNumber;
+// Length of text once serialized by innerHTML
+function escapedLength(text) {
+  return text.replace(/&/g, '&amp;').replace(/[<>]/g, '&lt;').replace(/\u00a0/g, '&nbsp;').length;
+}
+
+function outerLength(node) {
+  if (node.nodeType === Node.TEXT_NODE) return escapedLength(node.data);
+  if (node.nodeType === Node.ELEMENT_NODE) return node.outerHTML.length;
+  if (node.nodeType === Node.COMMENT_NODE) return node.data.length + 7;
+  return 0;
+}
+
+function openTagLength(element) {
+  if (element === editor) return 0;
+  const closeTag = `</${element.localName}>`;
+  const closeLength = element.outerHTML.endsWith(closeTag) ? closeTag.length : 0;
+  return element.outerHTML.length - element.innerHTML.length - closeLength;
+}
+
+function openFeedbackModal(anchor) {
+  if (!canComment() || !anchor) return;
+
+  // Tracked like other anchors so edits made while the modal is open move it
+  feedbackAnchors.set('new', { start: anchor.start, end: anchor.end });
+  currentFeedbackQuote = anchor.quote;
+  feedbackQuote.textContent = anchor.quote;
+  feedbackQuote.style.display = anchor.quote.trim() ? '' : 'none';
   feedbackComment.value = '';
   selectedReaction = '';
   
@@ -449,9 +1879,12 @@ document.querySelectorAll('.reaction-btn').forEach(btn => {
   });
 });
 
-closeFeedbackBtn.addEventListener('click', () => {
+function closeFeedbackModal() {
   feedbackModal.classList.remove('active');
-});
+  feedbackAnchors.delete('new');
+}
+
+closeFeedbackBtn.addEventListener('click', closeFeedbackModal);
 
 submitFeedbackBtn.addEventListener('click', async () => {
   if (!selectedReaction && !feedbackComment.value.trim()) {
@@ -460,13 +1893,23 @@ submitFeedbackBtn.addEventListener('click', async () => {
   }
 
   try {
+    // The anchor is sent against a version the server has seen
+    if (!await waitForSync()) {
+      alert('Your latest edits could not be saved, so the feedback was not sent');
+      return;
+    }
+    const anchor = feedbackAnchors.get('new');
+
     const response = await fetch(`/api/notepad/${notepadId}/feedback`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({
-        lineNumber: currentFeedbackLine,
+        anchorStart: anchor.start,
+        anchorEnd: anchor.end,
+        quote: currentFeedbackQuote,
+        version: docVersion,
         reaction: selectedReaction,
         comment: feedbackComment.value.trim()
       })
@@ -475,7 +1918,11 @@ submitFeedbackBtn.addEventListener('click', async () => {
     const data = await response.json();
 
     if (data.success) {
-      feedbackModal.classList.remove('active');
+      closeFeedbackModal();
+    } else if (data.resync) {
+      alert('The notepad changed while you were writing. Please try again.');
+    } else {
+      alert(data.error);
     }
   } catch (error) {
     console.error('Feedback error:', error);
@@ -483,13 +1930,544 @@ submitFeedbackBtn.addEventListener('click', async () => {
   }
 });
 
-// Display feedback
+// Feedback threads: markers in the line-number gutter, threads in a popover
+const feedbackLayer = document.getElementById('feedbackLayer');
+const feedbackPopover = document.getElementById('feedbackPopover');
+
+const feedbackItems = new Map();   // All feedback by id; replies have a parentId
+const feedbackAnchors = new Map(); // Thread id -> { start, end } in syncedContent
+let popoverThreadIds = null;       // Threads the popover is showing
+
+// Anchors as of the version the server just sent us
+function setFeedbackAnchors(anchors) {
+  feedbackAnchors.clear();
+  Object.keys(anchors || {}).forEach(id => {
+    feedbackAnchors.set(Number(id), anchors[id]);
+  });
+}
+
+// Move a range from the server's version past our unacknowledged edits
+function toLocalRange(range) {
+  captureLocalChanges();
+  let local = range;
+  if (outstandingOp) local = OT.transformRange(local, outstandingOp);
+  if (bufferedOp) local = OT.transformRange(local, bufferedOp);
+  return local;
+}
+
+// Take an anchor from the server and move it past our unacknowledged edits
+function addFeedbackAnchor(id, range) {
+  feedbackAnchors.set(id, toLocalRange(range));
+}
+
+// Keep anchors attached to their text through an edit to syncedContent
+function mapFeedbackAnchors(op) {
+  feedbackAnchors.forEach((range, id) => {
+    feedbackAnchors.set(id, OT.transformRange(range, op));
+  });
+}
+
+// Add or update a feedback item
 function displayFeedback(feedback) {
-  // This is a simplified version
-  // In a full implementation, you'd position feedback indicators next to the appropriate lines
-  console.log('Feedback received:', feedback);
+  feedbackItems.set(feedback.id, feedback);
+  renderFeedback();
+}
+
+// Remove a feedback item and its replies
+function removeFeedback(id) {
+  feedbackItems.delete(id);
+  feedbackAnchors.delete(id);
+  feedbackItems.forEach((item, key) => {
+    if (item.parentId === id) feedbackItems.delete(key);
+  });
+  renderFeedback();
+}
+
+function isFeedbackAuthor(item) {
+  return item.userId ? item.userId === currentUserId : item.username === currentUsername;
+}
+
+// The given threads in the order they were started, each with its replies
+function getThreads(threadIds) {
+  const items = [...feedbackItems.values()].sort((a, b) => a.id - b.id);
+  return items
+    .filter(item => threadIds.includes(item.id))
+    .map(thread => ({ thread, replies: items.filter(item => item.parentId === thread.id) }));
+}
+
+// Number of text characters in an HTML string, as getCaretOffset counts them
+function textLength(html) {
+  return html
+    .replace(/<[^>]*(>|$)/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, '_')
+    .length;
+}
+
+// Where an anchor's first character is on screen
+function getAnchorRect(position) {
+  const walker = document.createTreeWalker(editor, NodeFilter.SHOW_TEXT);
+  const range = document.createRange();
+  let remaining = textLength(syncedContent.slice(0, position));
+  let node;
+  let last = null;
+
+  while ((node = walker.nextNode())) {
+    if (remaining < node.length) {
+      range.setStart(node, remaining);
+      range.setEnd(node, remaining + 1);
+      return range.getBoundingClientRect();
+    }
+    remaining -= node.length;
+    last = node;
+  }
+
+  // Past the last character: use the end of the text
+  if (!last) return null;
+  range.setStart(last, last.length);
+  range.collapse(true);
+  return range.getClientRects()[0] || last.parentElement.getBoundingClientRect();
+}
+
+// Draw one marker per row of text that has feedback
+function renderFeedback() {
+  // Anchors are measured against syncedContent, so the editor must match it
+  captureLocalChanges();
+  feedbackLayer.innerHTML = '';
+
+  const editorTop = editor.getBoundingClientRect().top;
+  const rows = new Map(); // Marker offset -> thread ids
+
+  feedbackItems.forEach(item => {
+    const anchor = feedbackAnchors.get(item.id);
+    if (item.parentId || !anchor) return;
+
+    const rect = getAnchorRect(anchor.start);
+    if (!rect) return;
+
+    const top = Math.round(rect.top + rect.height / 2 - editorTop + editor.scrollTop);
+    rows.set(top, (rows.get(top) || []).concat(item.id));
+  });
+
+  rows.forEach((threadIds, top) => {
+    const threads = getThreads(threadIds).map(entry => entry.thread);
+    const open = threads.filter(thread => !thread.resolved);
+
+    const marker = document.createElement('button');
+    marker.className = 'feedback-indicator';
+    marker.classList.toggle('resolved', open.length === 0);
+    marker.style.top = `${top}px`;
+    marker.textContent = (open[0] || threads[0]).reaction || '💬';
+    marker.title = `${open.length} open, ${threads.length - open.length} resolved`;
+    marker.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openFeedbackPopover(threadIds, marker);
+    });
+    feedbackLayer.appendChild(marker);
+  });
+
+  positionFeedbackLayer();
+
+  if (popoverThreadIds) {
+    renderFeedbackPopover();
+  }
+}
+
+// Keep markers lined up with the editor as it scrolls
+function positionFeedbackLayer() {
+  feedbackLayer.style.transform = `translateY(${-editor.scrollTop}px)`;
+}
+
+function openFeedbackPopover(threadIds, marker) {
+  popoverThreadIds = threadIds;
+  const rect = marker.getBoundingClientRect();
+  feedbackPopover.style.top = `${rect.bottom + 4}px`;
+  feedbackPopover.style.left = `${rect.left}px`;
+  feedbackPopover.classList.add('active');
+  renderFeedbackPopover();
+}
+
+function closeFeedbackPopover() {
+  popoverThreadIds = null;
+  feedbackPopover.classList.remove('active');
+}
+
+function renderFeedbackPopover() {
+  const threads = getThreads(popoverThreadIds);
+  if (threads.length === 0) {
+    closeFeedbackPopover();
+    return;
+  }
+
+  feedbackPopover.innerHTML = '';
+
+  threads.forEach(({ thread, replies }) => {
+    const container = document.createElement('div');
+    container.className = 'feedback-thread';
+    container.classList.toggle('resolved', !!thread.resolved);
+
+    if (thread.quote && thread.quote.trim()) {
+      const quote = document.createElement('blockquote');
+      quote.className = 'feedback-quote';
+      quote.textContent = thread.quote;
+      container.appendChild(quote);
+    }
+
+    container.appendChild(createFeedbackEntry(thread));
+    replies.forEach(reply => container.appendChild(createFeedbackEntry(reply)));
+
+    if (thread.resolved) {
+      const note = document.createElement('p');
+      note.className = 'hint';
+      note.textContent = `Resolved by ${thread.resolvedBy}`;
+      container.appendChild(note);
+    }
+
+    if (canComment()) {
+      const actions = document.createElement('div');
+      actions.className = 'feedback-actions';
+      actions.appendChild(createFeedbackAction(thread.resolved ? 'Reopen' : 'Resolve', () => {
+        sendFeedbackRequest(`/feedback/${thread.id}/resolve`, 'POST', { resolved: !thread.resolved });
+      }));
+      container.appendChild(actions);
+
+      if (!thread.resolved) {
+        container.appendChild(createReplyForm(thread));
+      }
+    }
+
+    feedbackPopover.appendChild(container);
+  });
+
+}
+
+function createFeedbackEntry(item) {
+  const entry = document.createElement('div');
+  entry.className = item.parentId ? 'feedback-entry feedback-reply' : 'feedback-entry';
+
+  const meta = document.createElement('div');
+  meta.className = 'feedback-meta';
+  meta.textContent = `${item.username} · ${formatTimestamp(item.created_at)}${item.updated_at ? ' (edited)' : ''}`;
+  entry.appendChild(meta);
+
+  const body = document.createElement('div');
+  body.className = 'feedback-body';
+  body.textContent = [item.reaction, item.comment].filter(Boolean).join(' ');
+  entry.appendChild(body);
+
+  const mine = isFeedbackAuthor(item) && canComment();
+  if (mine || isOwner) {
+    const actions = document.createElement('div');
+    actions.className = 'feedback-actions';
+    if (mine) {
+      actions.appendChild(createFeedbackAction('Edit', () => editFeedback(item)));
+    }
+    actions.appendChild(createFeedbackAction('Delete', () => deleteFeedback(item)));
+    entry.appendChild(actions);
+  }
+
+  return entry;
+}
+
+function createFeedbackAction(label, handler) {
+  const btn = document.createElement('button');
+  btn.className = 'toolbar-btn';
+  btn.textContent = label;
+  btn.addEventListener('click', handler);
+  return btn;
+}
+
+function createReplyForm(thread) {
+  const form = document.createElement('form');
+  form.className = 'feedback-reply-form';
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.placeholder = 'Reply...';
+  form.appendChild(input);
+
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.className = 'btn btn-primary';
+  submit.textContent = 'Reply';
+  form.appendChild(submit);
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const comment = input.value.trim();
+    if (!comment) return;
+
+    if (await sendFeedbackRequest('/feedback', 'POST', { parentId: thread.id, comment })) {
+      input.value = '';
+    }
+  });
+
+  return form;
+}
+
+async function editFeedback(item) {
+  const comment = prompt('Edit comment:', item.comment || '');
+  if (comment === null || comment === item.comment) return;
+  await sendFeedbackRequest(`/feedback/${item.id}`, 'PUT', { comment: comment.trim() });
+}
+
+async function deleteFeedback(item) {
+  const message = item.parentId ? 'Delete this reply?' : 'Delete this comment and its replies?';
+  if (!confirm(message)) return;
+  await sendFeedbackRequest(`/feedback/${item.id}`, 'DELETE');
+}
+
+// Send a feedback request; the result arrives over the socket like everyone else's
+async function sendFeedbackRequest(path, method, body) {
+  try {
+    const response = await fetch(`/api/notepad/${notepadId}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+
+    if (!data.success) {
+      alert(data.error);
+    }
+    return data.success;
+  } catch (error) {
+    console.error('Feedback error:', error);
+    alert('Failed to update feedback');
+    return false;
+  }
+}
+
+// Presence: who else is here, with their carets and selections drawn in the editor
+const presenceList = document.getElementById('presenceList');
+const typingIndicator = document.getElementById('typingIndicator');
+const cursorLayer = document.getElementById('cursorLayer');
+
+let presenceId = null;           // Our own entry in the presence list
+const presenceUsers = new Map(); // Presence id -> { id, username, color, typing }
+const remoteCursors = new Map(); // Presence id -> { start, end } in syncedContent
+let sentCursor;                  // Last cursor sent to the server
+let cursorPending = false;       // Our cursor moved while edits were unacknowledged
+let cursorTimeout;
+
+// Everyone in the notepad, with cursors as of the server's current version
+function setPresence(users) {
+  presenceUsers.clear();
+  remoteCursors.clear();
+  users.forEach(user => {
+    presenceUsers.set(user.id, { id: user.id, username: user.username, color: user.color, typing: user.typing });
+    if (user.cursor && user.id !== presenceId) {
+      remoteCursors.set(user.id, toLocalRange(user.cursor));
+    }
+  });
+  renderPresence();
+  renderCursors();
+}
+
+function setRemoteCursor(id, cursor) {
+  if (id === presenceId || !presenceUsers.has(id)) return;
+  if (cursor) {
+    remoteCursors.set(id, toLocalRange(cursor));
+  } else {
+    remoteCursors.delete(id);
+  }
+  renderCursors();
+}
+
+// Keep remote cursors on their text through an edit to syncedContent
+function mapRemoteCursors(op) {
+  remoteCursors.forEach((range, id) => {
+    remoteCursors.set(id, OT.transformRange(range, op));
+  });
+}
+
+function renderPresence() {
+  presenceList.innerHTML = '';
+  const typing = [];
+
+  presenceUsers.forEach(user => {
+    const own = user.id === presenceId;
+    const chip = document.createElement('span');
+    chip.className = 'presence-user';
+    chip.classList.toggle('typing', !!user.typing && !own);
+    chip.style.backgroundColor = user.color;
+    chip.textContent = user.username.charAt(0).toUpperCase();
+    chip.title = own ? `${user.username} (you)` : user.username;
+    presenceList.appendChild(chip);
+
+    if (user.typing && !own) typing.push(user.username);
+  });
+
+  if (typing.length === 0) {
+    typingIndicator.textContent = '';
+  } else if (typing.length === 1) {
+    typingIndicator.textContent = `${typing[0]} is typing…`;
+  } else if (typing.length === 2) {
+    typingIndicator.textContent = `${typing[0]} and ${typing[1]} are typing…`;
+  } else {
+    typingIndicator.textContent = `${typing.length} people are typing…`;
+  }
+}
+
+// The DOM position of an offset into syncedContent, at the end of a text
+// node rather than the start of the next one
+function getTextPosition(position) {
+  const walker = document.createTreeWalker(editor, NodeFilter.SHOW_TEXT);
+  let remaining = textLength(syncedContent.slice(0, position));
+  let node;
+  let last = null;
+
+  while ((node = walker.nextNode())) {
+    if (remaining <= node.length) return { node, offset: remaining };
+    remaining -= node.length;
+    last = node;
+  }
+  return last ? { node: last, offset: last.length } : null;
+}
+
+// Where a caret at a DOM position is drawn
+function getCaretRect({ node, offset }) {
+  const range = document.createRange();
+  range.setStart(node, offset);
+  range.collapse(true);
+  const rect = range.getClientRects()[0];
+  if (rect) return rect;
+
+  // Collapsed ranges have no box in some spots; use the next character's
+  if (offset < node.length) {
+    range.setEnd(node, offset + 1);
+    return range.getBoundingClientRect();
+  }
+  return node.parentElement.getBoundingClientRect();
+}
+
+// Draw a caret with a name tag, and a highlighted selection, for each remote cursor
+function renderCursors() {
+  // Cursors are measured against syncedContent, so the editor must match it
+  captureLocalChanges();
+  cursorLayer.innerHTML = '';
+
+  const origin = cursorLayer.parentElement.getBoundingClientRect();
+  const place = (element, rect) => {
+    element.style.left = `${rect.left - origin.left}px`;
+    element.style.top = `${rect.top - origin.top + editor.scrollTop}px`;
+    element.style.height = `${rect.height}px`;
+  };
+
+  remoteCursors.forEach((range, id) => {
+    const user = presenceUsers.get(id);
+    const start = getTextPosition(Math.min(range.start, syncedContent.length));
+    const end = getTextPosition(Math.min(range.end, syncedContent.length));
+    if (!user || !start || !end) return;
+
+    if (range.end > range.start) {
+      const selection = document.createRange();
+      selection.setStart(start.node, start.offset);
+      selection.setEnd(end.node, end.offset);
+      [...selection.getClientRects()].forEach(rect => {
+        const highlight = document.createElement('div');
+        highlight.className = 'remote-selection';
+        highlight.style.backgroundColor = user.color;
+        place(highlight, rect);
+        highlight.style.width = `${rect.width}px`;
+        cursorLayer.appendChild(highlight);
+      });
+    }
+
+    const caret = document.createElement('div');
+    caret.className = 'remote-caret';
+    caret.style.borderColor = user.color;
+    place(caret, getCaretRect(end));
+
+    const label = document.createElement('span');
+    label.className = 'remote-caret-label';
+    label.style.backgroundColor = user.color;
+    label.textContent = user.username;
+    caret.appendChild(label);
+    cursorLayer.appendChild(caret);
+  });
+
+  positionCursorLayer();
+}
+
+function positionCursorLayer() {
+  cursorLayer.style.transform = `translateY(${-editor.scrollTop}px)`;
+}
+
+// Our caret or selection as offsets into the editor's HTML, or null
+function getCursorRange() {
+  const selection = window.getSelection();
+  if (!selection.rangeCount) return null;
+
+  const range = selection.getRangeAt(0);
+  if (!editor.contains(range.startContainer) || !editor.contains(range.endContainer)) {
+    return null;
+  }
+  return {
+    start: htmlOffset(range.startContainer, range.startOffset),
+    end: htmlOffset(range.endContainer, range.endOffset)
+  };
+}
+
+// Put our caret or selection back at offsets into the editor's HTML
+function setCursorRange({ start, end }) {
+  const from = domPosition(start);
+  const to = domPosition(end);
+  const range = document.createRange();
+  range.setStart(from.node, from.offset);
+  range.setEnd(to.node, to.offset);
+
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
+// Tell the others where our cursor is. Offsets only mean something at a
+// version the server knows, so wait until our edits are acknowledged.
+function sendCursor() {
+  clearTimeout(cursorTimeout);
+  if (!socket || !presenceId) return;
+
+  if (outstandingOp || bufferedOp || editor.innerHTML !== syncedContent) {
+    cursorPending = true;
+    return;
+  }
+  cursorPending = false;
+
+  const cursor = getCursorRange();
+  const key = cursor ? `${docVersion}:${cursor.start}:${cursor.end}` : null;
+  if (key === sentCursor) return;
+  sentCursor = key;
+
+  socket.emit('cursor-position', {
+    notepadId,
+    version: docVersion,
+    start: cursor ? cursor.start : null,
+    end: cursor ? cursor.end : null
+  });
 }
 
+document.addEventListener('selectionchange', () => {
+  clearTimeout(cursorTimeout);
+  cursorTimeout = setTimeout(sendCursor, 100);
+});
+
+window.addEventListener('resize', renderCursors);
+
+editor.addEventListener('scroll', () => {
+  lineNumbers.scrollTop = editor.scrollTop;
+  positionFeedbackLayer();
+  positionCursorLayer();
+  closeFeedbackPopover();
+});
+
+document.addEventListener('click', (e) => {
+  if (popoverThreadIds && !feedbackPopover.contains(e.target)) {
+    closeFeedbackPopover();
+  }
+});
+
 // Theme toggle
 if (themeToggle) {
   themeToggle.addEventListener('click', toggleTheme);
@@ -500,7 +2478,7 @@ if (themeToggle) {
 // Close modals on outside click
 feedbackModal.addEventListener('click', (e) => {
   if (e.target === feedbackModal) {
-    feedbackModal.classList.remove('active');
+    closeFeedbackModal();
   }
 });
 
@@ -512,16 +2490,10 @@ document.addEventListener('keydown', (e) => {
     saveContent();
   }
   
-  // Ctrl/Cmd + / for feedback
+  // Ctrl/Cmd + / for feedback on the selection
   if ((e.ctrlKey || e.metaKey) && e.key === '/') {
     e.preventDefault();
-    const selection = window.getSelection();
-    if (selection.rangeCount > 0) {
-      const range = selection.getRangeAt(0);
-      const textBeforeSelection = editor.innerText.substring(0, range.startOffset);
-      const lineNumber = textBeforeSelection.split('\n').length;
-      openFeedbackModal(lineNumber);
-    }
+    openFeedbackModal(getSelectionAnchor());
   }
 });
 
@@ -531,79 +2503,61 @@ updateLineNumbers();
 
 // ==================== ENHANCED FEATURES ====================
 
+// An uploaded image for the editor: shown at web size when the upload
+// has one, linking to the full-size original
+function uploadedImage(file) {
+  const img = document.createElement('img');
+  const web = file.variants && file.variants.web;
+  img.src = web ? web.url : file.url;
+  img.alt = file.filename;
+  img.style.maxWidth = '100%';
+  img.style.display = 'block';
+  img.style.margin = '10px 0';
+  if (!web) return img;
+
+  const link = document.createElement('a');
+  link.href = file.url;
+  link.appendChild(img);
+  return link;
+}
+
 // Create media wrapper with delete button
 function createMediaWrapper(mediaElement) {
   const wrapper = document.createElement('div');
-  wrapper.style.position = 'relative';
-  wrapper.style.display = 'inline-block';
-  wrapper.style.maxWidth = '100%';
-  wrapper.style.margin = '10px 0';
   wrapper.className = 'media-wrapper';
-  
-  // Create delete button
+
+  // Shown on hover by the stylesheet; clicks are handled by the editor
   const deleteBtn = document.createElement('button');
   deleteBtn.innerHTML = '×';
   deleteBtn.className = 'media-delete-btn';
-  deleteBtn.style.cssText = `
-    position: absolute;
-    top: 5px;
-    right: 5px;
-    width: 28px;
-    height: 28px;
-    border-radius: 50%;
-    background: rgba(239, 68, 68, 0.9);
-    color: white;
-    border: 2px solid white;
-    font-size: 20px;
-    font-weight: bold;
-    cursor: pointer;
-    display: none;
-    align-items: center;
-    justify-content: center;
-    transition: all 0.2s ease;
-    z-index: 10;
-    line-height: 1;
-    padding: 0;
-  `;
-  
-  // Show delete button on hover
-  wrapper.addEventListener('mouseenter', () => {
-    deleteBtn.style.display = 'flex';
-  });
-  
-  wrapper.addEventListener('mouseleave', () => {
-    deleteBtn.style.display = 'none';
-  });
-  
-  // Delete functionality
-  deleteBtn.addEventListener('click', (e) => {
-    e.preventDefault();
-    e.stopPropagation();
-    if (confirm('Delete this media?')) {
-      wrapper.remove();
-      saveContent();
-    }
-  });
-  
-  // Hover effect for delete button
-  deleteBtn.addEventListener('mouseenter', () => {
-    deleteBtn.style.background = 'rgba(220, 38, 38, 1)';
-    deleteBtn.style.transform = 'scale(1.1)';
-  });
-  
-  deleteBtn.addEventListener('mouseleave', () => {
-    deleteBtn.style.background = 'rgba(239, 68, 68, 0.9)';
-    deleteBtn.style.transform = 'scale(1)';
-  });
-  
+
   wrapper.appendChild(mediaElement);
   wrapper.appendChild(deleteBtn);
-  
+
   return wrapper;
 }
 
+// Delete buttons on media wrappers, including those in content from the server
+editor.addEventListener('click', (e) => {
+  const deleteBtn = e.target.closest('.media-delete-btn');
+  const wrapper = deleteBtn && deleteBtn.closest('.media-wrapper');
+  if (!wrapper || !canEdit()) return;
+
+  e.preventDefault();
+  e.stopPropagation();
+  if (confirm('Delete this media?')) {
+    const media = wrapper.querySelector('img, video, audio');
+    const url = media && media.getAttribute('src');
+    wrapper.remove();
+    saveContent();
+    offerFileDeletion(url);
+  }
+});
+
 // Screenshot Paste Handler
 editor.addEventListener('paste', async (e) => {
+  if (!canEdit()) return;
+
   const items = e.clipboardData.items;
   
   for (let i = 0; i < items.length; i++) {
@@ -616,8 +2570,8 @@ editor.addEventListener('paste', async (e) => {
       
       // Upload the screenshot
       const formData = new FormData();
-      formData.append('file', blob, `screenshot-${Date.now()}.png`);
       formData.append('notepadId', notepadId);
+      formData.append('file', blob, `screenshot-${Date.now()}.png`);
       
       try {
         showSaveStatus('saving');
@@ -628,17 +2582,12 @@ editor.addEventListener('paste', async (e) => {
         
         const data = await response.json();
         
-        if (data.success) {
-          // Insert image directly into editor
-          const img = document.createElement('img');
-          img.src = data.file.url;
-          img.style.maxWidth = '100%';
-          img.style.display = 'block';
-          img.style.margin = '10px 0';
-          img.alt = data.file.filename;
-          
-          // Wrap with delete button
-          const wrapper = createMediaWrapper(img);
+        if (data.success && isMarkdownMode) {
+          insertMarkdownMedia(data.file);
+          showSaveStatus('saved');
+        } else if (data.success) {
+          // Insert image directly into editor, wrapped with a delete button
+          const wrapper = createMediaWrapper(uploadedImage(data.file));
           
           // Insert at cursor position
           const selection = window.getSelection();
@@ -653,6 +2602,9 @@ editor.addEventListener('paste', async (e) => {
           
           saveContent();
           showSaveStatus('saved');
+        } else {
+          showSaveStatus('error');
+          alert(data.error || 'Failed to upload screenshot');
         }
       } catch (error) {
         console.error('Screenshot upload error:', error);
@@ -661,7 +2613,7 @@ editor.addEventListener('paste', async (e) => {
     }
     
     // Handle pasted URLs - auto-detect and embed media
-    if (item.type === 'text/plain') {
+    if (item.type === 'text/plain' && !isMarkdownMode) {
       item.getAsString(async (text) => {
         if (isMediaURL(text)) {
           e.preventDefault();
@@ -793,42 +2745,12 @@ async function toggleVoiceRecording() {
         audioChunks.push(event.data);
       });
       
-      mediaRecorder.addEventListener('stop', async () => {
+      mediaRecorder.addEventListener('stop', () => {
         const audioBlob = new Blob(audioChunks, { type: 'audio/webm' });
-        
-        // Upload voice note
-        const formData = new FormData();
-        formData.append('file', audioBlob, `voice-${Date.now()}.webm`);
-        formData.append('notepadId', notepadId);
-        
-        try {
-          showSaveStatus('saving');
-          const response = await fetch('/api/upload/file', {
-            method: 'POST',
-            body: formData
-          });
-          
-          const data = await response.json();
-          
-          if (data.success) {
-            // Insert audio player
-            const audio = document.createElement('audio');
-            audio.src = data.file.url;
-            audio.controls = true;
-            audio.style.display = 'block';
-            audio.style.margin = '10px 0';
-            
-            editor.appendChild(audio);
-            editor.appendChild(document.createElement('br'));
-            
-            saveContent();
-            showSaveStatus('saved');
-          }
-        } catch (error) {
-          console.error('Voice note upload error:', error);
-          showSaveStatus('error');
-        }
-        
+
+        // Long recordings are sent in chunks like any other upload
+        queueUpload(audioBlob, `voice-${Date.now()}.webm`);
+
         // Stop all tracks
         stream.getTracks().forEach(track => track.stop());
       });
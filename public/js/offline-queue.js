@@ -0,0 +1,37 @@
+// Edits that have not reached the server yet, kept in IndexedDB so they
+// survive a dropped connection or a closed tab until the next visit
+const OfflineQueue = (function () {
+  const DB_NAME = 'collabpad';
+  const STORE = 'pending';
+
+  let opening = null;
+
+  function open() {
+    if (!opening) {
+      opening = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return opening;
+  }
+
+  // Run one request in its own transaction and resolve with its result
+  function run(mode, action) {
+    return open().then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE, mode);
+      const request = action(transaction.objectStore(STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    }));
+  }
+
+  return {
+    load: key => run('readonly', store => store.get(key)),
+    save: (key, entry) => run('readwrite', store => store.put(entry, key)),
+    remove: key => run('readwrite', store => store.delete(key))
+  };
+})();
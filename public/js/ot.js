@@ -0,0 +1,331 @@
+// Operational transform for plain strings
+// Shared between the browser (window.OT) and the server (require('./public/js/ot'))
+//
+// An operation is an array of components that walks the whole document:
+//   positive number -> retain that many characters
+//   string          -> insert that text
+//   negative number -> delete that many characters
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.OT = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  function isRetain(component) {
+    return typeof component === 'number' && component > 0;
+  }
+
+  function isInsert(component) {
+    return typeof component === 'string';
+  }
+
+  function isDelete(component) {
+    return typeof component === 'number' && component < 0;
+  }
+
+  // Append a component, merging it with the previous one when possible.
+  // Inserts are always kept before deletes so equal operations look the same.
+  function push(op, component) {
+    if (component === 0 || component === '') return op;
+
+    const last = op[op.length - 1];
+
+    if (isRetain(component) && isRetain(last)) {
+      op[op.length - 1] += component;
+    } else if (isDelete(component) && isDelete(last)) {
+      op[op.length - 1] += component;
+    } else if (isInsert(component) && isInsert(last)) {
+      op[op.length - 1] += component;
+    } else if (isInsert(component) && isDelete(last)) {
+      if (isInsert(op[op.length - 2])) {
+        op[op.length - 2] += component;
+      } else {
+        op[op.length - 1] = component;
+        op.push(last);
+      }
+    } else {
+      op.push(component);
+    }
+
+    return op;
+  }
+
+  // Check that an operation only contains valid components
+  function isValid(op) {
+    return Array.isArray(op) && op.every(component =>
+      isInsert(component) || (Number.isInteger(component) && component !== 0)
+    );
+  }
+
+  // Length of the document the operation applies to
+  function baseLength(op) {
+    return op.reduce((length, component) => {
+      if (isRetain(component)) return length + component;
+      if (isDelete(component)) return length - component;
+      return length;
+    }, 0);
+  }
+
+  // Length of the document after the operation is applied
+  function targetLength(op) {
+    return op.reduce((length, component) => {
+      if (isRetain(component)) return length + component;
+      if (isInsert(component)) return length + component.length;
+      return length;
+    }, 0);
+  }
+
+  // Apply an operation to a string
+  function apply(doc, op) {
+    if (baseLength(op) !== doc.length) {
+      throw new Error('Operation does not match document length');
+    }
+
+    let result = '';
+    let index = 0;
+
+    for (const component of op) {
+      if (isRetain(component)) {
+        result += doc.slice(index, index + component);
+        index += component;
+      } else if (isInsert(component)) {
+        result += component;
+      } else {
+        index -= component;
+      }
+    }
+
+    return result;
+  }
+
+  // Build the operation that turns oldDoc into newDoc.
+  // Editors change one contiguous region at a time, so a prefix/suffix diff is enough.
+  function diff(oldDoc, newDoc) {
+    const maxPrefix = Math.min(oldDoc.length, newDoc.length);
+    let prefix = 0;
+    while (prefix < maxPrefix && oldDoc[prefix] === newDoc[prefix]) {
+      prefix++;
+    }
+
+    const maxSuffix = Math.min(oldDoc.length, newDoc.length) - prefix;
+    let suffix = 0;
+    while (suffix < maxSuffix &&
+           oldDoc[oldDoc.length - 1 - suffix] === newDoc[newDoc.length - 1 - suffix]) {
+      suffix++;
+    }
+
+    // Don't split surrogate pairs across components
+    if (prefix > 0 && isHighSurrogate(oldDoc.charCodeAt(prefix - 1))) prefix--;
+    if (suffix > 0 && isLowSurrogate(oldDoc.charCodeAt(oldDoc.length - suffix))) suffix--;
+
+    const op = [];
+    push(op, prefix);
+    push(op, newDoc.slice(prefix, newDoc.length - suffix));
+    push(op, -(oldDoc.length - prefix - suffix));
+    push(op, suffix);
+    return op;
+  }
+
+  function isHighSurrogate(code) {
+    return code >= 0xd800 && code <= 0xdbff;
+  }
+
+  function isLowSurrogate(code) {
+    return code >= 0xdc00 && code <= 0xdfff;
+  }
+
+  // Combine two consecutive operations into one: apply(apply(d, a), b) === apply(d, compose(a, b))
+  function compose(a, b) {
+    if (targetLength(a) !== baseLength(b)) {
+      throw new Error('Operations cannot be composed: length mismatch');
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    let op1 = a[i++];
+    let op2 = b[j++];
+
+    while (op1 !== undefined || op2 !== undefined) {
+      if (isDelete(op1)) {
+        push(result, op1);
+        op1 = a[i++];
+        continue;
+      }
+      if (isInsert(op2)) {
+        push(result, op2);
+        op2 = b[j++];
+        continue;
+      }
+      if (op1 === undefined || op2 === undefined) {
+        throw new Error('Operations cannot be composed: too short');
+      }
+
+      if (isRetain(op1) && isRetain(op2)) {
+        if (op1 > op2) {
+          push(result, op2);
+          op1 -= op2;
+          op2 = b[j++];
+        } else if (op1 === op2) {
+          push(result, op1);
+          op1 = a[i++];
+          op2 = b[j++];
+        } else {
+          push(result, op1);
+          op2 -= op1;
+          op1 = a[i++];
+        }
+      } else if (isInsert(op1) && isDelete(op2)) {
+        if (op1.length > -op2) {
+          op1 = op1.slice(-op2);
+          op2 = b[j++];
+        } else if (op1.length === -op2) {
+          op1 = a[i++];
+          op2 = b[j++];
+        } else {
+          op2 += op1.length;
+          op1 = a[i++];
+        }
+      } else if (isInsert(op1) && isRetain(op2)) {
+        if (op1.length > op2) {
+          push(result, op1.slice(0, op2));
+          op1 = op1.slice(op2);
+          op2 = b[j++];
+        } else if (op1.length === op2) {
+          push(result, op1);
+          op1 = a[i++];
+          op2 = b[j++];
+        } else {
+          push(result, op1);
+          op2 -= op1.length;
+          op1 = a[i++];
+        }
+      } else {
+        // retain in a, delete in b
+        if (op1 > -op2) {
+          push(result, op2);
+          op1 += op2;
+          op2 = b[j++];
+        } else if (op1 === -op2) {
+          push(result, op2);
+          op1 = a[i++];
+          op2 = b[j++];
+        } else {
+          push(result, -op1);
+          op2 += op1;
+          op1 = a[i++];
+        }
+      }
+    }
+
+    return result;
+  }
+
+  // Transform two concurrent operations against each other.
+  // Returns [a', b'] such that apply(apply(d, a), b') === apply(apply(d, b), a').
+  // When both insert at the same position, a's text ends up first.
+  function transform(a, b) {
+    if (baseLength(a) !== baseLength(b)) {
+      throw new Error('Operations cannot be transformed: length mismatch');
+    }
+
+    const aPrime = [];
+    const bPrime = [];
+    let i = 0;
+    let j = 0;
+    let op1 = a[i++];
+    let op2 = b[j++];
+
+    while (op1 !== undefined || op2 !== undefined) {
+      if (isInsert(op1)) {
+        push(aPrime, op1);
+        push(bPrime, op1.length);
+        op1 = a[i++];
+        continue;
+      }
+      if (isInsert(op2)) {
+        push(aPrime, op2.length);
+        push(bPrime, op2);
+        op2 = b[j++];
+        continue;
+      }
+      if (op1 === undefined || op2 === undefined) {
+        throw new Error('Operations cannot be transformed: too short');
+      }
+
+      let length;
+      if (isRetain(op1) && isRetain(op2)) {
+        length = Math.min(op1, op2);
+        push(aPrime, length);
+        push(bPrime, length);
+        op1 -= length;
+        op2 -= length;
+      } else if (isDelete(op1) && isDelete(op2)) {
+        // Both deleted the same text
+        length = Math.min(-op1, -op2);
+        op1 += length;
+        op2 += length;
+      } else if (isDelete(op1) && isRetain(op2)) {
+        length = Math.min(-op1, op2);
+        push(aPrime, -length);
+        op1 += length;
+        op2 -= length;
+      } else {
+        // retain in a, delete in b
+        length = Math.min(op1, -op2);
+        push(bPrime, -length);
+        op1 -= length;
+        op2 += length;
+      }
+
+      if (op1 === 0) op1 = a[i++];
+      if (op2 === 0) op2 = b[j++];
+    }
+
+    return [aPrime, bPrime];
+  }
+
+  // Move a position in the document through an operation.
+  // Text inserted exactly at the position goes before it when stickAfter is set.
+  function transformPosition(position, op, stickAfter) {
+    let index = 0;   // Position in the old document
+    let shifted = position;
+
+    for (const component of op) {
+      if (index > position || (index === position && !stickAfter)) break;
+
+      if (isRetain(component)) {
+        index += component;
+      } else if (isInsert(component)) {
+        shifted += component.length;
+      } else {
+        // Deleted text before the position pulls it back; inside, it collapses
+        shifted -= Math.min(-component, position - index);
+        index -= component;
+      }
+    }
+
+    return shifted;
+  }
+
+  // Move a { start, end } range through an operation.
+  // Text typed at either edge stays outside the range.
+  function transformRange(range, op) {
+    const start = transformPosition(range.start, op, true);
+    const end = Math.max(start, transformPosition(range.end, op, false));
+    return { start, end };
+  }
+
+  return {
+    isValid,
+    baseLength,
+    targetLength,
+    apply,
+    diff,
+    compose,
+    transform,
+    transformPosition,
+    transformRange
+  };
+});
@@ -0,0 +1,199 @@
+const { EventEmitter } = require('events');
+const { nanoid } = require('nanoid');
+
+// Message bus between server processes. Every process receives every
+// message, its own included, one at a time and in the same order as all the
+// others, so state kept in step by messages stays identical everywhere.
+// Backends also provide try-locks that are released if their process dies.
+//
+// PUBSUB_BACKEND picks the backend:
+//   memory   - a single process (the default with SQLite, and for tests)
+//   postgres - LISTEN/NOTIFY and advisory locks on the database pool, for
+//              running several processes behind a load balancer (the
+//              default with PostgreSQL)
+
+const CHANNEL = 'notepad_bus';
+
+// NOTIFY payloads must stay under 8000 bytes; bigger messages go through a table
+const MAX_PAYLOAD = 7000;
+
+// Spilled messages are kept long enough for every process to read them
+const SPILL_RETENTION_MS = 5 * 60 * 1000;
+
+// How often processes say they are alive, and when one counts as gone
+const HEARTBEAT_MS = 10 * 1000;
+const HEARTBEAT_TIMEOUT_MS = 35 * 1000;
+
+function createMemoryBackend() {
+  let deliver = () => {};
+
+  return {
+    async start(onMessage) {
+      deliver = onMessage;
+    },
+
+    // Serialized like the Postgres backend, so nothing relies on shared objects
+    async publish(message) {
+      const payload = JSON.stringify(message);
+      setImmediate(() => deliver(JSON.parse(payload)));
+    },
+
+    // Like Postgres advisory locks, a process never conflicts with itself,
+    // and here there is only one
+    async lock() {
+      return true;
+    },
+
+    async unlock() {}
+  };
+}
+
+// Notifications and session-level advisory locks share one dedicated
+// connection; if it drops, both are gone and `onReset` is called
+function createPostgresBackend(pool, onReset) {
+  let client = null;
+  let deliver = () => {};
+  let queue = Promise.resolve();
+  let sending = Promise.resolve();
+
+  // Notifications are handled strictly in order, even when a spilled one
+  // has to be fetched first
+  function receive(payload) {
+    queue = queue.then(async () => {
+      let message = JSON.parse(payload);
+      if (message.spilled) {
+        const res = await pool.query('SELECT payload FROM bus_messages WHERE id = $1', [message.spilled]);
+        if (!res.rows[0]) throw new Error(`Bus message ${message.spilled} is missing`);
+        message = JSON.parse(res.rows[0].payload);
+      }
+      deliver(message);
+    }).catch((err) => console.error('Error handling bus message:', err));
+  }
+
+  async function connect() {
+    client = await pool.connect();
+    client.on('notification', (notification) => {
+      if (notification.channel === CHANNEL) receive(notification.payload);
+    });
+    client.on('error', (err) => {
+      console.error('Bus connection lost:', err.message);
+      const lost = client;
+      client = null;
+      lost.release(err);
+      onReset();
+      setTimeout(reconnect, 1000);
+    });
+    await client.query(`LISTEN ${CHANNEL}`);
+  }
+
+  function reconnect() {
+    connect().catch((err) => {
+      console.error('Error reconnecting the bus:', err.message);
+      setTimeout(reconnect, 5000);
+    });
+  }
+
+  return {
+    async start(onMessage) {
+      deliver = onMessage;
+      await pool.query(`CREATE TABLE IF NOT EXISTS bus_messages (
+        id SERIAL PRIMARY KEY,
+        payload TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`);
+      await connect();
+
+      setInterval(() => {
+        pool.query('DELETE FROM bus_messages WHERE created_at < $1', [new Date(Date.now() - SPILL_RETENTION_MS)])
+          .catch((err) => console.error('Error clearing bus messages:', err.message));
+      }, SPILL_RETENTION_MS).unref();
+    },
+
+    // Sent one at a time, so messages from this process arrive in order
+    publish(message) {
+      let payload = JSON.stringify(message);
+      const send = async () => {
+        if (Buffer.byteLength(payload) > MAX_PAYLOAD) {
+          const res = await pool.query('INSERT INTO bus_messages (payload) VALUES ($1) RETURNING id', [payload]);
+          payload = JSON.stringify({ spilled: res.rows[0].id });
+        }
+        await pool.query('SELECT pg_notify($1, $2)', [CHANNEL, payload]);
+      };
+      const sent = sending.then(send);
+      sending = sent.catch(() => {});
+      return sent;
+    },
+
+    async lock(name, shared) {
+      if (!client) return false;
+      const fn = shared ? 'pg_try_advisory_lock_shared' : 'pg_try_advisory_lock';
+      const res = await client.query(`SELECT ${fn}(hashtext($1)) AS locked`, [name]);
+      return res.rows[0].locked;
+    },
+
+    async unlock(name, shared) {
+      if (!client) return;
+      const fn = shared ? 'pg_advisory_unlock_shared' : 'pg_advisory_unlock';
+      await client.query(`SELECT ${fn}(hashtext($1))`, [name]);
+    }
+  };
+}
+
+// The bus for this process. Messages are { type, from, ...data }; handlers
+// registered with on(type) run synchronously as each message arrives.
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+// Identifies this process in messages and in the sockets it reports
+bus.id = nanoid(8);
+
+const lastSeen = new Map(); // Process id -> time of its last message
+let backend = null;
+
+bus.start = async function start() {
+  const { db, isProduction } = require('./database');
+  const name = process.env.PUBSUB_BACKEND || (isProduction ? 'postgres' : 'memory');
+  if (name === 'postgres') {
+    if (!isProduction) {
+      throw new Error('PUBSUB_BACKEND=postgres needs the PostgreSQL database');
+    }
+    backend = createPostgresBackend(db, () => bus.emit('reset'));
+  } else if (name === 'memory') {
+    backend = createMemoryBackend();
+  } else {
+    throw new Error(`Unknown PUBSUB_BACKEND "${name}"`);
+  }
+
+  await backend.start((message) => {
+    lastSeen.set(message.from, Date.now());
+    bus.emit(message.type, message);
+  });
+  console.log(`Using ${name} pub/sub backend`);
+
+  // Processes that stop talking have crashed or lost their connection
+  setInterval(() => {
+    bus.publish('alive').catch((err) => console.error('Error sending heartbeat:', err.message));
+
+    const now = Date.now();
+    lastSeen.forEach((seen, id) => {
+      if (now - seen > HEARTBEAT_TIMEOUT_MS) {
+        lastSeen.delete(id);
+        bus.publish('process-gone', { process: id }).catch(() => {});
+      }
+    });
+  }, HEARTBEAT_MS).unref();
+};
+
+bus.publish = function publish(type, data = {}) {
+  return backend.publish({ ...data, type, from: bus.id });
+};
+
+bus.lock = function lock(name, { shared = false } = {}) {
+  return backend.lock(name, shared);
+};
+
+bus.unlock = function unlock(name, { shared = false } = {}) {
+  return backend.unlock(name, shared);
+};
+
+module.exports = bus;
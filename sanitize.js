@@ -0,0 +1,317 @@
+// Allowlist HTML sanitizer for notepad content
+//
+// Output is serialized the way browsers serialize innerHTML, so content that
+// is already clean passes through unchanged and editors don't see spurious edits.
+
+// Elements that are kept, with the attributes allowed on each
+const GLOBAL_ATTRIBUTES = ['class', 'style'];
+
+const ALLOWED_ELEMENTS = {
+  div: [], p: [], span: [], br: [],
+  b: [], strong: [], i: [], em: [], u: [], s: [], strike: [], sub: [], sup: [], mark: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  ul: [], ol: [], li: [], blockquote: [], pre: [], code: [], hr: [],
+  table: [], thead: [], tbody: [], tr: [], th: ['colspan', 'rowspan'], td: ['colspan', 'rowspan'],
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'width', 'height'],
+  video: ['src', 'controls', 'width', 'height'],
+  audio: ['src', 'controls'],
+  iframe: ['src', 'width', 'height', 'frameborder', 'allow', 'allowfullscreen'],
+  // Delete button inside media wrappers
+  button: []
+};
+
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'source', 'wbr', 'input', 'meta', 'link', 'col', 'area', 'base', 'embed', 'param', 'track']);
+
+// Elements removed together with everything inside them
+const DROPPED_ELEMENTS = new Set([
+  'script', 'style', 'template', 'noscript', 'noembed', 'noframes', 'object', 'embed', 'applet',
+  'svg', 'math', 'title', 'head', 'textarea', 'select', 'option', 'xmp', 'plaintext', 'frameset', 'frame'
+]);
+
+// Elements whose content is raw text up to the closing tag
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'xmp', 'noscript', 'noembed', 'noframes', 'template', 'plaintext']);
+
+const URL_ATTRIBUTES = new Set(['href', 'src']);
+
+// Only YouTube embeds may be framed
+const IFRAME_SRC = /^https:\/\/www\.youtube(-nocookie)?\.com\/embed\/[\w-]+(\?[\w=&;-]*)?$/;
+
+// Nothing may be positioned or layered over the page around the editor
+const ALLOWED_STYLES = new Set([
+  'display', 'width', 'height', 'max-width', 'max-height', 'min-width', 'min-height',
+  'margin', 'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+  'padding', 'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+  'border', 'border-radius', 'background', 'background-color', 'color',
+  'font-size', 'font-weight', 'font-style', 'line-height', 'text-align', 'text-decoration',
+  'align-items', 'justify-content', 'cursor', 'transition', 'white-space'
+]);
+
+// Classes the app's own content uses: media wrappers with their delete
+// button, and the language of Markdown code blocks
+const ALLOWED_CLASSES = new Set(['media-wrapper', 'media-delete-btn']);
+const CODE_LANGUAGE_CLASS = /^language-[\w-]+$/;
+
+// Styled by the stylesheet alone
+const UNSTYLED_ELEMENTS = new Set(['button']);
+
+// Entities that can appear in attribute values we need to inspect
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0',
+  colon: ':', tab: '\t', newline: '\n', lpar: '(', rpar: ')', sol: '/', bsol: '\\', semi: ';', comma: ','
+};
+
+// Decode character references in an attribute value.
+// Returns null if it contains a named reference we don't know.
+function decodeEntities(value) {
+  let unknown = false;
+  const decoded = value.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);?/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '�';
+    }
+    const named = NAMED_ENTITIES[ref.toLowerCase()];
+    if (named === undefined) {
+      if (match.endsWith(';')) unknown = true;
+      return match;
+    }
+    return named;
+  });
+  return unknown ? null : decoded;
+}
+
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/\u00a0/g, '&nbsp;');
+}
+
+// Text is left as written except for characters that could start markup
+function escapeText(text) {
+  return text
+    .replace(/&(?!(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);)/gi, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\u00a0/g, '&nbsp;');
+}
+
+function isSafeUrl(url, element) {
+  // Browsers ignore whitespace and control characters inside the scheme
+  const normalized = url.replace(/[\u0000- \u007f-\u009f]/g, '').toLowerCase();
+
+  if (element === 'iframe') {
+    return IFRAME_SRC.test(url.trim());
+  }
+
+  const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+  if (!scheme) {
+    // Relative URL (e.g. /uploads/...)
+    return true;
+  }
+  return ['http', 'https', 'mailto'].includes(scheme[1]);
+}
+
+function sanitizeStyle(style) {
+  const declarations = [];
+
+  for (const declaration of style.split(';')) {
+    const colon = declaration.indexOf(':');
+    if (colon === -1) continue;
+
+    const property = declaration.slice(0, colon).trim().toLowerCase();
+    const value = declaration.slice(colon + 1).trim();
+
+    if (!ALLOWED_STYLES.has(property) || !value) continue;
+    if (/url\s*\(|expression\s*\(|javascript:|@import|[\\<>"]/i.test(value)) continue;
+
+    declarations.push(`${property}: ${value};`);
+  }
+
+  return declarations.join(' ');
+}
+
+function sanitizeClass(value, tag) {
+  return value
+    .split(/\s+/)
+    .filter(name => ALLOWED_CLASSES.has(name) || (tag === 'code' && CODE_LANGUAGE_CLASS.test(name)))
+    .join(' ');
+}
+
+// Split a tag's attribute source into [name, value] pairs
+function parseAttributes(source) {
+  const attributes = [];
+  const pattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+
+  while ((match = pattern.exec(source))) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    attributes.push([match[1].toLowerCase(), value === undefined ? '' : value]);
+  }
+
+  return attributes;
+}
+
+function sanitizeAttributes(tag, attributes) {
+  const allowed = ALLOWED_ELEMENTS[tag];
+  const seen = new Set();
+  let result = '';
+
+  for (const [name, rawValue] of attributes) {
+    if (seen.has(name)) continue;
+    seen.add(name);
+
+    if (!GLOBAL_ATTRIBUTES.includes(name) && !allowed.includes(name)) continue;
+
+    let value = decodeEntities(rawValue);
+    if (value === null) continue;
+
+    if (URL_ATTRIBUTES.has(name) && !isSafeUrl(value, tag)) continue;
+
+    if (name === 'style') {
+      if (UNSTYLED_ELEMENTS.has(tag)) continue;
+      value = sanitizeStyle(value);
+      if (!value) continue;
+    }
+
+    if (name === 'class') {
+      value = sanitizeClass(value, tag);
+      if (!value) continue;
+    }
+
+    result += ` ${name}="${escapeAttribute(value)}"`;
+  }
+
+  return result;
+}
+
+// Find where a tag ends, skipping '>' inside quoted attribute values
+function findTagEnd(html, start) {
+  let quote = null;
+  for (let i = start; i < html.length; i++) {
+    const char = html[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '>') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Sanitize an HTML fragment
+function sanitizeHtml(html) {
+  if (typeof html !== 'string' || !html) return '';
+
+  let output = '';
+  const open = []; // Stack of kept elements that still need closing
+  let dropping = null; // { tag, depth } while skipping a dropped element
+  let i = 0;
+
+  while (i < html.length) {
+    const lt = html.indexOf('<', i);
+    const textEnd = lt === -1 ? html.length : lt;
+
+    if (textEnd > i) {
+      if (!dropping) output += escapeText(html.slice(i, textEnd));
+      i = textEnd;
+      continue;
+    }
+
+    // Comments, doctypes and processing instructions are removed
+    if (html.startsWith('<!--', i)) {
+      const end = html.indexOf('-->', i + 4);
+      i = end === -1 ? html.length : end + 3;
+      continue;
+    }
+    if (html[i + 1] === '!' || html[i + 1] === '?') {
+      const end = html.indexOf('>', i);
+      i = end === -1 ? html.length : end + 1;
+      continue;
+    }
+
+    const tagMatch = /^<(\/?)([a-zA-Z][^\s\/>]*)/.exec(html.slice(i, i + 100));
+    if (!tagMatch) {
+      // A lone '<' is text
+      if (!dropping) output += '&lt;';
+      i++;
+      continue;
+    }
+
+    const end = findTagEnd(html, i + tagMatch[0].length);
+    if (end === -1) {
+      // Unterminated tag: discard the rest
+      break;
+    }
+
+    const isClosing = tagMatch[1] === '/';
+    const tag = tagMatch[2].toLowerCase();
+    const attributeSource = html.slice(i + tagMatch[0].length, end);
+    i = end + 1;
+
+    if (dropping) {
+      if (tag === dropping.tag) {
+        dropping.depth += isClosing ? -1 : 1;
+        if (dropping.depth === 0) dropping = null;
+      }
+      continue;
+    }
+
+    if (DROPPED_ELEMENTS.has(tag)) {
+      if (isClosing || VOID_ELEMENTS.has(tag) || /\/\s*$/.test(attributeSource)) continue;
+
+      if (RAW_TEXT_ELEMENTS.has(tag)) {
+        // Skip straight to the closing tag; nothing inside is markup
+        const close = new RegExp(`</${tag}[\\s/>]`, 'i').exec(html.slice(i));
+        i = close ? i + close.index : html.length;
+        const closeEnd = html.indexOf('>', i);
+        i = closeEnd === -1 ? html.length : closeEnd + 1;
+      } else {
+        dropping = { tag, depth: 1 };
+      }
+      continue;
+    }
+
+    if (!ALLOWED_ELEMENTS[tag]) {
+      // Unknown elements are unwrapped: their content stays
+      continue;
+    }
+
+    if (isClosing) {
+      const index = open.lastIndexOf(tag);
+      if (index !== -1) {
+        while (open.length > index) {
+          output += `</${open.pop()}>`;
+        }
+      }
+      continue;
+    }
+
+    const attributes = parseAttributes(attributeSource);
+
+    if (tag === 'iframe') {
+      const src = attributes.find(([name]) => name === 'src');
+      const decoded = src && decodeEntities(src[1]);
+      if (!decoded || !isSafeUrl(decoded, 'iframe')) {
+        // Not a YouTube embed: drop it with its fallback content
+        dropping = { tag, depth: 1 };
+        continue;
+      }
+    }
+
+    output += `<${tag}${sanitizeAttributes(tag, attributes)}>`;
+
+    if (!VOID_ELEMENTS.has(tag)) {
+      open.push(tag);
+    }
+  }
+
+  while (open.length) {
+    output += `</${open.pop()}>`;
+  }
+
+  return output;
+}
+
+module.exports = {
+  sanitizeHtml
+};
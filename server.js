@@ -6,30 +6,51 @@ const bodyParser = require('body-parser');
 const path = require('path');
 const { nanoid } = require('nanoid');
 const multer = require('multer');
-const fs = require('fs');
 
 const db = require('./database');
+const collab = require('./collab');
+const { diffContent } = require('./diff');
+const { sanitizeHtml } = require('./sanitize');
+const markdown = require('./markdown');
+const { htmlToMarkdown, htmlToText } = require('./convert');
+const archive = require('./archive');
+const { buildDocument, readImages } = require('./documents');
+const docx = require('./docx');
+const odt = require('./odt');
+const epub = require('./epub');
+const importer = require('./importer');
+const presence = require('./presence');
+const uploads = require('./uploads');
+const images = require('./images');
+const storage = require('./storage');
+const sweeper = require('./sweeper');
+const lifecycle = require('./lifecycle');
+const throttle = require('./throttle');
+const bus = require('./pubsub');
+const BusAdapter = require('./adapter');
 
 const app = express();
 const server = http.createServer(app);
-const io = socketIO(server);
+// Broadcasts go through the bus so they reach sockets on every process
+const io = socketIO(server, { adapter: BusAdapter });
 
 const PORT = process.env.PORT || 3000;
 
+// Behind a proxy, TRUST_PROXY tells Express which X-Forwarded-For entries to
+// believe: 'true', a number of hops, or addresses (see Express' "trust proxy")
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set('trust proxy', trust === 'true' ? true : (/^\d+$/.test(trust) ? Number(trust) : trust));
+}
+
 // Initialize database
 db.initializeDatabase();
 
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir);
-}
 
 // Middleware
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(express.static('public'));
-app.use('/uploads', express.static('uploads'));
 app.use('/pic', express.static('pic'));
 
 // Configure session store
@@ -46,7 +67,7 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
-app.use(session({
+const sessionMiddleware = session({
   store: sessionStore, // undefined in dev (defaults to MemoryStore)
   secret: process.env.SESSION_SECRET || 'collaborative-notepad-secret-key',
   resave: false,
@@ -55,36 +76,316 @@ app.use(session({
     secure: process.env.NODE_ENV === 'production',
     maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
   }
-}));
+});
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadsDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueName = `${Date.now()}-${nanoid(10)}-${file.originalname}`;
-    cb(null, uniqueName);
+app.use(sessionMiddleware);
+
+// Share the session with Socket.IO so sockets know who they belong to
+io.engine.use(sessionMiddleware);
+
+// Configure multer for file uploads. Files are held in memory until
+// verifyUpload has checked them and keepUpload has put them in storage.
+
+// Only sessions that may edit the notepad named in the form get a file
+// written; the notepad has to come before the file
+function uploadFilter(req, file, cb) {
+  const { notepadId } = req.body;
+  if (!notepadId) {
+    req.uploadError = 'The notepad must be named before the file';
+    return cb(null, false);
   }
-});
+
+  getSessionUser(req.session, notepadId).then((user) => {
+    req.uploadNotepadId = notepadId;
+    cb(null, !!user && can(user, 'edit'));
+  }, cb);
+}
 
 const upload = multer({
-  storage: storage,
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+  storage: multer.memoryStorage(),
+  fileFilter: uploadFilter,
+  limits: { fileSize: 10 * 1024 * 1024, files: 1 } // 10MB limit
+});
+
+// Receive one file, answering multer's errors (too large, malformed) as JSON
+function receiveUpload(field) {
+  const receive = upload.single(field);
+  return (req, res, next) => {
+    receive(req, res, (error) => {
+      if (!error) return next();
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ success: false, error: 'The file is larger than 10MB' });
+      }
+      res.status(400).json({ success: false, error: error.message });
+    });
+  };
+}
+
+// Files too big for one request (video, long voice notes) are sent in
+// chunks of this size and can pick up where they stopped if the
+// connection drops (see the /uploads routes)
+const CHUNK_SIZE = 1024 * 1024;
+
+const chunkParser = bodyParser.raw({ type: 'application/octet-stream', limit: CHUNK_SIZE });
+
+// Receive one chunk as a Buffer in req.body, answering oversized ones as JSON
+function receiveChunk(req, res, next) {
+  chunkParser(req, res, (error) => {
+    if (!error) return next();
+    res.status(error.status || 400).json({ success: false, error: error.message });
+  });
+}
+
+// Document formats for export: file writer and MIME type
+const DOCUMENT_FORMATS = {
+  docx: { create: docx.createDocx, mimetype: docx.MIMETYPE },
+  odt: { create: odt.createOdt, mimetype: odt.MIMETYPE },
+  epub: { create: epub.createEpub, mimetype: epub.MIMETYPE }
+};
+
+// Archives are read in memory for importing
+const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
+});
+
+// Sockets connected to this process per document (real and decoy are
+// counted separately); a document stays loaded here while it has any.
+// Who is in a notepad across all processes is kept in its presence room.
+const localSockets = {};
+
+// Work on a notepad's live document from a request. It is unloaded again
+// afterwards, even if `use` throws, unless sockets here have it open.
+async function withDocument(documentId, use) {
+  const doc = await collab.loadDocument(documentId);
+  try {
+    return await use(doc);
+  } finally {
+    if (!localSockets[documentId]) {
+      collab.unloadDocument(documentId, () => !localSockets[documentId]);
+    }
+  }
+}
+
+function fileUrl(file) {
+  return `/uploads/${path.basename(file.filepath)}`;
+}
+
+// What clients see of a stored file; images have `variants` for the sizes
+// the editor ('web') and the attachments bar ('thumb') show
+function fileInfo(file, variants = []) {
+  return {
+    id: file.id,
+    filename: file.filename,
+    url: fileUrl(file),
+    mimetype: file.mimetype,
+    size: file.size,
+    width: file.width,
+    height: file.height,
+    uploadedAt: file.uploaded_at,
+    variants: Object.fromEntries(variants.map(variant => [
+      variant.variant,
+      { url: fileUrl(variant), width: variant.width, height: variant.height }
+    ]))
+  };
+}
+
+// A notepad's files as clients see them, variants under their originals
+function fileList(files) {
+  return files
+    .filter(file => !file.variant_of)
+    .map(file => fileInfo(file, files.filter(variant => variant.variant_of === file.id)));
+}
+
+// Put an upload in storage, stripped of metadata and with resized variants
+// if it is an image, once it is known to fit in the notepad next to the
+// `used` bytes already there. Returns what recordUpload needs.
+async function storeUpload(filename, data, type, used) {
+  const original = images.canProcess(type.mimetype)
+    ? await images.processImage(data, type.mimetype)
+    : { data, variants: [] };
+  uploads.checkQuota(used, [original, ...original.variants].reduce((total, file) => total + file.data.length, 0));
+
+  const stored = uploads.storedName(filename, type);
+  const put = async (file, name) => ({
+    filepath: await storage.put(name, file.data, type.mimetype),
+    size: file.data.length,
+    width: file.width || null,
+    height: file.height || null,
+    variant: file.variant || null
+  });
+
+  const upload = { filename, stored, mimetype: type.mimetype, ...await put(original, stored), variants: [] };
+  for (const variant of original.variants) {
+    upload.variants.push(await put(variant, stored.replace(/\.\w+$/, `-${variant.variant}$&`)));
+  }
+  return upload;
+}
+
+// Bytes an upload takes with its variants
+function storedSize(upload) {
+  return [upload, ...upload.variants].reduce((total, file) => total + file.size, 0);
+}
+
+// Add a stored upload's rows; returns what clients see of it
+async function recordUpload(documentId, upload) {
+  const { filename, mimetype } = upload;
+  const id = await db.addFile(documentId, filename, upload.filepath, mimetype, upload.size, upload);
+
+  for (const variant of upload.variants) {
+    await db.addFile(documentId, filename, variant.filepath, mimetype, variant.size, { ...variant, variantOf: id });
+  }
+  return fileInfo({ ...upload, id }, upload.variants);
+}
+
+// Real and decoy users of a notepad work on separate documents
+function getDocumentId(session, notepadId) {
+  const isAlternate = !!(session && session.notepadId === notepadId && session.isAlternate);
+  return db.getDocumentId(notepadId, isAlternate);
+}
+
+// Resolve which document a request for a notepad should see
+app.param('id', (req, res, next, id) => {
+  // Decoy documents are only reachable through their notepad
+  if (db.isDecoyId(id)) {
+    return res.status(404).json({ success: false, error: 'Notepad not found' });
+  }
+  req.documentId = getDocumentId(req.session, id);
+  next();
 });
 
-// Store active connections per notepad
-const activeUsers = {};
+// Look up the user a session authenticated as, if they still have access
+async function getSessionUser(session, notepadId) {
+  if (!session || !notepadId || session.notepadId !== notepadId || !session.userId) {
+    return null;
+  }
+  return db.getUser(notepadId, session.userId);
+}
+
+// Only sessions that authenticated for the notepad may use it
+async function requireNotepadAccess(req, res, next) {
+  try {
+    const user = await getSessionUser(req.session, req.params.id);
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Not authorized' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Error checking access:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// Same check for uploads, which name their notepad in the multipart body
+async function requireUploadAccess(req, res, next) {
+  try {
+    const { notepadId } = req.body;
+    const user = await getSessionUser(req.session, notepadId);
+
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Not authorized' });
+    }
+    if (req.uploadError) {
+      return res.status(400).json({ success: false, error: req.uploadError });
+    }
+    if (req.file && req.uploadNotepadId !== notepadId) {
+      return res.status(400).json({ success: false, error: 'The file does not belong to this notepad' });
+    }
+
+    req.user = user;
+    req.documentId = getDocumentId(req.session, notepadId);
+    next();
+  } catch (error) {
+    console.error('Error checking access:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// Owner-only routes (use after requireNotepadAccess)
+function requireOwner(req, res, next) {
+  if (!req.user.isOwner) {
+    return res.status(403).json({ success: false, error: 'Only the notepad owner can do that' });
+  }
+  next();
+}
+
+// Which roles may do what
+const PERMISSIONS = {
+  edit: ['owner', 'editor'],
+  comment: ['owner', 'editor', 'commenter']
+};
+
+function can(user, action) {
+  return PERMISSIONS[action].includes(user.role);
+}
+
+// Role check for routes (use after requireNotepadAccess / requireUploadAccess)
+function requirePermission(action) {
+  return (req, res, next) => {
+    if (!can(req.user, action)) {
+      return res.status(403).json({ success: false, error: 'Your role does not allow that' });
+    }
+    next();
+  };
+}
+
+// Check what an uploaded file really is and that its type is allowed. It
+// is described as `req.upload` ({ filename, mimetype, type }) under a safe
+// name (use after requireUploadAccess).
+function verifyUpload(req, res, next) {
+  if (!req.file) return next();
+
+  const type = uploads.detectType(req.file.buffer, req.file.originalname, req.file.mimetype);
+  if (!type || !uploads.isAllowed(type.mimetype)) {
+    return res.status(415).json({ success: false, error: 'This type of file is not allowed' });
+  }
+
+  req.upload = { filename: uploads.safeFilename(req.file.originalname), mimetype: type.mimetype, type };
+  next();
+}
+
+// Put a verified upload in storage; `req.upload` becomes what recordUpload
+// needs (see storeUpload)
+async function keepUpload(req, res, next) {
+  if (!req.file) return next();
+
+  try {
+    const { filename, type } = req.upload;
+    req.upload = await storeUpload(filename, req.file.buffer, type, await db.getStorageUsed(req.documentId));
+    next();
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Error storing upload:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
 
 // API Routes
 
-// Create new notepad
+// Create new notepad. `expiresAt` (a date) deletes it then; with
+// `burnAfterReading` it goes shortly after someone else first opens it.
 app.post('/api/notepad/create', async (req, res) => {
   try {
-    const { password, altPassword } = req.body;
+    const { password, altPassword, username, burnAfterReading } = req.body;
     const notepadId = nanoid(10);
+
+    if (!password) {
+      return res.status(400).json({ success: false, error: 'Password is required' });
+    }
+
+    const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+    if (expiresAt && !(expiresAt > new Date())) {
+      return res.status(400).json({ success: false, error: 'The expiry date must be in the future' });
+    }
     
-    const result = await db.createNotepad(notepadId, password, altPassword || password + '-alt');
+    const result = await db.createNotepad(notepadId, password, altPassword || password + '-alt', username, {
+      expiresAt,
+      burnAfterReading: !!burnAfterReading
+    });
     
     res.json({ 
       success: true, 
@@ -98,30 +399,93 @@ app.post('/api/notepad/create', async (req, res) => {
   }
 });
 
+// Create a notepad from an exported archive
+app.post('/api/notepad/import', archiveUpload.single('archive'), async (req, res) => {
+  try {
+    const { password, altPassword, username } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ success: false, error: 'Password is required' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No archive uploaded' });
+    }
+
+    const result = await archive.importArchive(req.file.buffer, { password, altPassword, username });
+
+    res.json({
+      success: true,
+      notepadId: result.notepadId,
+      users: result.users,
+      url: `/notepad/${result.notepadId}`
+    });
+  } catch (error) {
+    if (error.invalidArchive || error.status) {
+      return res.status(error.status || 400).json({ success: false, error: error.message });
+    }
+    console.error('Error importing notepad:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Authenticate user
 app.post('/api/notepad/:id/auth', async (req, res) => {
   try {
     const { id } = req.params;
     const { username, password } = req.body;
 
-    const notepad = await db.getNotepad(id);
-    if (!notepad) {
+    // Expired notepads, and burned ones waiting to be deleted, are gone already
+    let notepad = await db.getNotepad(id);
+    if (!notepad || db.isExpired(notepad) || notepad.burned_at) {
       return res.status(404).json({ success: false, error: 'Notepad not found' });
     }
 
+    // Too many attempts: answered the same whether the password is right or not
+    const allowed = await throttle.attempt(id, req.ip);
+    if (!allowed.allowed) {
+      res.set('Retry-After', String(allowed.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: `Too many sign-in attempts. Try again in ${throttle.formatWait(allowed.retryAfter)}.`,
+        retryAfter: allowed.retryAfter
+      });
+    }
+
     const result = await db.verifyUser(id, username, password);
     
     if (result.valid) {
+      await throttle.succeeded(id, req.ip);
+
+      if (result.isAlternate) {
+        await db.ensureDecoyNotepad(id);
+      }
+
+      // Burn after reading: this is the one view anyone other than the owner gets
+      if (!result.isAlternate && result.role !== 'owner' && db.formatLifecycle(notepad).burnAfterReading) {
+        if (!await db.burnNotepad(id, lifecycle.burnTime())) {
+          return res.status(404).json({ success: false, error: 'Notepad not found' });
+        }
+        notepad = await db.getNotepad(id);
+      }
+
       req.session.notepadId = id;
-      req.session.username = username;
+      req.session.userId = result.id;
+      req.session.username = result.username;
       req.session.isAlternate = result.isAlternate;
       
       res.json({ 
         success: true, 
         isAlternate: result.isAlternate,
-        username: result.username
+        isOwner: result.isOwner,
+        role: result.role,
+        userId: result.id,
+        username: result.username,
+        // Decoy users only know about the decoy, which has no lifecycle of its own
+        lifecycle: result.isAlternate ? null : db.formatLifecycle(notepad)
       });
     } else {
+      await throttle.failed(id, username, req.ip);
+
       // Wrong password - return success but with blank flag
       res.json({ 
         success: true, 
@@ -135,23 +499,24 @@ app.post('/api/notepad/:id/auth', async (req, res) => {
 });
 
 // Get notepad content
-app.get('/api/notepad/:id', async (req, res) => {
+app.get('/api/notepad/:id', requireNotepadAccess, async (req, res) => {
   try {
-    const { id } = req.params;
-    const notepad = await db.getNotepad(id);
+    const notepad = await db.getNotepad(req.documentId);
     
     if (!notepad) {
       return res.status(404).json({ success: false, error: 'Notepad not found' });
     }
 
-    const feedback = await db.getFeedback(id);
-    const files = await db.getFiles(id);
+    notepad.content = sanitizeHtml(notepad.content);
+    const feedback = await db.getFeedback(req.documentId);
+    const files = await db.getFiles(req.documentId);
 
     res.json({ 
       success: true, 
       notepad,
+      lifecycle: db.formatLifecycle(notepad),
       feedback,
-      files
+      files: fileList(files)
     });
   } catch (error) {
     console.error('Error getting notepad:', error);
@@ -159,33 +524,79 @@ app.get('/api/notepad/:id', async (req, res) => {
   }
 });
 
+// Delete the notepad and everything in it, for good
+app.delete('/api/notepad/:id', requireNotepadAccess, requireOwner, async (req, res) => {
+  try {
+    await lifecycle.deleteNotepad(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting notepad:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Recent wrong passwords for the notepad, and whether sign-in is locked out
+app.get('/api/notepad/:id/failed-sign-ins', requireNotepadAccess, requireOwner, async (req, res) => {
+  try {
+    res.json({ success: true, ...await throttle.report(req.params.id) });
+  } catch (error) {
+    console.error('Error listing failed sign-ins:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Export notepad in different formats
-app.get('/api/notepad/:id/export/:format', async (req, res) => {
+app.get('/api/notepad/:id/export/:format', requireNotepadAccess, async (req, res) => {
   try {
     const { id, format } = req.params;
-    const notepad = await db.getNotepad(id);
+    const notepad = await db.getNotepad(req.documentId);
     
     if (!notepad) {
       return res.status(404).json({ success: false, error: 'Notepad not found' });
     }
 
-    const content = notepad.content;
+    // Markdown notepads export their source as it is
+    const isMarkdown = notepad.mode === 'markdown';
+    const source = isMarkdown ? markdown.markdownSource(notepad.content) : null;
 
     switch (format) {
       case 'raw':
-        res.setHeader('Content-Type', 'text/plain');
-        res.send(content);
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.send(isMarkdown ? source : htmlToText(notepad.content));
         break;
       case 'markdown':
-        res.setHeader('Content-Type', 'text/markdown');
+        res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
         res.setHeader('Content-Disposition', `attachment; filename="notepad-${id}.md"`);
-        res.send(content);
+        res.send(isMarkdown ? source : htmlToMarkdown(notepad.content));
         break;
       case 'code':
-        res.setHeader('Content-Type', 'text/plain');
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
         res.setHeader('Content-Disposition', `attachment; filename="notepad-${id}.txt"`);
-        res.send('```\n' + content + '\n```');
+        res.send('```\n' + (isMarkdown ? source : htmlToText(notepad.content)) + '\n```');
+        break;
+      case 'docx':
+      case 'odt':
+      case 'epub': {
+        // Images uploaded to this notepad are embedded in the document
+        const html = markdown.renderNotepad(notepad.content, notepad.mode);
+        const files = await readImages(html, await db.getFiles(req.documentId));
+        const { create, mimetype } = DOCUMENT_FORMATS[format];
+        const document = buildDocument(html, { title: `Notepad ${id}`, files });
+
+        res.setHeader('Content-Type', mimetype);
+        res.setHeader('Content-Disposition', `attachment; filename="notepad-${id}.${format}"`);
+        res.send(create(document));
+        break;
+      }
+      case 'archive': {
+        // The live document has the current content and feedback anchors
+        const zip = await withDocument(req.documentId, doc => archive.exportArchive(doc));
+
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="notepad-${id}.zip"`);
+        res.send(zip);
         break;
+      }
       default:
         res.status(400).json({ success: false, error: 'Invalid format' });
     }
@@ -195,78 +606,485 @@ app.get('/api/notepad/:id/export/:format', async (req, res) => {
   }
 });
 
-// Add feedback
-app.post('/api/notepad/:id/feedback', async (req, res) => {
+// Rendered, sanitized HTML for the notepad (a page, or JSON when asked for)
+app.get('/api/notepad/:id/render', requireNotepadAccess, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { lineNumber, reaction, comment } = req.body;
-    const username = req.session.username || 'Anonymous';
+    const id = req.documentId;
 
-    const result = await db.addFeedback(id, lineNumber, reaction, comment, username);
-    
-    // Broadcast to all connected clients
-    io.to(id).emit('feedback-added', {
-      id: result.id,
-      lineNumber,
-      reaction,
-      comment,
-      username,
-      created_at: new Date().toISOString()
+    // The live document is ahead of the database while a save is queued
+    const { html, mode } = await withDocument(id, doc => ({
+      html: markdown.renderNotepad(doc.content, doc.mode),
+      mode: doc.mode
+    }));
+
+    res.format({
+      html: () => {
+        const title = req.params.id.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+        // Delete buttons on media are for the editor, which styles them
+        const style = '<style>.media-delete-btn { display: none; }</style>';
+        res.send(`<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n<title>${title}</title>\n${style}\n</head>\n<body>\n${html}\n</body>\n</html>\n`);
+      },
+      json: () => {
+        res.json({ success: true, mode, html });
+      }
+    });
+  } catch (error) {
+    console.error('Error rendering notepad:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Switch between rich text and Markdown; the content is converted in place
+app.put('/api/notepad/:id/mode', requireNotepadAccess, requirePermission('edit'), async (req, res) => {
+  try {
+    const id = req.documentId;
+    const { mode } = req.body;
+    const { username } = req.user;
+
+    if (!markdown.MODES.includes(mode)) {
+      return res.status(400).json({ success: false, error: 'Invalid mode' });
+    }
+
+    // Clients hear about it from the live document (see collab.events)
+    await withDocument(id, doc => collab.changeMode(doc, mode, username));
+
+    res.json({ success: true, mode });
+  } catch (error) {
+    console.error('Error changing mode:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List revisions
+app.get('/api/notepad/:id/revisions', requireNotepadAccess, async (req, res) => {
+  try {
+    const notepad = await db.getNotepad(req.documentId);
+
+    if (!notepad) {
+      return res.status(404).json({ success: false, error: 'Notepad not found' });
+    }
+
+    const revisions = await db.getRevisions(req.documentId);
+    res.json({ success: true, revisions });
+  } catch (error) {
+    console.error('Error listing revisions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get a single revision
+app.get('/api/notepad/:id/revisions/:revisionId', requireNotepadAccess, async (req, res) => {
+  try {
+    const { revisionId } = req.params;
+    const revision = await db.getRevision(req.documentId, revisionId);
+
+    if (!revision) {
+      return res.status(404).json({ success: false, error: 'Revision not found' });
+    }
+
+    revision.content = sanitizeHtml(revision.content);
+    res.json({ success: true, revision });
+  } catch (error) {
+    console.error('Error getting revision:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Diff a revision against another one (defaults to the revision before it)
+app.get('/api/notepad/:id/revisions/:revisionId/diff', requireNotepadAccess, async (req, res) => {
+  try {
+    const { revisionId } = req.params;
+    const { against } = req.query;
+
+    const revision = await db.getRevision(req.documentId, revisionId);
+    if (!revision) {
+      return res.status(404).json({ success: false, error: 'Revision not found' });
+    }
+
+    const base = against
+      ? await db.getRevision(req.documentId, against)
+      : await db.getPreviousRevision(req.documentId, revisionId);
+    if (against && !base) {
+      return res.status(404).json({ success: false, error: 'Revision not found' });
+    }
+
+    res.json({
+      success: true,
+      from: base ? base.id : null,
+      to: revision.id,
+      changes: diffContent(base ? base.content : '', revision.content)
     });
+  } catch (error) {
+    console.error('Error diffing revisions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Restore a revision as the current content
+app.post('/api/notepad/:id/revisions/:revisionId/restore', requireNotepadAccess, requirePermission('edit'), async (req, res) => {
+  try {
+    const { revisionId } = req.params;
+    const id = req.documentId;
+    const { username } = req.user;
+
+    const revision = await db.getRevision(id, revisionId);
+    if (!revision) {
+      return res.status(404).json({ success: false, error: 'Revision not found' });
+    }
+
+    // Goes through the live document so connected editors merge it like any edit
+    await withDocument(id, doc => collab.replaceContent(doc, sanitizeHtml(revision.content), username));
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List users with access (owners see everyone, other users only themselves)
+app.get('/api/notepad/:id/users', requireNotepadAccess, async (req, res) => {
+  try {
+    const users = req.user.isOwner ? await db.getUsers(req.params.id) : [req.user];
+    res.json({ success: true, users });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Each notepad has exactly one owner; invited users get one of the other roles
+const ASSIGNABLE_ROLES = db.ROLES.filter(role => role !== 'owner');
+
+// Invite a user with their own password
+app.post('/api/notepad/:id/users', requireNotepadAccess, requireOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { username, password, isAlternate, role = 'editor' } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({ success: false, error: 'Username and password are required' });
+    }
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: 'Invalid role' });
+    }
+    if (await db.usernameExists(id, username)) {
+      return res.status(409).json({ success: false, error: 'Username already exists' });
+    }
+
+    await db.addUser(id, username, password, { isAlternate: !!isAlternate, role });
+    if (isAlternate) {
+      await db.ensureDecoyNotepad(id);
+    }
+
+    res.json({ success: true, users: await db.getUsers(id) });
+  } catch (error) {
+    console.error('Error adding user:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Change a password (owners can change anyone's, users their own)
+app.put('/api/notepad/:id/users/:userId/password', requireNotepadAccess, async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const { password } = req.body;
+
+    if (!req.user.isOwner && String(req.user.id) !== userId) {
+      return res.status(403).json({ success: false, error: 'Only the notepad owner can do that' });
+    }
+    if (!password) {
+      return res.status(400).json({ success: false, error: 'Password is required' });
+    }
+
+    const user = await db.getUser(id, userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    await db.updateUserPassword(id, user.id, password);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Rename a user or change their role
+app.put('/api/notepad/:id/users/:userId', requireNotepadAccess, requireOwner, async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const { username, role } = req.body;
+
+    if (!username && !role) {
+      return res.status(400).json({ success: false, error: 'Username or role is required' });
+    }
+
+    const user = await db.getUser(id, userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    if (username && username !== user.username && await db.usernameExists(id, username)) {
+      return res.status(409).json({ success: false, error: 'Username already exists' });
+    }
+    if (role && (user.isOwner || !ASSIGNABLE_ROLES.includes(role))) {
+      return res.status(400).json({ success: false, error: 'Invalid role' });
+    }
+
+    if (username) {
+      await db.renameUser(id, user.id, username);
+    }
+    if (role) {
+      await db.updateUserRole(id, user.id, role);
+    }
+
+    // Live sockets pick up the change; clients are told to refresh their UI
+    await bus.publish('user-updated', { userId: user.id, username, role });
+
+    res.json({ success: true, users: await db.getUsers(id) });
+  } catch (error) {
+    console.error('Error renaming user:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Revoke a user's access
+app.delete('/api/notepad/:id/users/:userId', requireNotepadAccess, requireOwner, async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    const user = await db.getUser(id, userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    if (user.isOwner) {
+      return res.status(400).json({ success: false, error: 'The owner cannot be removed' });
+    }
+
+    await db.removeUser(id, user.id);
+
+    // Their sessions stop working on the next request; live sockets are cut now
+    await bus.publish('user-removed', { userId: user.id });
+
+    res.json({ success: true, users: await db.getUsers(id) });
+  } catch (error) {
+    console.error('Error removing user:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Whether a user wrote a feedback item (older rows only recorded the name)
+function isFeedbackAuthor(user, item) {
+  return item.userId ? item.userId === user.id : item.username === user.username;
+}
+
+// Load the feedback item named in the URL, or answer 404
+async function findFeedback(req, res) {
+  const item = await db.getFeedbackItem(req.documentId, req.params.feedbackId);
+  if (!item) {
+    res.status(404).json({ success: false, error: 'Feedback not found' });
+  }
+  return item;
+}
+
+// Add feedback on a range of text, or a reply to an existing thread.
+// Threads send anchorStart/anchorEnd as offsets into the content at `version`.
+app.post('/api/notepad/:id/feedback', requireNotepadAccess, requirePermission('comment'), async (req, res) => {
+  try {
+    const id = req.documentId;
+    const { reaction, comment, parentId, anchorStart, anchorEnd, quote, version } = req.body;
+    const { username } = req.user;
+
+    if (!reaction && !(comment && comment.trim())) {
+      return res.status(400).json({ success: false, error: 'A reaction or comment is required' });
+    }
+
+    let feedback;
+    if (parentId) {
+      // Replies join the thread's anchor; threads are one level deep
+      const parent = await db.getFeedbackItem(id, parentId);
+      if (!parent || parent.parentId) {
+        return res.status(400).json({ success: false, error: 'Invalid thread' });
+      }
+      feedback = await db.addFeedback(id, parent.lineNumber, reaction || null, comment || null, username, req.user.id, parent.id);
+
+      // Broadcast to all connected clients
+      io.to(id).emit('feedback-added', feedback);
+    } else {
+      feedback = await withDocument(id, async (doc) => {
+        let range;
+        try {
+          range = collab.rebaseRange(doc, version, anchorStart, anchorEnd);
+        } catch (error) {
+          res.status(error.resync ? 409 : 400).json({ success: false, error: error.message, resync: !!error.resync });
+          return null;
+        }
+
+        const item = await db.addFeedback(
+          id, collab.lineAt(doc.content, range.start), reaction || null, comment || null, username, req.user.id, null,
+          { start: range.start, end: range.end, quote: typeof quote === 'string' ? quote.slice(0, 500) : null }
+        );
+
+        // Report the anchor as it is now, in case edits arrived meanwhile.
+        // Clients are told as it starts being tracked (see collab.events).
+        const anchor = await collab.trackAnchor(doc, item, range);
+        item.anchorStart = anchor.start;
+        item.anchorEnd = anchor.end;
+        return item;
+      });
+      // Answered already: the range was out of date or invalid
+      if (!feedback) return;
+    }
 
-    res.json({ success: true, feedbackId: result.id });
+    res.json({ success: true, feedbackId: feedback.id, feedback });
   } catch (error) {
     console.error('Error adding feedback:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Upload text file
-app.post('/api/upload/txt', upload.single('file'), async (req, res) => {
+// Edit your own feedback
+app.put('/api/notepad/:id/feedback/:feedbackId', requireNotepadAccess, requirePermission('comment'), async (req, res) => {
+  try {
+    const item = await findFeedback(req, res);
+    if (!item) return;
+
+    if (!isFeedbackAuthor(req.user, item)) {
+      return res.status(403).json({ success: false, error: 'You can only edit your own comments' });
+    }
+
+    const reaction = req.body.reaction !== undefined ? req.body.reaction : item.reaction;
+    const comment = req.body.comment !== undefined ? req.body.comment : item.comment;
+    if (!reaction && !(comment && comment.trim())) {
+      return res.status(400).json({ success: false, error: 'A reaction or comment is required' });
+    }
+
+    const feedback = await db.updateFeedback(req.documentId, item.id, reaction || null, comment || null);
+    io.to(req.documentId).emit('feedback-updated', feedback);
+
+    res.json({ success: true, feedback });
+  } catch (error) {
+    console.error('Error editing feedback:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete feedback (authors their own, owners any); deleting a thread removes its replies
+app.delete('/api/notepad/:id/feedback/:feedbackId', requireNotepadAccess, async (req, res) => {
+  try {
+    const item = await findFeedback(req, res);
+    if (!item) return;
+
+    if (!req.user.isOwner && !(can(req.user, 'comment') && isFeedbackAuthor(req.user, item))) {
+      return res.status(403).json({ success: false, error: 'You can only delete your own comments' });
+    }
+
+    await db.deleteFeedback(req.documentId, item.id);
+    collab.dropAnchor(req.documentId, item.id);
+    io.to(req.documentId).emit('feedback-deleted', { id: item.id });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting feedback:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Resolve or reopen a thread
+app.post('/api/notepad/:id/feedback/:feedbackId/resolve', requireNotepadAccess, requirePermission('comment'), async (req, res) => {
+  try {
+    const item = await findFeedback(req, res);
+    if (!item) return;
+
+    if (item.parentId) {
+      return res.status(400).json({ success: false, error: 'Only threads can be resolved' });
+    }
+
+    const resolved = req.body.resolved !== false;
+    const feedback = await db.setFeedbackResolved(req.documentId, item.id, resolved, req.user.username);
+    io.to(req.documentId).emit('feedback-updated', feedback);
+
+    res.json({ success: true, feedback });
+  } catch (error) {
+    console.error('Error resolving feedback:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Import a text, Markdown, HTML or Word file as editor content. The client
+// decides whether it replaces the document or goes in at the cursor. The
+// file itself isn't kept. /api/upload/txt is its old name.
+app.post(['/api/upload/document', '/api/upload/txt'], receiveUpload('file'), requireUploadAccess, requirePermission('edit'), verifyUpload, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ success: false, error: 'No file uploaded' });
     }
 
-    const content = fs.readFileSync(req.file.path, 'utf-8');
-    const notepadId = req.body.notepadId;
+    const notepad = await db.getNotepad(req.documentId);
+    const saved = [];
+    let used = await db.getStorageUsed(req.documentId);
+
+    // Pictures embedded in Word documents become uploads of their own,
+    // shown at web size and linked to the original
+    const saveImage = async (name, data) => {
+      const type = uploads.detectType(data, name);
+      if (!type || !uploads.isAllowed(type.mimetype)) return null;
+
+      let upload;
+      try {
+        upload = await storeUpload(uploads.safeFilename(name), data, type, used);
+      } catch (error) {
+        if (error.status === 415) return null;
+        throw error;
+      }
+      used += storedSize(upload);
+
+      const file = await recordUpload(req.documentId, upload);
+      saved.push(file);
+      return { src: file.variants.web ? file.variants.web.url : file.url, href: file.url };
+    };
 
-    if (notepadId) {
-      await db.addFile(notepadId, req.file.originalname, req.file.path, req.file.mimetype, req.file.size);
+    let result;
+    try {
+      result = await importer.importDocument(req.file.buffer, {
+        filename: req.upload.filename,
+        mimetype: req.upload.mimetype,
+        mode: notepad.mode,
+        saveImage
+      });
+    } catch (error) {
+      if (error.unsupported || error.status) {
+        return res.status(error.status || 400).json({ success: false, error: error.message });
+      }
+      throw error;
     }
 
-    res.json({ 
-      success: true, 
-      content,
-      filename: req.file.originalname
+    res.json({
+      success: true,
+      content: result.content,
+      format: result.format,
+      encoding: result.encoding,
+      filename: req.upload.filename,
+      files: saved
     });
   } catch (error) {
-    console.error('Error uploading text file:', error);
+    console.error('Error importing document:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // Upload any file (image, etc.)
-app.post('/api/upload/file', upload.single('file'), async (req, res) => {
+app.post('/api/upload/file', receiveUpload('file'), requireUploadAccess, requirePermission('edit'), verifyUpload, keepUpload, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ success: false, error: 'No file uploaded' });
     }
 
-    const notepadId = req.body.notepadId;
-    
-    if (notepadId) {
-      await db.addFile(notepadId, req.file.originalname, req.file.path, req.file.mimetype, req.file.size);
-    }
+    const file = await recordUpload(req.documentId, req.upload);
 
     res.json({ 
       success: true,
-      file: {
-        filename: req.file.originalname,
-        url: `/uploads/${req.file.filename}`,
-        mimetype: req.file.mimetype,
-        size: req.file.size
-      }
+      file
     });
   } catch (error) {
     console.error('Error uploading file:', error);
@@ -274,77 +1092,500 @@ app.post('/api/upload/file', upload.single('file'), async (req, res) => {
   }
 });
 
+// Start a chunked upload of `size` bytes. The file is checked when it is
+// complete; its size is checked now, counting other unfinished uploads.
+app.post('/api/notepad/:id/uploads', requireNotepadAccess, requirePermission('edit'), async (req, res) => {
+  try {
+    const size = Number(req.body.size);
+    if (!Number.isSafeInteger(size) || size < 0) {
+      return res.status(400).json({ success: false, error: 'The file size is missing' });
+    }
+    if (size === 0) {
+      return res.status(400).json({ success: false, error: 'The file is empty' });
+    }
+    if (size > uploads.maxUploadBytes()) {
+      return res.status(413).json({
+        success: false,
+        error: `The file is larger than ${uploads.formatSize(uploads.maxUploadBytes())}`
+      });
+    }
+    const used = await db.getStorageUsed(req.documentId) + await db.getPendingUploadBytes(req.documentId);
+    uploads.checkQuota(used, size);
+
+    const uploadId = nanoid(21);
+    const filename = uploads.safeFilename(req.body.filename);
+    await db.createUploadSession(uploadId, req.documentId, req.user.id, filename, String(req.body.mimetype || ''), size);
+
+    res.json({ success: true, uploadId, chunkSize: CHUNK_SIZE, received: 0 });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Error starting upload:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// A chunked upload the signed in user started, as `req.uploadSession`
+async function requireUploadSession(req, res, next) {
+  try {
+    const upload = await db.getUploadSession(req.documentId, req.params.uploadId);
+    if (!upload || upload.user_id !== req.user.id) {
+      return res.status(404).json({ success: false, error: 'Upload not found' });
+    }
+
+    req.uploadSession = upload;
+    next();
+  } catch (error) {
+    console.error('Error finding upload:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// How far an upload got, for resuming it
+app.get('/api/notepad/:id/uploads/:uploadId', requireNotepadAccess, requireUploadSession, (req, res) => {
+  const { id, filename, size, received } = req.uploadSession;
+  res.json({ success: true, uploadId: id, filename, size, received, chunkSize: CHUNK_SIZE });
+});
+
+// The next chunk, starting at byte `offset`. Chunks only go on the end:
+// anything else is answered with 409 and where to carry on from.
+app.put('/api/notepad/:id/uploads/:uploadId', requireNotepadAccess, requirePermission('edit'), requireUploadSession, receiveChunk, async (req, res) => {
+  try {
+    const { id, size, received } = req.uploadSession;
+    const data = req.body;
+    if (!Buffer.isBuffer(data) || !data.length) {
+      return res.status(400).json({ success: false, error: 'The chunk is empty' });
+    }
+    if (Number(req.query.offset) !== received) {
+      return res.status(409).json({ success: false, error: 'The upload is somewhere else', received });
+    }
+    if (received + data.length > size) {
+      return res.status(400).json({ success: false, error: 'The chunk goes past the end of the file' });
+    }
+
+    if (!await db.addUploadChunk(id, received, data)) {
+      const current = await db.getUploadSession(req.documentId, id);
+      return res.status(409).json({ success: false, error: 'The upload is somewhere else', received: current ? current.received : 0 });
+    }
+
+    res.json({ success: true, received: received + data.length });
+  } catch (error) {
+    console.error('Error receiving chunk:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Put a fully sent upload together, then check and store it like any other
+app.post('/api/notepad/:id/uploads/:uploadId/complete', requireNotepadAccess, requirePermission('edit'), requireUploadSession, async (req, res) => {
+  try {
+    const { id, filename, mimetype, size, received } = req.uploadSession;
+    if (received !== size) {
+      return res.status(409).json({ success: false, error: 'The upload is not finished', received });
+    }
+
+    // Whoever claims it first stores the file; the chunks stay until it is
+    // stored, so a failed attempt can be tried again
+    if (!await db.claimUploadSession(id)) {
+      return res.status(409).json({ success: false, error: 'The upload is already being stored', received, completing: true });
+    }
+
+    let file;
+    try {
+      // The chunks and the file put together from them are both held in
+      // memory, about twice the file's size, until it is stored
+      const chunks = new Map((await db.getUploadChunks(id)).map(chunk => [Number(chunk.start_byte), chunk.data]));
+      const parts = [];
+      for (let position = 0; position < size; position += parts[parts.length - 1].length) {
+        if (!chunks.has(position)) throw new Error('Part of the upload is missing');
+        parts.push(chunks.get(position));
+      }
+      const data = Buffer.concat(parts);
+
+      const type = uploads.detectType(data, filename, mimetype);
+      if (!type || !uploads.isAllowed(type.mimetype)) {
+        const error = new Error('This type of file is not allowed');
+        error.status = 415;
+        throw error;
+      }
+
+      const upload = await storeUpload(filename, data, type, await db.getStorageUsed(req.documentId));
+      file = await recordUpload(req.documentId, upload);
+    } catch (error) {
+      // A file that will never be kept is given up on; anything else can be retried
+      if (error.status) {
+        await db.deleteUploadSession(id);
+      } else {
+        await db.releaseUploadSession(id);
+      }
+      throw error;
+    }
+
+    await db.deleteUploadSession(id);
+    res.json({ success: true, file });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Error completing upload:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Give up on a chunked upload
+app.delete('/api/notepad/:id/uploads/:uploadId', requireNotepadAccess, requireUploadSession, async (req, res) => {
+  try {
+    if (req.uploadSession.status === 'completing') {
+      return res.status(409).json({ success: false, error: 'The upload is already being stored' });
+    }
+    await db.deleteUploadSession(req.uploadSession.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error cancelling upload:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// A link to an attachment that works without signing in, for embedding
+// elsewhere; `expiresIn` is in seconds
+app.post('/api/notepad/:id/files/:fileId/link', requireNotepadAccess, async (req, res) => {
+  try {
+    const file = await db.getFile(req.documentId, req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ success: false, error: 'File not found' });
+    }
+
+    const { url, expiresAt } = uploads.signedUrl(path.basename(file.filepath), req.body.expiresIn);
+    res.json({ success: true, url, expiresAt });
+  } catch (error) {
+    console.error('Error creating file link:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete an attachment: its rows and the stored file and variants. Copies of it in the
+// document stop loading; the client removes them from the editor.
+app.delete('/api/notepad/:id/files/:fileId', requireNotepadAccess, requirePermission('edit'), async (req, res) => {
+  try {
+    const [file, ...variants] = await db.deleteFile(req.documentId, req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ success: false, error: 'File not found' });
+    }
+
+    [file, ...variants].forEach((removed) => {
+      storage.remove(removed.filepath).catch((error) => console.error('Error removing file:', error));
+    });
+    io.to(req.documentId).emit('file-deleted', { id: file.id });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting file:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Attachments are served to sessions with access to their notepad, or to
+// anyone with a valid signed link. Range requests let media players seek.
+app.get('/uploads/:name', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const file = await db.getFileByPath(storage.locations(name));
+
+    let allowed = !!file && uploads.verifySignedUrl(name, req.query);
+    if (file && !allowed) {
+      const { session } = req;
+      const user = session && await getSessionUser(session, session.notepadId);
+      allowed = !!user && getDocumentId(session, session.notepadId) === file.notepad_id;
+    }
+
+    // Files someone can't see don't exist as far as they know
+    if (!allowed) {
+      return res.status(404).json({ success: false, error: 'File not found' });
+    }
+
+    await storage.send(file.filepath, req, res, {
+      'Content-Type': file.mimetype,
+      // Stored files carry the extension of their real type; browsers
+      // are told not to guess another
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=3600'
+    });
+  } catch (error) {
+    // The browser went away before the file was sent
+    if (error.code === 'ECONNABORTED') return;
+
+    console.error('Error serving file:', error);
+    if (res.headersSent) {
+      // Part of the file may have gone out; cut it short so it isn't taken as whole
+      res.destroy();
+    } else if (error.status === 404) {
+      // The row is there but the stored file isn't (both drivers say so with 404)
+      res.status(404).json({ success: false, error: 'File not found' });
+    } else {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+});
+
 // Serve notepad page
 app.get('/notepad/:id', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'notepad.html'));
 });
 
 // Socket.IO for real-time collaboration
+
+// Only sessions that authenticated for a notepad may connect
+io.use(async (socket, next) => {
+  try {
+    const { session } = socket.request;
+    const user = await getSessionUser(session, session && session.notepadId);
+    if (!user) {
+      return next(new Error('Not authorized'));
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Run a callback for every socket a user has open on this process
+function forEachUserSocket(userId, callback) {
+  for (const socket of io.sockets.sockets.values()) {
+    if (socket.data.user && socket.data.user.id === userId) {
+      callback(socket);
+    }
+  }
+}
+
+// Users can have sockets on any process, so changes to them go over the bus
+bus.on('user-updated', ({ userId, username, role }) => {
+  forEachUserSocket(userId, (socket) => {
+    if (username) socket.data.user.username = username;
+    if (role) socket.data.user.role = role;
+    socket.emit('user-updated', { username: socket.data.user.username, role: socket.data.user.role });
+  });
+});
+
+bus.on('user-removed', ({ userId }) => {
+  forEachUserSocket(userId, (socket) => socket.disconnect(true));
+});
+
+// Everyone in a deleted notepad (or its decoy) is told and cut off
+bus.on('notepad-deleted', ({ notepadId }) => {
+  for (const socket of io.sockets.sockets.values()) {
+    const { session } = socket.request;
+    if (session && session.notepadId === notepadId) {
+      socket.emit('notepad-deleted');
+      socket.disconnect(true);
+    }
+  }
+});
+
+// Changes to live documents are applied in every process with a copy, so
+// each one tells its own sockets (the sender hears back through its ack)
+function emitPresence(doc) {
+  io.local.to(doc.id).emit('active-users', doc.people.size);
+  io.local.to(doc.id).emit('presence', presence.list(doc.people));
+}
+
+collab.events.on('operation', (doc, { op, version, editor, timestamp, socket }) => {
+  io.local.to(doc.id).except(socket || []).emit('content-update', { ops: op, version, editor, timestamp });
+});
+
+collab.events.on('mode', (doc, { mode, editor }) => {
+  io.local.to(doc.id).emit('mode-changed', { mode, editor });
+});
+
+collab.events.on('anchor', (doc, feedback) => {
+  io.local.to(doc.id).emit('feedback-added', feedback);
+});
+
+collab.events.on('presence', emitPresence);
+
+collab.events.on('cursor', (doc, { id, cursor, socket }) => {
+  io.local.to(doc.id).except(socket).emit('cursor-update', { id, cursor });
+});
+
+collab.events.on('typing', (doc, { id, typing, socket }) => {
+  io.local.to(doc.id).except(socket).emit('typing', { id, typing });
+});
+
+// Copies dropped after losing the bus: clients reconnect and catch up
+collab.events.on('reset', (documentIds) => {
+  documentIds.forEach(documentId => io.local.in(documentId).disconnectSockets(true));
+});
+
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
 
-  socket.on('join-notepad', (notepadId) => {
-    socket.join(notepadId);
-    
-    if (!activeUsers[notepadId]) {
-      activeUsers[notepadId] = new Set();
+  const { session } = socket.request;
+  const { user } = socket.data;
+
+  // Map the notepad a client names to the document its session may see
+  function resolveDocument(notepadId) {
+    if (session.notepadId !== notepadId) {
+      throw new Error('Not authorized');
     }
-    activeUsers[notepadId].add(socket.id);
+    return getDocumentId(session, notepadId);
+  }
 
-    // Broadcast active user count
-    io.to(notepadId).emit('active-users', activeUsers[notepadId].size);
-    
-    console.log(`User ${socket.id} joined notepad ${notepadId}`);
-  });
+  // `options.resume` comes from a client rejoining after a dropped connection:
+  // { instance, version, pending } as of the last version it saw
+  socket.on('join-notepad', async (notepadId, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    const { resume } = options || {};
 
-  socket.on('content-change', async (data, callback) => {
-    const { notepadId, content, username } = data;
-    
     try {
-      await db.updateNotepad(notepadId, content, username);
+      const documentId = resolveDocument(notepadId);
       
-      // Broadcast to all other users in the same notepad
-      socket.to(notepadId).emit('content-update', {
-        content,
-        editor: username,
-        timestamp: new Date().toISOString()
+      if (!localSockets[documentId]) {
+        localSockets[documentId] = new Set();
+      }
+      localSockets[documentId].add(socket.id);
+
+      console.log(`User ${socket.id} joined notepad ${notepadId}`);
+
+      const doc = await collab.loadDocument(documentId);
+      collab.joinPresence(doc, socket.request.sessionID, socket.id, user, (error, entry) => {
+        if (error) {
+          console.error('Error joining notepad:', error);
+          if (callback) {
+            callback({ success: false, error: error.message });
+          }
+          return;
+        }
+        if (socket.disconnected) {
+          // Its leave may have gone out before the join
+          collab.leavePresence(documentId, socket.request.sessionID, socket.id);
+          return;
+        }
+
+        // Send the current document and version so the client can start editing.
+        // Joining the room only now means every update it gets comes after them.
+        socket.join(documentId);
+
+        if (callback) {
+          const missed = resume ? collab.missedOperations(doc, resume.instance, resume.version, resume.pending) : null;
+          callback({
+            success: true,
+            content: doc.content,
+            version: doc.version,
+            instance: doc.instance,
+            mode: doc.mode,
+            anchors: collab.getAnchors(doc),
+            presenceId: entry.id,
+            missed: missed && missed.ops,
+            receipt: missed && missed.receipt
+          });
+        }
       });
-      
-      // Send acknowledgment back to sender
+    } catch (error) {
+      console.error('Error loading notepad:', error);
       if (callback) {
-        callback({ success: true });
+        callback({ success: false, error: error.message });
+      }
+    }
+  });
+
+  // Clients send operations made against the last version they saw
+  socket.on('content-change', async (data, callback) => {
+    const { notepadId, version, ops, id } = data;
+    
+    try {
+      if (!can(user, 'edit')) {
+        throw new Error('Your role does not allow editing');
       }
+
+      const documentId = resolveDocument(notepadId);
+      const doc = await collab.loadDocument(documentId);
+      const change = { version, op: ops, id, editor: user.username, socket: socket.id };
+
+      // Others get the operation as it is applied; the sender gets its ack
+      // then, before any later change
+      collab.receiveOperation(doc, change, (error, result) => {
+        if (error) {
+          console.error('Error updating content:', error);
+          if (callback) {
+            callback({ success: false, error: error.message, resync: !!error.resync });
+          }
+          return;
+        }
+
+        if (callback) {
+          callback({ success: true, version: result.version, fix: result.fix });
+        }
+
+        const sessionId = socket.request.sessionID;
+        const started = presence.startTyping(documentId, sessionId, () => {
+          collab.setTyping(documentId, sessionId, socket.id, false);
+        });
+        if (started) {
+          collab.setTyping(documentId, sessionId, socket.id, true);
+        }
+      });
     } catch (error) {
       console.error('Error updating content:', error);
       if (callback) {
-        callback({ success: false, error: error.message });
+        callback({ success: false, error: error.message, resync: !!error.resync });
       }
     }
   });
 
+  // Carets and selections arrive as HTML offsets at the sender's version;
+  // they are stored and relayed at the current one
   socket.on('cursor-position', (data) => {
-    const { notepadId, position, username } = data;
-    socket.to(notepadId).emit('cursor-update', { position, username });
+    const { notepadId, version, start, end } = data || {};
+    try {
+      const documentId = resolveDocument(notepadId);
+      if (!socket.rooms.has(documentId)) return;
+
+      const hasCursor = start !== null && start !== undefined;
+      collab.setCursor(documentId, socket.request.sessionID, socket.id, version, hasCursor ? start : null, end);
+    } catch (error) {
+      // Ignore notepads the client can't see
+    }
   });
 
   socket.on('disconnect', () => {
     console.log('User disconnected:', socket.id);
     
     // Remove from all notepads
-    for (const notepadId in activeUsers) {
-      if (activeUsers[notepadId].has(socket.id)) {
-        activeUsers[notepadId].delete(socket.id);
-        io.to(notepadId).emit('active-users', activeUsers[notepadId].size);
+    for (const documentId in localSockets) {
+      if (localSockets[documentId].has(socket.id)) {
+        localSockets[documentId].delete(socket.id);
+        collab.leavePresence(documentId, socket.request.sessionID, socket.id);
         
-        if (activeUsers[notepadId].size === 0) {
-          delete activeUsers[notepadId];
+        if (localSockets[documentId].size === 0) {
+          delete localSockets[documentId];
+          collab.unloadDocument(documentId, () => !localSockets[documentId]);
         }
       }
     }
   });
 });
 
-// Start server
-server.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
+// Start server once the bus is up, so no message is missed
+bus.start().then(() => {
+  server.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+  });
+
+  // Delete notepads once they expire
+  lifecycle.start();
+
+  // Clear out uploads nothing uses any more
+  sweeper.start({
+    onDelete: (file) => io.to(file.notepad_id).emit('file-deleted', { id: file.id })
+  });
+
+  // Forget old sign-in attempts
+  throttle.start();
+}).catch((error) => {
+  console.error('Error starting pub/sub:', error);
+  process.exit(1);
 });
@@ -0,0 +1,387 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const db = require('./database');
+
+// Where uploaded files are kept. A file's `filepath` row says where it is:
+// an absolute path on local disk, or `s3://bucket/key` in an S3-compatible
+// bucket. New files go to the backend picked by STORAGE_BACKEND:
+//   local - the uploads directory next to the server, or UPLOADS_DIR
+//           (the default)
+//   s3    - a bucket from S3_BUCKET, S3_REGION (default us-east-1),
+//           S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY; S3_ENDPOINT points
+//           at another S3-compatible service such as MinIO, and S3_PREFIX
+//           puts the files under a folder
+// Files can be moved between backends with:
+//   node storage.js --to=s3|local [--dry-run]
+
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, 'uploads');
+
+// Local disk. Ephemeral on most PaaS hosts: files go on redeploy.
+function createLocalDriver(dir) {
+  return {
+    name: 'local',
+
+    owns(location) {
+      return path.isAbsolute(location);
+    },
+
+    location(name) {
+      return path.join(dir, name);
+    },
+
+    async put(name, data) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const location = path.join(dir, name);
+      await fs.promises.writeFile(location, data);
+      return location;
+    },
+
+    read(location) {
+      return fs.promises.readFile(location);
+    },
+
+    async remove(location) {
+      await fs.promises.unlink(location).catch((err) => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+    },
+
+    // Send to an HTTP response, answering range requests
+    send(location, req, res, headers) {
+      return new Promise((resolve, reject) => {
+        res.sendFile(location, { headers }, (err) => (err ? reject(err) : resolve()));
+      });
+    },
+
+    async list() {
+      if (!fs.existsSync(dir)) return [];
+
+      const files = [];
+      for (const name of await fs.promises.readdir(dir)) {
+        const location = path.join(dir, name);
+        const stats = await fs.promises.stat(location);
+        if (stats.isFile()) {
+          files.push({ location, size: stats.size, modifiedAt: stats.mtime });
+        }
+      }
+      return files;
+    }
+  };
+}
+
+// Characters S3 signatures leave as they are; everything else is %-encoded
+function encodeS3(text, keepSlashes) {
+  return encodeURIComponent(text)
+    .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+    .replace(/%2F/g, keepSlashes ? '/' : '%2F');
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function xmlValues(xml, tag) {
+  const values = [];
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+  let match;
+  while ((match = pattern.exec(xml))) {
+    values.push(match[1]
+      .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&'));
+  }
+  return values;
+}
+
+function collect(response) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    response.on('data', chunk => chunks.push(chunk));
+    response.on('end', () => resolve(Buffer.concat(chunks)));
+    response.on('error', reject);
+  });
+}
+
+// An S3-compatible bucket, spoken to over its REST API with
+// Signature Version 4
+function createS3Driver({ bucket, region, endpoint, accessKeyId, secretAccessKey, prefix }) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+  const folder = prefix ? `${prefix.replace(/^\/+|\/+$/g, '')}/` : '';
+
+  // Other services are addressed by path, AWS by bucket host name
+  const base = new URL(endpoint || `https://${bucket}.s3.${region}.amazonaws.com`);
+  const bucketPath = endpoint ? `/${encodeS3(bucket)}` : '';
+
+  function keyOf(location) {
+    return location.slice(`s3://${bucket}/`.length);
+  }
+
+  // Send a signed request; resolves with the response, unread
+  function request(method, key, { query = {}, headers = {}, body = null } = {}) {
+    const time = new Date().toISOString().replace(/[-:]|\.\d+/g, '');
+    const date = time.slice(0, 8);
+    const payloadHash = sha256(body || '');
+    const canonicalPath = `${base.pathname.replace(/\/$/, '')}${bucketPath}/${encodeS3(key, true)}`;
+    const canonicalQuery = Object.keys(query).sort()
+      .map(name => `${encodeS3(name)}=${encodeS3(String(query[name]))}`)
+      .join('&');
+
+    const signed = { host: base.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': time };
+    const signedNames = Object.keys(signed).sort();
+    const canonicalRequest = [
+      method,
+      canonicalPath,
+      canonicalQuery,
+      ...signedNames.map(name => `${name}:${signed[name]}`),
+      '',
+      signedNames.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', time, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, date), region));
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const transport = base.protocol === 'http:' ? http : https;
+    return new Promise((resolve, reject) => {
+      const req = transport.request({
+        method,
+        protocol: base.protocol,
+        hostname: base.hostname,
+        port: base.port,
+        path: canonicalQuery ? `${canonicalPath}?${canonicalQuery}` : canonicalPath,
+        headers: {
+          ...headers,
+          ...signed,
+          ...(body ? { 'Content-Length': body.length } : {}),
+          Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+            `SignedHeaders=${signedNames.join(';')}, Signature=${signature}`
+        }
+      }, resolve);
+      req.on('error', reject);
+      req.end(body || undefined);
+    });
+  }
+
+  // Fail with the service's message for unexpected answers
+  async function check(response, expected = [200]) {
+    if (expected.includes(response.statusCode)) return response;
+
+    const text = (await collect(response)).toString('utf-8');
+    const error = new Error(`S3 ${response.statusCode}: ${xmlValues(text, 'Message')[0] || response.statusMessage}`);
+    error.statusCode = response.statusCode;
+    throw error;
+  }
+
+  return {
+    name: 's3',
+
+    owns(location) {
+      return location.startsWith(`s3://${bucket}/`);
+    },
+
+    location(name) {
+      return `s3://${bucket}/${folder}${name}`;
+    },
+
+    async put(name, data, mimetype) {
+      const key = `${folder}${name}`;
+      const response = await request('PUT', key, {
+        headers: { 'Content-Type': mimetype || 'application/octet-stream' },
+        body: data
+      });
+      await check(response);
+      response.resume();
+      return `s3://${bucket}/${key}`;
+    },
+
+    async read(location) {
+      return collect(await check(await request('GET', keyOf(location))));
+    },
+
+    async remove(location) {
+      const response = await check(await request('DELETE', keyOf(location)), [200, 204, 404]);
+      response.resume();
+    },
+
+    // Stream to an HTTP response, passing range requests on to the bucket
+    async send(location, req, res, headers) {
+      const range = req.headers.range ? { Range: req.headers.range } : {};
+      let response;
+      try {
+        response = await check(await request(req.method === 'HEAD' ? 'HEAD' : 'GET', keyOf(location), {
+          headers: range
+        }), [200, 206, 416]);
+      } catch (err) {
+        // Missing files fail like they do on disk
+        if (err.statusCode === 404) err.status = 404;
+        throw err;
+      }
+
+      res.status(response.statusCode);
+      ['content-length', 'content-range', 'accept-ranges', 'etag', 'last-modified'].forEach((name) => {
+        if (response.headers[name]) res.setHeader(name, response.headers[name]);
+      });
+      res.set(headers);
+      await new Promise((resolve, reject) => {
+        response.pipe(res);
+        response.on('end', resolve);
+        response.on('error', reject);
+      });
+    },
+
+    async list() {
+      const files = [];
+      let token = null;
+      do {
+        const query = { 'list-type': '2', prefix: folder };
+        if (token) query['continuation-token'] = token;
+        const xml = (await collect(await check(await request('GET', '', { query })))).toString('utf-8');
+
+        xmlValues(xml, 'Contents').forEach((entry) => {
+          files.push({
+            location: `s3://${bucket}/${xmlValues(entry, 'Key')[0]}`,
+            size: Number(xmlValues(entry, 'Size')[0]),
+            modifiedAt: new Date(xmlValues(entry, 'LastModified')[0])
+          });
+        });
+        token = xmlValues(xml, 'IsTruncated')[0] === 'true' ? xmlValues(xml, 'NextContinuationToken')[0] : null;
+      } while (token);
+      return files;
+    }
+  };
+}
+
+const drivers = {};
+
+function driver(name) {
+  if (!drivers[name]) {
+    if (name === 'local') {
+      drivers[name] = createLocalDriver(UPLOADS_DIR);
+    } else if (name === 's3') {
+      drivers[name] = createS3Driver({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY,
+        prefix: process.env.S3_PREFIX
+      });
+    } else {
+      throw new Error(`Unknown STORAGE_BACKEND "${name}"`);
+    }
+  }
+  return drivers[name];
+}
+
+// The backend new files go to
+function current() {
+  return driver(process.env.STORAGE_BACKEND || 'local');
+}
+
+// The backend holding a stored file
+function driverFor(location) {
+  return location.startsWith('s3://') ? driver('s3') : driver('local');
+}
+
+// Store a file under `name` on the current backend; returns its location
+function put(name, data, mimetype) {
+  return current().put(name, data, mimetype);
+}
+
+function read(location) {
+  return driverFor(location).read(location);
+}
+
+// Remove a stored file; files that are already gone are fine
+function remove(location) {
+  return driverFor(location).remove(location);
+}
+
+function send(location, req, res, headers) {
+  return driverFor(location).send(location, req, res, headers);
+}
+
+// Everything stored on the current backend: [{ location, size, modifiedAt }]
+function list() {
+  return current().list();
+}
+
+// Where a file stored under `name` could be, on any backend in use
+function locations(name) {
+  const names = ['local'];
+  if (process.env.STORAGE_BACKEND === 's3' || process.env.S3_BUCKET) names.push('s3');
+  return names.map(backend => driver(backend).location(name));
+}
+
+// Move every file that isn't on backend `to` there, updating its row.
+// Returns { moved, missing } lists of files.
+async function migrate(to, { dryRun = false, log = () => {} } = {}) {
+  const target = driver(to);
+  const moved = [];
+  const missing = [];
+
+  for (const file of await db.getAllFiles()) {
+    if (target.owns(file.filepath)) continue;
+
+    const source = driverFor(file.filepath);
+    let data;
+    try {
+      data = await source.read(file.filepath);
+    } catch (err) {
+      log(`Missing: ${file.filepath} (${err.message})`);
+      missing.push(file);
+      continue;
+    }
+
+    if (!dryRun) {
+      const location = await target.put(path.basename(file.filepath), data, file.mimetype);
+      await db.updateFilePath(file.id, location);
+      await source.remove(file.filepath);
+      log(`Moved: ${file.filepath} -> ${location}`);
+    } else {
+      log(`Would move: ${file.filepath} -> ${target.location(path.basename(file.filepath))}`);
+    }
+    moved.push(file);
+  }
+  return { moved, missing };
+}
+
+module.exports = {
+  put,
+  read,
+  remove,
+  send,
+  list,
+  locations,
+  migrate
+};
+
+if (require.main === module) {
+  const toArg = process.argv.find(arg => arg.startsWith('--to='));
+  const dryRun = process.argv.includes('--dry-run');
+  if (!toArg) {
+    console.error('Usage: node storage.js --to=local|s3 [--dry-run]');
+    process.exit(1);
+  }
+
+  db.initializeDatabase()
+    .then(() => migrate(toArg.split('=')[1], { dryRun, log: console.log }))
+    .then(({ moved, missing }) => {
+      console.log(`${dryRun ? 'Would move' : 'Moved'} ${moved.length} file(s); ${missing.length} missing`);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Error migrating files:', error);
+      process.exit(1);
+    });
+}
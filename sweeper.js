@@ -0,0 +1,156 @@
+// Finds uploads nothing uses any more and removes them once they are old
+// enough that an upload still on its way into a document is never caught:
+//   - pictures, video and audio that no notepad content or revision mentions
+//     (e.g. images from an import that was cancelled)
+//   - stored files without a row (e.g. from a crashed upload)
+//   - chunked uploads nothing has been sent to since then (abandoned, or
+//     from a browser that never came back online)
+// Other attachments (PDFs, Word files...) only live in the
+// attachments bar and stay until someone deletes them there.
+//
+// Runs every ORPHAN_SWEEP_HOURS (default 6, 0 turns it off) and removes
+// files older than ORPHAN_GRACE_HOURS (default 24). With
+// ORPHAN_SWEEP_DRY_RUN=true it only reports what it would remove.
+// Run by hand with: node sweeper.js [--dry-run] [--grace-hours=N]
+const path = require('path');
+const db = require('./database');
+const storage = require('./storage');
+const bus = require('./pubsub');
+
+const DEFAULT_SWEEP_HOURS = 6;
+const DEFAULT_GRACE_HOURS = 24;
+
+// Kinds of file the editor places into the document
+const EMBEDDED_TYPES = ['image/', 'video/', 'audio/'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Names the server gives stored files (see uploads.storedName). Nothing else
+// counts as a stray, so other things sharing a bucket are left alone.
+const STORED_NAME = /^\d+-[\w-]{10}(-[\w-]*)?\.\w+$/;
+
+function hoursSetting(name, fallback) {
+  const hours = Number(process.env[name]);
+  return process.env[name] !== undefined && hours >= 0 ? hours : fallback;
+}
+
+function isEmbedded(mimetype) {
+  return EMBEDDED_TYPES.some(prefix => (mimetype || '').startsWith(prefix));
+}
+
+// What a sweep would remove: { files, strays, uploads, bytes }. `files` are
+// rows nothing mentions, whether as the original or as one of its resized
+// `variants`; `strays` are stored files that no row knows; `uploads` are
+// unfinished chunked uploads.
+async function findOrphans({ graceHours = hoursSetting('ORPHAN_GRACE_HOURS', DEFAULT_GRACE_HOURS) } = {}) {
+  const cutoff = new Date(Date.now() - graceHours * HOUR_MS);
+
+  const files = [];
+  for (const file of await db.getFilesUploadedBefore(cutoff)) {
+    if (file.variant_of || !isEmbedded(file.mimetype)) continue;
+
+    const variants = await db.getVariants(file.notepad_id, file.id);
+    let mentioned = false;
+    for (const stored of [file, ...variants]) {
+      mentioned = mentioned || await db.isMentioned(file.notepad_id, path.basename(stored.filepath));
+    }
+    if (!mentioned) files.push({ ...file, variants });
+  }
+
+  const known = new Set(await db.getFilePaths());
+  const strays = (await storage.list()).filter(stored => (
+    !known.has(stored.location) && STORED_NAME.test(path.basename(stored.location)) && stored.modifiedAt < cutoff
+  ));
+
+  const uploads = await db.getUploadSessionsIdleSince(cutoff);
+
+  const bytes = [...files.flatMap(file => [file, ...file.variants]), ...strays]
+    .reduce((total, file) => total + (Number(file.size) || 0), 0);
+  return { files, strays, uploads, bytes };
+}
+
+// Find orphans and, unless `dryRun`, remove them. `onDelete(file)` is
+// called for each removed row. Returns the report from findOrphans.
+async function sweep({ dryRun = false, graceHours, onDelete = () => {} } = {}) {
+  const report = await findOrphans({ graceHours });
+  if (dryRun) return report;
+
+  for (const file of report.files) {
+    for (const removed of await db.deleteFile(file.notepad_id, file.id)) {
+      await storage.remove(removed.filepath);
+    }
+    onDelete(file);
+  }
+  for (const stray of report.strays) {
+    await storage.remove(stray.location);
+  }
+  for (const upload of report.uploads) {
+    await db.deleteUploadSession(upload.id);
+  }
+  return report;
+}
+
+function formatReport(report, dryRun) {
+  const verb = dryRun ? 'Would remove' : 'Removed';
+  const lines = [
+    `${verb} ${report.files.length} unused upload(s) and ${report.strays.length} stray file(s), ` +
+    `${(report.bytes / (1024 * 1024)).toFixed(1)} MB, and ${report.uploads.length} unfinished upload(s)`
+  ];
+  report.files.forEach(file => {
+    lines.push(`  ${file.notepad_id}  ${path.basename(file.filepath)}  ${file.filename} (${file.size} bytes, uploaded ${file.uploaded_at})`);
+  });
+  report.strays.forEach(stray => {
+    lines.push(`  (no row)  ${path.basename(stray.location)} (${stray.size} bytes, modified ${stray.modifiedAt.toISOString()})`);
+  });
+  report.uploads.forEach(upload => {
+    lines.push(`  ${upload.notepad_id}  (unfinished)  ${upload.filename} (${upload.received} of ${upload.size} bytes, last sent ${upload.updated_at})`);
+  });
+  return lines.join('\n');
+}
+
+// Sweep on a timer. Only one process sweeps at a time; the others skip.
+function start({ onDelete } = {}) {
+  const hours = hoursSetting('ORPHAN_SWEEP_HOURS', DEFAULT_SWEEP_HOURS);
+  if (!hours) return;
+  const dryRun = process.env.ORPHAN_SWEEP_DRY_RUN === 'true';
+
+  setInterval(async () => {
+    try {
+      if (!await bus.lock('orphan-sweep')) return;
+      try {
+        const report = await sweep({ dryRun, onDelete });
+        if (report.files.length || report.strays.length || report.uploads.length) {
+          console.log(formatReport(report, dryRun));
+        }
+      } finally {
+        await bus.unlock('orphan-sweep');
+      }
+    } catch (error) {
+      console.error('Error sweeping uploads:', error);
+    }
+  }, hours * HOUR_MS).unref();
+}
+
+module.exports = {
+  findOrphans,
+  sweep,
+  formatReport,
+  start
+};
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+  const graceArg = process.argv.find(arg => arg.startsWith('--grace-hours='));
+  const graceHours = graceArg && Number(graceArg.split('=')[1]) >= 0 ? Number(graceArg.split('=')[1]) : undefined;
+
+  db.initializeDatabase()
+    .then(() => sweep({ dryRun, graceHours }))
+    .then((report) => {
+      console.log(formatReport(report, dryRun));
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Error sweeping uploads:', error);
+      process.exit(1);
+    });
+}
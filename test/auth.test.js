@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, createClient, createNotepad, signIn, connected } = require('./helpers');
+
+// Every notepad route server.js declares, read from its source so new ones
+// are covered too. Signing in is the only one open to everyone.
+const NOTEPAD_ROUTES = [...fs.readFileSync(path.join(__dirname, '..', 'server.js'), 'utf8')
+  .matchAll(/app\.(get|post|put|delete)\('(\/api\/notepad\/:id[^']*)'/g)]
+  .map(([, method, route]) => ({ method: method.toUpperCase(), route }))
+  .filter(({ route }) => route !== '/api/notepad/:id/auth');
+
+const UPLOAD_ROUTES = ['/api/upload/file', '/api/upload/document', '/api/upload/txt'];
+
+let server;
+let notepadId;
+let outsider;
+
+before(async () => {
+  server = await startServer();
+  ({ notepadId } = await createNotepad(server));
+
+  // Signed in, but to another notepad
+  const other = await createNotepad(server);
+  outsider = await signIn(server, other.notepadId, 'user1', 'owner-password');
+});
+
+after(async () => {
+  await server.stop();
+});
+
+function routePath(route) {
+  return route.replace(':id', notepadId).replace(/:\w+/g, '1');
+}
+
+test('finds the notepad routes', () => {
+  assert.ok(NOTEPAD_ROUTES.length > 5);
+  assert.ok(NOTEPAD_ROUTES.some(({ method, route }) => method === 'GET' && route === '/api/notepad/:id'));
+});
+
+for (const [who, client] of [['without a session', () => createClient(server)], ['signed in elsewhere', () => outsider]]) {
+  test(`notepad routes reject requests ${who}`, async () => {
+    for (const { method, route } of NOTEPAD_ROUTES) {
+      const json = method === 'GET' ? undefined : {};
+      const { status, body } = await client().request(routePath(route), { method, json });
+      assert.equal(status, 401, `${method} ${route}`);
+      assert.equal(body.success, false);
+    }
+  });
+
+  test(`upload routes reject requests ${who}`, async () => {
+    for (const route of UPLOAD_ROUTES) {
+      const { status } = await client().upload(route, notepadId, 'notes.txt', 'some text');
+      assert.equal(status, 401, route);
+    }
+  });
+}
+
+test('signed in users get past the checks', async () => {
+  const owner = await signIn(server, notepadId, 'user1', 'owner-password');
+  assert.equal((await owner.request(`/api/notepad/${notepadId}`)).status, 200);
+  assert.equal((await owner.upload('/api/upload/file', notepadId, 'notes.txt', 'some text')).status, 200);
+});
+
+test('the socket handshake needs a session', async () => {
+  const socket = createClient(server).connect();
+  try {
+    await assert.rejects(connected(socket), { message: 'Not authorized' });
+  } finally {
+    socket.close();
+  }
+});
+
+test('the socket handshake rejects a session for another notepad', async () => {
+  const socket = outsider.connect();
+  try {
+    await connected(socket);
+    const joined = await new Promise(resolve => socket.emit('join-notepad', notepadId, resolve));
+    assert.equal(joined.success, false);
+  } finally {
+    socket.close();
+  }
+});
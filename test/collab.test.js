@@ -0,0 +1,99 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTempDatabase, seededRandom, createEditingSession } = require('./helpers');
+
+const tempDir = useTempDatabase();
+const db = require('../database');
+const bus = require('../pubsub');
+const collab = require('../collab');
+
+before(async () => {
+  await db.initializeDatabase();
+  await bus.start();
+});
+
+after(async () => {
+  await new Promise(resolve => db.db.close(resolve));
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+async function createDocument(id, content) {
+  await db.createNotepad(id, 'password', 'alternate');
+  await db.updateNotepad(id, content, null);
+  return collab.loadDocument(id);
+}
+
+for (const seed of [1, 2, 3, 4, 5]) {
+  test(`concurrent edits at stale versions converge (seed ${seed})`, async () => {
+    const random = seededRandom(seed);
+    const id = `converge${seed}`;
+    const doc = await createDocument(id, 'the quick brown fox');
+    const session = createEditingSession([{ collab, doc }], 4);
+
+    try {
+      await session.play(random, 400);
+      await session.drain();
+
+      assert.ok(doc.version > 0);
+      session.editors.forEach((editor) => {
+        assert.equal(editor.text, doc.content, `${editor.name} diverged`);
+        assert.equal(editor.version, doc.version);
+      });
+
+      await doc.saving;
+      assert.equal((await db.getNotepad(id)).content, doc.content);
+    } finally {
+      session.close();
+    }
+  });
+}
+
+test('an edit the server cleans up still converges', async () => {
+  const doc = await createDocument('cleanup', 'hello world');
+  const session = createEditingSession([{ collab, doc }], 2);
+  const [writer, other] = session.editors;
+
+  try {
+    writer.edit('hello <script>alert(1)</script>world');
+    other.edit('hello world again');
+    session.send(writer);
+    session.send(other);
+    await session.drain();
+
+    assert.ok(!doc.content.includes('<script'));
+    assert.ok(doc.content.endsWith('again'));
+    session.editors.forEach((editor) => {
+      assert.equal(editor.text, doc.content, `${editor.name} diverged`);
+    });
+    await doc.saving;
+  } finally {
+    session.close();
+  }
+});
+
+test('a selection stays on its text through remote edits', async () => {
+  const doc = await createDocument('selection', 'the quick brown fox');
+  const session = createEditingSession([{ collab, doc }], 3);
+  const [reader, before, after] = session.editors;
+
+  try {
+    reader.selection = { start: 4, end: 15 };
+    reader.edit('the quick brown fox!');
+    before.edit('so the quick brown fox');
+    after.edit('the quick brown, red fox');
+    session.send(before);
+    session.send(after);
+    session.send(reader);
+    await session.drain();
+
+    session.editors.forEach((editor) => {
+      assert.equal(editor.text, doc.content, `${editor.name} diverged`);
+    });
+    assert.equal(doc.content, 'so the quick brown, red fox!');
+    assert.equal(reader.text.slice(reader.selection.start, reader.selection.end), 'quick brown');
+    await doc.saving;
+  } finally {
+    session.close();
+  }
+});
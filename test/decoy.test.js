@@ -0,0 +1,160 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const OT = require('../public/js/ot');
+const { startServer, createNotepad, signIn, emit, eventually, connected } = require('./helpers');
+
+// The owner and the decoy user of one notepad each write their own content,
+// feedback and file; neither may ever see or touch the other's
+let server;
+let notepadId;
+const sides = {
+  real: { username: 'alice', password: 'owner-password', secret: 'the real plans' },
+  decoy: { username: 'demo1', password: 'decoy-password', secret: 'a shopping list' }
+};
+
+async function fillSide(side) {
+  side.client = await signIn(server, notepadId, side.username, side.password);
+
+  side.socket = side.client.connect();
+  await connected(side.socket);
+  const joined = await emit(side.socket, 'join-notepad', notepadId);
+  assert.ok(joined.success, joined.error);
+  const ack = await emit(side.socket, 'content-change', {
+    notepadId,
+    version: joined.version,
+    ops: OT.diff(joined.content, side.secret),
+    id: `${side.username}-1`
+  });
+  assert.ok(ack.success, ack.error);
+
+  const feedback = await side.client.request(`/api/notepad/${notepadId}/feedback`, {
+    method: 'POST',
+    json: { comment: `note on ${side.secret}`, anchorStart: 0, anchorEnd: 5, version: ack.version }
+  });
+  assert.ok(feedback.body.success, feedback.body.error);
+  side.feedbackId = feedback.body.feedbackId;
+
+  const upload = await side.client.upload('/api/upload/file', notepadId, 'notes.txt', `file of ${side.secret}`);
+  assert.ok(upload.body.success, upload.body.error);
+  side.file = upload.body.file;
+
+  side.revisions = await eventually(async () => {
+    const { body } = await side.client.request(`/api/notepad/${notepadId}/revisions`);
+    assert.ok(body.revisions.length > 0);
+    return body.revisions;
+  });
+}
+
+before(async () => {
+  server = await startServer();
+  ({ notepadId } = await createNotepad(server, { username: 'alice' }));
+  await fillSide(sides.real);
+  await fillSide(sides.decoy);
+});
+
+after(async () => {
+  Object.values(sides).forEach(side => side.socket && side.socket.close());
+  await server.stop();
+});
+
+for (const [name, otherName] of [['real', 'decoy'], ['decoy', 'real']]) {
+  describe(`the ${name} user`, () => {
+    const side = () => sides[name];
+    const other = () => sides[otherName];
+    const request = (pathname, options) => side().client.request(`/api/notepad/${notepadId}${pathname}`, options);
+
+    test('gets only their own content, feedback and files', async () => {
+      const { body } = await request('');
+      assert.equal(body.notepad.content, side().secret);
+      assert.deepEqual(body.feedback.map(item => item.id), [side().feedbackId]);
+      assert.deepEqual(body.files.map(file => file.id), [side().file.id]);
+    });
+
+    test('exports only their own content', async () => {
+      for (const format of ['raw', 'markdown', 'code']) {
+        const { status, body } = await request(`/export/${format}`);
+        assert.equal(status, 200, format);
+        assert.ok(body.includes(side().secret), format);
+        assert.ok(!body.includes(other().secret), format);
+      }
+    });
+
+    test('sees only their own revisions', async () => {
+      const ownIds = side().revisions.map(revision => revision.id);
+      for (const revision of other().revisions) {
+        assert.ok(!ownIds.includes(revision.id));
+        const { status } = await request(`/revisions/${revision.id}`);
+        assert.equal(status, 404);
+        assert.equal((await request(`/revisions/${revision.id}/diff`)).status, 404);
+        assert.equal((await request(`/revisions/${revision.id}/restore`, { method: 'POST' })).status, 404);
+      }
+      for (const id of ownIds) {
+        const { body } = await request(`/revisions/${id}`);
+        assert.ok(!body.revision.content.includes(other().secret));
+      }
+    });
+
+    test("can't change the other side's feedback", async () => {
+      const feedbackId = other().feedbackId;
+      assert.equal((await request(`/feedback/${feedbackId}`, { method: 'PUT', json: { comment: 'x' } })).status, 404);
+      assert.equal((await request(`/feedback/${feedbackId}/resolve`, { method: 'POST', json: {} })).status, 404);
+      assert.equal((await request(`/feedback/${feedbackId}`, { method: 'DELETE' })).status, 404);
+
+      const reply = await request('/feedback', { method: 'POST', json: { comment: 'reply', parentId: feedbackId } });
+      assert.equal(reply.status, 400);
+    });
+
+    test("can't reach the other side's files", async () => {
+      const own = await side().client.request(side().file.url);
+      assert.equal(own.status, 200);
+      assert.equal(own.body, `file of ${side().secret}`);
+
+      const theirs = await side().client.request(other().file.url);
+      assert.equal(theirs.status, 404);
+
+      const fileId = other().file.id;
+      assert.equal((await request(`/files/${fileId}/link`, { method: 'POST', json: {} })).status, 404);
+      assert.equal((await request(`/files/${fileId}`, { method: 'DELETE' })).status, 404);
+    });
+
+    test('joins only their own document over the socket', async () => {
+      const socket = side().client.connect();
+      try {
+        await connected(socket);
+        const joined = await emit(socket, 'join-notepad', notepadId);
+        assert.ok(joined.success);
+        assert.equal(joined.content, side().secret);
+
+        const decoyDocument = await emit(socket, 'join-notepad', `${notepadId}~decoy`);
+        assert.equal(decoyDocument.success, false);
+      } finally {
+        socket.close();
+      }
+    });
+  });
+}
+
+test("the decoy document can't be named directly", async () => {
+  for (const side of Object.values(sides)) {
+    const { status } = await side.client.request(`/api/notepad/${notepadId}~decoy`);
+    assert.equal(status, 404);
+  }
+});
+
+test('the other side never sees edits made while both are connected', async () => {
+  const received = [];
+  sides.decoy.socket.on('content-update', update => received.push(update));
+
+  const joined = await emit(sides.real.socket, 'join-notepad', notepadId);
+  const ack = await emit(sides.real.socket, 'content-change', {
+    notepadId,
+    version: joined.version,
+    ops: OT.diff(joined.content, `${sides.real.secret}!`),
+    id: 'alice-2'
+  });
+  assert.ok(ack.success);
+
+  const { body } = await sides.decoy.client.request(`/api/notepad/${notepadId}`);
+  assert.equal(body.notepad.content, sides.decoy.secret);
+  assert.deepEqual(received, []);
+});
@@ -0,0 +1,366 @@
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const OT = require('../public/js/ot');
+
+const ROOT = path.join(__dirname, '..');
+const START_TIMEOUT_MS = 20 * 1000;
+
+// Point the database at a fresh SQLite file. Call before anything requires
+// database.js.
+function useTempDatabase() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notepad-test-'));
+  process.env.SQLITE_PATH = path.join(dir, 'notepad.db');
+  return dir;
+}
+
+// A small seeded generator, so a failing run can be repeated
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Plain letters, so the server never has to clean edits up
+const EDIT_ALPHABET = 'abcdefgh ';
+
+// Insert a few letters or delete a few characters somewhere in `text`
+function randomEdit(random, text) {
+  const at = Math.floor(random() * (text.length + 1));
+  if (text.length && random() < 0.4) {
+    return text.slice(0, at) + text.slice(at + 1 + Math.floor(random() * 3));
+  }
+  const length = 1 + Math.floor(random() * 3);
+  let inserted = '';
+  for (let i = 0; i < length; i++) {
+    inserted += EDIT_ALPHABET[Math.floor(random() * EDIT_ALPHABET.length)];
+  }
+  return text.slice(0, at) + inserted + text.slice(at);
+}
+
+// An editor following the protocol in public/js/notepad.js: one operation
+// in flight at a time, later edits buffered, and remote operations
+// transformed past both. A `selection` ({ start, end } into `text`) is
+// carried through remote operations the way the editor keeps its own.
+function createEditor(site, name) {
+  const editor = {
+    name,
+    site,
+    version: site.doc.version,
+    confirmed: site.doc.content,
+    outstanding: null,
+    buffered: null,
+    selection: null,
+    inbox: [],
+
+    get text() {
+      let text = editor.confirmed;
+      if (editor.outstanding) text = OT.apply(text, editor.outstanding);
+      if (editor.buffered) text = OT.apply(text, editor.buffered);
+      return text;
+    },
+
+    edit(text) {
+      const op = OT.diff(editor.text, text);
+      editor.buffered = editor.buffered ? OT.compose(editor.buffered, op) : op;
+    },
+
+    remote(op) {
+      if (editor.outstanding) [editor.outstanding, op] = OT.transform(editor.outstanding, op);
+      if (editor.buffered) [editor.buffered, op] = OT.transform(editor.buffered, op);
+      if (editor.selection) editor.selection = OT.transformRange(editor.selection, op);
+    },
+
+    receive(op) {
+      editor.version++;
+      editor.confirmed = OT.apply(editor.confirmed, op);
+      editor.remote(op);
+    },
+
+    acknowledge(fix) {
+      editor.version++;
+      editor.confirmed = OT.apply(editor.confirmed, editor.outstanding);
+      editor.outstanding = null;
+      if (fix) {
+        editor.confirmed = OT.apply(editor.confirmed, fix);
+        editor.remote(fix);
+      }
+    }
+  };
+  return editor;
+}
+
+// Runs `count` editors against a live document, spread over `sites`: one
+// { collab, doc } per server process holding it. Operations reach each
+// editor's inbox in the order its site applied them, and editors read their
+// inboxes only when told to, so they keep sending at stale versions.
+function createEditingSession(sites, count) {
+  const editors = Array.from({ length: count }, (_, i) => createEditor(sites[i % sites.length], `editor${i}`));
+  let inFlight = 0;
+
+  const listeners = sites.map((site) => {
+    const onOperation = (doc, { op, socket }) => {
+      if (doc !== site.doc) return;
+      editors.forEach((editor) => {
+        if (editor.site === site && editor.name !== socket) editor.inbox.push({ op });
+      });
+    };
+    site.collab.events.on('operation', onOperation);
+    return () => site.collab.events.off('operation', onOperation);
+  });
+
+  return {
+    editors,
+
+    send(editor) {
+      if (editor.outstanding || !editor.buffered) return;
+      editor.outstanding = editor.buffered;
+      editor.buffered = null;
+      inFlight++;
+      editor.site.collab.receiveOperation(editor.site.doc, {
+        version: editor.version,
+        op: editor.outstanding,
+        id: `${editor.name}-${editor.version}-${Math.random()}`,
+        editor: editor.name,
+        socket: editor.name
+      }, (err, result) => {
+        inFlight--;
+        assert.ifError(err);
+        editor.inbox.push({ ack: true, fix: result.fix });
+      });
+    },
+
+    deliver(editor) {
+      const message = editor.inbox.shift();
+      if (!message) return;
+      if (message.ack) {
+        editor.acknowledge(message.fix);
+      } else {
+        editor.receive(message.op);
+      }
+    },
+
+    // Let the bus deliver what was published
+    async settle() {
+      do {
+        await new Promise(resolve => setImmediate(resolve));
+      } while (inFlight > 0);
+    },
+
+    // Random edits, sends and deliveries by random editors
+    async play(random, steps) {
+      for (let step = 0; step < steps; step++) {
+        const editor = editors[Math.floor(random() * editors.length)];
+        const action = random();
+        if (action < 0.4) {
+          editor.edit(randomEdit(random, editor.text));
+        } else if (action < 0.65) {
+          this.send(editor);
+        } else if (action < 0.9) {
+          this.deliver(editor);
+        } else {
+          await this.settle();
+        }
+      }
+    },
+
+    // Send and deliver everything left until nothing changes
+    async drain() {
+      for (;;) {
+        editors.forEach(editor => this.send(editor));
+        await this.settle();
+        if (editors.every(editor => !editor.inbox.length)) break;
+        editors.forEach((editor) => {
+          while (editor.inbox.length) this.deliver(editor);
+        });
+      }
+    },
+
+    close() {
+      listeners.forEach(stop => stop());
+    }
+  };
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Run server.js in a child process with its own database and uploads
+// directory. Resolves once it is listening and the schema is in place.
+async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notepad-test-'));
+  const port = await freePort();
+  const childEnv = {
+    ...process.env,
+    NODE_ENV: 'test',
+    PORT: String(port),
+    SQLITE_PATH: path.join(dir, 'notepad.db'),
+    UPLOADS_DIR: path.join(dir, 'uploads'),
+    ...env
+  };
+  delete childEnv.DATABASE_URL;
+
+  const child = spawn(process.execPath, ['server.js'], { cwd: ROOT, env: childEnv });
+  let output = '';
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => fail(new Error('Server did not start')), START_TIMEOUT_MS);
+    function fail(err) {
+      clearTimeout(timer);
+      child.kill();
+      reject(new Error(`${err.message}\n${output}`));
+    }
+    function onOutput(chunk) {
+      output += chunk;
+      if (output.includes('Server running') && output.includes('Database initialized successfully')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    }
+    child.stdout.on('data', onOutput);
+    child.stderr.on('data', (chunk) => { output += chunk; });
+    child.once('exit', code => fail(new Error(`Server exited with ${code}`)));
+  });
+
+  return {
+    url: `http://localhost:${port}`,
+    dir,
+    get output() {
+      return output;
+    },
+
+    async stop() {
+      if (child.exitCode === null) {
+        const exited = new Promise(resolve => child.once('exit', resolve));
+        child.kill();
+        await exited;
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Someone talking to the server, signed in or not. `request` resolves to
+// the response with its parsed JSON body, or text for anything else.
+function createClient(server, cookie = null) {
+  const client = {
+    cookie,
+
+    async request(pathname, { method = 'GET', json, body, headers = {} } = {}) {
+      const response = await fetch(server.url + pathname, {
+        method,
+        headers: {
+          ...headers,
+          ...(client.cookie ? { cookie: client.cookie } : {}),
+          ...(json !== undefined ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: json !== undefined ? JSON.stringify(json) : body,
+        redirect: 'manual'
+      });
+      const setCookie = response.headers.get('set-cookie');
+      if (setCookie) client.cookie = setCookie.split(';')[0];
+
+      const text = await response.text();
+      let data = text;
+      if ((response.headers.get('content-type') || '').includes('application/json')) {
+        data = JSON.parse(text);
+      }
+      return { status: response.status, headers: response.headers, body: data };
+    },
+
+    // Send a file the way the editor does, naming its notepad first
+    upload(pathname, notepadId, filename, data) {
+      const form = new FormData();
+      form.append('notepadId', notepadId);
+      form.append('file', new Blob([data]), filename);
+      return client.request(pathname, { method: 'POST', body: form });
+    },
+
+    // A Socket.IO connection with this client's session
+    connect() {
+      const { io } = require('socket.io-client');
+      return io(server.url, {
+        transports: ['websocket'],
+        reconnection: false,
+        extraHeaders: client.cookie ? { cookie: client.cookie } : {}
+      });
+    }
+  };
+  return client;
+}
+
+// Create a notepad; resolves to the create response
+async function createNotepad(server, body = {}) {
+  const { body: data } = await createClient(server).request('/api/notepad/create', {
+    method: 'POST',
+    json: { password: 'owner-password', altPassword: 'decoy-password', ...body }
+  });
+  if (!data.success) throw new Error(data.error);
+  return data;
+}
+
+// Sign in to a notepad; resolves to a client with the session
+async function signIn(server, notepadId, username, password) {
+  const client = createClient(server);
+  const { body } = await client.request(`/api/notepad/${notepadId}/auth`, {
+    method: 'POST',
+    json: { username, password }
+  });
+  if (!body.success || body.blank) throw new Error(`Could not sign in as ${username}`);
+  return client;
+}
+
+// Socket.IO emit with an acknowledgement, as a promise
+function emit(socket, event, ...args) {
+  return new Promise(resolve => socket.emit(event, ...args, resolve));
+}
+
+// Retry `check` until it stops throwing, for things that happen after a
+// response, like saves
+async function eventually(check, timeoutMs = 5000) {
+  const giveUp = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      return await check();
+    } catch (err) {
+      if (Date.now() > giveUp) throw err;
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+}
+
+function connected(socket) {
+  return new Promise((resolve, reject) => {
+    socket.once('connect', resolve);
+    socket.once('connect_error', reject);
+  });
+}
+
+module.exports = {
+  useTempDatabase,
+  seededRandom,
+  createEditingSession,
+  startServer,
+  createClient,
+  createNotepad,
+  signIn,
+  emit,
+  eventually,
+  connected
+};
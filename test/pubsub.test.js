@@ -0,0 +1,121 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const OT = require('../public/js/ot');
+const { useTempDatabase, seededRandom, createEditingSession } = require('./helpers');
+
+const tempDir = useTempDatabase();
+const db = require('../database');
+const bus = require('../pubsub');
+const presence = require('../presence');
+
+// Two server processes sharing notepads, as far as collab.js can tell: each
+// copy of the module keeps its own documents and hears every message on
+// the bus. The memory backend grants every lock, so both read the
+// notepad from the database before anyone edits it.
+const collabA = require('../collab');
+delete require.cache[require.resolve('../collab')];
+const collabB = require('../collab');
+
+before(async () => {
+  await db.initializeDatabase();
+  await bus.start();
+});
+
+after(async () => {
+  await new Promise(resolve => db.db.close(resolve));
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+async function openOnBoth(id, content) {
+  await db.createNotepad(id, 'password', 'alternate');
+  await db.updateNotepad(id, content, null);
+  return Promise.all([collabA.loadDocument(id), collabB.loadDocument(id)]);
+}
+
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+function people(doc) {
+  return presence.serialize(doc.people);
+}
+
+for (const seed of [1, 2, 3]) {
+  test(`edits through either instance converge (seed ${seed})`, async () => {
+    const [docA, docB] = await openOnBoth(`instances${seed}`, 'the quick brown fox');
+    assert.notEqual(docA, docB);
+    const session = createEditingSession([{ collab: collabA, doc: docA }, { collab: collabB, doc: docB }], 4);
+
+    try {
+      await session.play(seededRandom(seed), 400);
+      await session.drain();
+
+      assert.ok(docA.version > 0);
+      assert.equal(docB.content, docA.content);
+      assert.equal(docB.version, docA.version);
+      assert.deepEqual(docB.history, docA.history);
+      session.editors.forEach((editor) => {
+        assert.equal(editor.text, docA.content, `${editor.name} diverged`);
+        assert.equal(editor.version, docA.version);
+      });
+    } finally {
+      session.close();
+    }
+  });
+}
+
+test('presence converges across instances', async () => {
+  const id = 'presence';
+  const [docA, docB] = await openOnBoth(id, 'hello world');
+  const told = { A: 0, B: 0 };
+  const onPresenceA = (doc) => { if (doc === docA) told.A++; };
+  const onPresenceB = (doc) => { if (doc === docB) told.B++; };
+  collabA.events.on('presence', onPresenceA);
+  collabB.events.on('presence', onPresenceB);
+
+  try {
+    const join = (collab, doc, session, socket, username) => new Promise((resolve, reject) => {
+      collab.joinPresence(doc, session, socket, { username }, (err, entry) => (err ? reject(err) : resolve(entry)));
+    });
+    const alice = await join(collabA, docA, 'session-alice', 'socket-1', 'alice');
+    const bob = await join(collabB, docB, 'session-bob', 'socket-2', 'bob');
+    // A second tab for alice, on the other instance
+    await join(collabB, docB, 'session-alice', 'socket-3', 'alice');
+
+    assert.equal(docA.people.size, 2);
+    assert.deepEqual(people(docB), people(docA));
+    assert.equal(docA.people.get('session-alice').id, alice.id);
+    assert.equal(docB.people.get('session-bob').id, bob.id);
+    assert.notEqual(alice.color, bob.color);
+    assert.deepEqual(told, { A: 3, B: 3 });
+
+    collabA.setCursor(id, 'session-alice', 'socket-1', docA.version, 0, 5);
+    collabB.setCursor(id, 'session-bob', 'socket-2', docB.version, 6, 6);
+    await settle();
+    assert.deepEqual(docB.people.get('session-alice').cursor, { start: 0, end: 5 });
+    assert.deepEqual(docA.people.get('session-bob').cursor, { start: 6, end: 6 });
+
+    // An edit on one instance moves cursors on both
+    await new Promise((resolve, reject) => {
+      const op = OT.diff(docB.content, `so ${docB.content}`);
+      collabB.receiveOperation(docB, { version: docB.version, op, editor: 'bob', socket: 'socket-2' },
+        err => (err ? reject(err) : resolve()));
+    });
+    assert.deepEqual(docA.people.get('session-bob').cursor, { start: 9, end: 9 });
+    assert.deepEqual(people(docB), people(docA));
+
+    collabA.leavePresence(id, 'session-alice', 'socket-1');
+    await settle();
+    assert.deepEqual(docB.people.get('session-alice').sockets, new Set([`${bus.id}:socket-3`]));
+
+    collabB.leavePresence(id, 'session-alice', 'socket-3');
+    collabB.leavePresence(id, 'session-bob', 'socket-2');
+    await settle();
+    assert.equal(docA.people.size, 0);
+    assert.deepEqual(people(docB), people(docA));
+  } finally {
+    collabA.events.off('presence', onPresenceA);
+    collabB.events.off('presence', onPresenceB);
+  }
+});
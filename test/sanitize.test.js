@@ -0,0 +1,168 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeHtml } = require('../sanitize');
+
+// Known ways of getting script into HTML through sanitizers
+const PAYLOADS = [
+  '<script>alert(1)</script>',
+  '<SCRIPT SRC=//evil.example/x.js></SCRIPT>',
+  '<scr<script>ipt>alert(1)</script>',
+  '<<script>script>alert(1)<</script>/script>',
+  '<img src=x onerror=alert(1)>',
+  '<IMG SRC=x OnErRoR=alert(1)>',
+  '<img/src=x/onerror=alert(1)>',
+  '<img src="x" alt="a" onerror="alert(1)" / >',
+  '<img src=x onerror="alert(1)"',
+  '<img src="javascript:alert(1)">',
+  '<a href="javascript:alert(1)">x</a>',
+  '<a href="JaVaScRiPt:alert(1)">x</a>',
+  '<a href="  javascript:alert(1)">x</a>',
+  '<a href="java\tscript:alert(1)">x</a>',
+  '<a href="java&#x09;script:alert(1)">x</a>',
+  '<a href="jav&#x61;script:alert(1)">x</a>',
+  '<a href="&#106;avascript:alert(1)">x</a>',
+  '<a href="&#0000106&#0000097vascript:alert(1)">x</a>',
+  '<a href="javascript&colon;alert(1)">x</a>',
+  '<a href="javascript&#58alert(1)">x</a>',
+  '<a href="java&NewLine;script:alert(1)">x</a>',
+  '<a href="vbscript:msgbox(1)">x</a>',
+  '<a href="data:text/html,<script>alert(1)</script>">x</a>',
+  '<a href="https://ok.example" onmouseover="alert(1)">x</a>',
+  '<div title="a>b" onclick="alert(1)">t</div>',
+  '<div style="background:url(javascript:alert(1))">x</div>',
+  '<div style="background: url(&quot;javascript:alert(1)&quot;)">x</div>',
+  '<div style="width: expression(alert(1))">x</div>',
+  '<div style="color: red; -moz-binding: url(x.xml#xss)">x</div>',
+  '<div style="position:fixed;top:0;left:0;width:100%;height:100%">x</div>',
+  '<p style="color: red&#59; background: u&#114;l(javascript:alert(1))">x</p>',
+  '<iframe src="https://evil.example"></iframe>',
+  '<iframe src="https://www.youtube.com.evil.example/embed/x"></iframe>',
+  '<iframe src="javascript:alert(1)"></iframe>',
+  '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+  '<iframe src="https://www.youtube.com/embed/abc" onload="alert(1)"></iframe>',
+  '<svg onload=alert(1)><script>alert(1)</script></svg>',
+  '<svg><a xlink:href="javascript:alert(1)"><text>x</text></a></svg>',
+  '<math><mi xlink:href="javascript:alert(1)">x</mi></math>',
+  '<object data="javascript:alert(1)"></object>',
+  '<embed src="javascript:alert(1)">',
+  '<body onload=alert(1)>text',
+  '<input autofocus onfocus=alert(1)>',
+  '<details open ontoggle=alert(1)>',
+  '<form><button formaction=javascript:alert(1)>x</button></form>',
+  '<button onclick="alert(1)" class="media-delete-btn">x</button>',
+  '<video><source onerror="alert(1)"></video>',
+  '<video src="x" onerror="alert(1)" controls></video>',
+  '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+  '<base href="javascript:alert(1)//">',
+  '<link rel="stylesheet" href="javascript:alert(1)">',
+  '<style>body{background:url(javascript:alert(1))}</style>',
+  '<template><script>alert(1)</script></template>',
+  '<textarea><img src=x onerror=alert(1)></textarea>',
+  '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>',
+  '<title><img src=x onerror=alert(1)></title>',
+  '<plaintext><script>alert(1)</script>',
+  '<!--<img src=x onerror=alert(1)>-->',
+  '<!--><img src=x onerror=alert(1)>-->',
+  '<![CDATA[<script>alert(1)</script>]]>',
+  '<table><td background="javascript:alert(1)">x</td></table>',
+  '<a href=javascript:alert(1)>x</a>',
+  '<a href=\'javascript:alert(1)\'>x</a>',
+  '<a href="x" href="javascript:alert(1)">x</a>'
+];
+
+const ALLOWED_ELEMENTS = new Set([
+  'div', 'p', 'span', 'br', 'b', 'strong', 'i', 'em', 'u', 's', 'strike', 'sub', 'sup', 'mark',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'pre', 'code', 'hr',
+  'table', 'thead', 'tbody', 'tr', 'th', 'td', 'a', 'img', 'video', 'audio', 'iframe', 'button'
+]);
+
+const TAG = /<([a-z][a-z0-9]*)((?:\s+[^\s"'=<>/]+(?:="[^"]*")?)*)\s*>|<\/([a-z][a-z0-9]*)>/g;
+const ATTRIBUTE = /\s+([^\s=]+)(?:="([^"]*)")?/g;
+
+function attributeValue(value) {
+  return value.replace(/&quot;/g, '"').replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&');
+}
+
+// Output is serialized like innerHTML, so it can be checked tag by tag
+function assertSafe(html, payload) {
+  for (const [, name, attributes, closing] of html.matchAll(TAG)) {
+    assert.ok(ALLOWED_ELEMENTS.has(name || closing), `<${name || closing}> kept from ${payload}`);
+
+    for (const [, attribute, raw = ''] of (attributes || '').matchAll(ATTRIBUTE)) {
+      const value = attributeValue(raw);
+      assert.ok(!attribute.startsWith('on'), `${attribute} kept from ${payload}`);
+
+      if (attribute === 'href' || attribute === 'src') {
+        const scheme = value.replace(/[\u0000- \u007f-\u009f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+        assert.ok(!scheme || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase()), `${value} kept from ${payload}`);
+      }
+      if (name === 'iframe' && attribute === 'src') {
+        assert.match(value, /^https:\/\/www\.youtube(-nocookie)?\.com\/embed\//);
+      }
+      if (attribute === 'style') {
+        assert.doesNotMatch(value, /url\s*\(|expression\s*\(|binding|fixed/i, payload);
+      }
+    }
+  }
+
+  // Anything else that looks like markup is escaped text
+  assert.ok(!html.replace(TAG, '').includes('<'), `markup left in ${JSON.stringify(html)} from ${payload}`);
+}
+
+test('payloads come out without script', () => {
+  for (const payload of PAYLOADS) {
+    assertSafe(sanitizeHtml(payload), payload);
+    assertSafe(sanitizeHtml(`<div>before ${payload} after</div>`), payload);
+  }
+});
+
+test('sanitizing twice changes nothing more', () => {
+  for (const payload of PAYLOADS) {
+    const once = sanitizeHtml(payload);
+    assert.equal(sanitizeHtml(once), once, payload);
+  }
+});
+
+test('allowed attributes survive next to dropped ones', () => {
+  assert.equal(sanitizeHtml('<img src=x onerror=alert(1)>'), '<img src="x">');
+  assert.equal(sanitizeHtml('<a href="https://ok.example" onmouseover="alert(1)">x</a>'), '<a href="https://ok.example">x</a>');
+  assert.equal(sanitizeHtml('<div style="position:fixed;color:red">x</div>'), '<div style="color: red;">x</div>');
+  assert.equal(
+    sanitizeHtml('<iframe src="https://www.youtube.com/embed/abc" onload="alert(1)"></iframe>'),
+    '<iframe src="https://www.youtube.com/embed/abc"></iframe>'
+  );
+});
+
+test('escaped markup in text stays escaped', () => {
+  assert.equal(sanitizeHtml('a < b && c > d'), 'a &lt; b &amp;&amp; c &gt; d');
+  assert.equal(sanitizeHtml('&lt;script&gt;alert(1)&lt;/script&gt;'), '&lt;script&gt;alert(1)&lt;/script&gt;');
+});
+
+test('content the editor writes passes through unchanged', () => {
+  const content = '<div class="media-wrapper">' +
+    '<img src="/uploads/123-abc-shot.png" alt="shot.png" style="max-width: 100%; display: block; margin: 10px 0px;">' +
+    '<button class="media-delete-btn">×</button></div>' +
+    '<br>hello &amp; &lt;world&gt;&nbsp;x<div><b>bold</b> <a href="https://example.com/a?b=1&amp;c=2" title="t">link</a></div>' +
+    '<div><video src="/uploads/a.mp4" controls="" style="max-width: 100%;"></video><audio src="/uploads/v.webm" controls=""></audio></div>' +
+    '<iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ" width="560" height="315" frameborder="0" allowfullscreen=""></iframe>' +
+    '<table><tbody><tr><td colspan="2">cell</td></tr></tbody></table>';
+  assert.equal(sanitizeHtml(content), content);
+});
+
+test('content is kept from being positioned over the page', () => {
+  assert.equal(
+    sanitizeHtml('<div style="position: fixed; top: 0; left: 0; z-index: 9999; transform: scale(50); color: red;">x</div>'),
+    '<div style="color: red;">x</div>'
+  );
+  assert.equal(
+    sanitizeHtml('<div class="media-wrapper" style="position: relative;"><button class="media-delete-btn" style="position: absolute; display: none;">×</button></div>'),
+    '<div class="media-wrapper"><button class="media-delete-btn">×</button></div>'
+  );
+});
+
+test("only the app's own classes are kept", () => {
+  assert.equal(sanitizeHtml('<div class="modal active">x</div>'), '<div>x</div>');
+  assert.equal(sanitizeHtml('<div class="media-wrapper auth-modal">x</div>'), '<div class="media-wrapper">x</div>');
+  assert.equal(sanitizeHtml('<pre><code class="language-js">x</code></pre>'), '<pre><code class="language-js">x</code></pre>');
+  assert.equal(sanitizeHtml('<p class="language-js">x</p>'), '<p>x</p>');
+});
@@ -0,0 +1,303 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const express = require('express');
+const { useTempDatabase } = require('./helpers');
+
+const tempDir = useTempDatabase();
+process.env.UPLOADS_DIR = path.join(tempDir, 'uploads');
+const db = require('../database');
+const storage = require('../storage');
+
+const BUCKET = 'notepad-files';
+const REGION = 'eu-test-1';
+const ACCESS_KEY = 'test-access-key';
+const SECRET_KEY = 'test-secret-key';
+const PAGE_SIZE = 2;
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function xmlEscape(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Enough of the S3 REST API for storage.js, addressed by path like MinIO.
+// Requests must carry a valid Signature Version 4; listings come in pages
+// of PAGE_SIZE so continuation tokens get used.
+function createS3Stub() {
+  const objects = new Map(); // Key -> { data, type, modified }
+  const requests = [];
+
+  function verify(req, url, body) {
+    const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=(\w+)$/
+      .exec(req.headers.authorization || '');
+    if (!match || match[1] !== ACCESS_KEY || match[3] !== REGION) return false;
+    if (req.headers['x-amz-content-sha256'] !== sha256(body)) return false;
+
+    const [, , date, , signedHeaders, signature] = match;
+    const query = [...url.searchParams].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+      .join('&');
+    const names = signedHeaders.split(';');
+    const canonical = [
+      req.method,
+      url.pathname,
+      query,
+      ...names.map(name => `${name}:${req.headers[name]}`),
+      '',
+      signedHeaders,
+      req.headers['x-amz-content-sha256']
+    ].join('\n');
+    const toSign = ['AWS4-HMAC-SHA256', req.headers['x-amz-date'], `${date}/${REGION}/s3/aws4_request`, sha256(canonical)].join('\n');
+    const key = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${SECRET_KEY}`, date), REGION));
+    return crypto.createHmac('sha256', key).update(toSign).digest('hex') === signature;
+  }
+
+  function list(res, url) {
+    const prefix = url.searchParams.get('prefix') || '';
+    const keys = [...objects.keys()].filter(key => key.startsWith(prefix)).sort();
+    const start = Number(url.searchParams.get('continuation-token') || 0);
+    const page = keys.slice(start, start + PAGE_SIZE);
+    const more = start + PAGE_SIZE < keys.length;
+
+    res.setHeader('Content-Type', 'application/xml');
+    res.end('<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>' +
+      page.map(key => `<Contents><Key>${xmlEscape(key)}</Key><Size>${objects.get(key).data.length}</Size>` +
+        `<LastModified>${objects.get(key).modified.toISOString()}</LastModified></Contents>`).join('') +
+      `<IsTruncated>${more}</IsTruncated>${more ? `<NextContinuationToken>${start + PAGE_SIZE}</NextContinuationToken>` : ''}` +
+      '</ListBucketResult>');
+  }
+
+  function get(req, res, object) {
+    const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+    let { data } = object;
+    if (range) {
+      const start = range[1] ? Number(range[1]) : data.length - Number(range[2]);
+      const end = range[1] && range[2] ? Math.min(Number(range[2]), data.length - 1) : data.length - 1;
+      if (start >= data.length || start > end) {
+        res.writeHead(416, { 'Content-Range': `bytes */${data.length}` });
+        return res.end();
+      }
+      res.statusCode = 206;
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${data.length}`);
+      data = data.subarray(start, end + 1);
+    }
+    res.setHeader('Content-Type', object.type);
+    res.setHeader('Content-Length', data.length);
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.end(req.method === 'HEAD' ? undefined : data);
+  }
+
+  function fail(res, status, message) {
+    res.writeHead(status, { 'Content-Type': 'application/xml' });
+    res.end(`<Error><Message>${message}</Message></Error>`);
+  }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const url = new URL(req.url, 'http://stub');
+      requests.push({ method: req.method, path: url.pathname, range: req.headers.range });
+
+      if (!verify(req, url, body)) return fail(res, 403, 'The request signature we calculated does not match');
+
+      const [, bucket, ...rest] = url.pathname.split('/');
+      if (bucket !== BUCKET) return fail(res, 404, 'The specified bucket does not exist');
+      const key = decodeURIComponent(rest.join('/'));
+
+      if (!key && req.method === 'GET' && url.searchParams.get('list-type') === '2') return list(res, url);
+
+      const object = objects.get(key);
+      if (req.method === 'PUT') {
+        objects.set(key, { data: body, type: req.headers['content-type'], modified: new Date() });
+        return res.end();
+      }
+      if (req.method === 'DELETE') {
+        objects.delete(key);
+        res.statusCode = 204;
+        return res.end();
+      }
+      if (!object) return fail(res, 404, 'The specified key does not exist');
+      get(req, res, object);
+    });
+  });
+
+  return {
+    objects,
+    requests,
+    listen: () => new Promise(resolve => server.listen(0, () => resolve(`http://localhost:${server.address().port}`))),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+const stub = createS3Stub();
+let app;
+
+before(async () => {
+  const endpoint = await stub.listen();
+  Object.assign(process.env, {
+    STORAGE_BACKEND: 's3',
+    S3_BUCKET: BUCKET,
+    S3_REGION: REGION,
+    S3_ENDPOINT: endpoint,
+    S3_ACCESS_KEY_ID: ACCESS_KEY,
+    S3_SECRET_ACCESS_KEY: SECRET_KEY,
+    S3_PREFIX: '/files/'
+  });
+  await db.initializeDatabase();
+});
+
+after(async () => {
+  await stub.close();
+  if (app) await new Promise(resolve => app.close(resolve));
+  await new Promise(resolve => db.db.close(resolve));
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// Fetch a stored file through storage.send, as /uploads/:name does
+async function fetchStored(location, headers = {}) {
+  if (!app) {
+    const server = express();
+    server.get('/file', (req, res) => {
+      storage.send(req.query.location, req, res, { 'Content-Type': 'text/plain' }).catch((error) => {
+        res.status(error.status || 500).end(error.message);
+      });
+    });
+    await new Promise((resolve) => {
+      app = server.listen(0, resolve);
+    });
+  }
+  const url = `http://localhost:${app.address().port}/file?location=${encodeURIComponent(location)}`;
+  const response = await fetch(url, { headers });
+  return { status: response.status, headers: response.headers, text: await response.text() };
+}
+
+describe('the S3 backend', () => {
+  test('puts files under the prefix with their type', async () => {
+    const location = await storage.put('1-a-hello.txt', Buffer.from('hello, bucket'), 'text/plain');
+    assert.equal(location, `s3://${BUCKET}/files/1-a-hello.txt`);
+    assert.equal(stub.objects.get('files/1-a-hello.txt').data.toString(), 'hello, bucket');
+    assert.equal(stub.objects.get('files/1-a-hello.txt').type, 'text/plain');
+  });
+
+  test('reads files back', async () => {
+    const location = await storage.put('2-b-name with spaces+plus.txt', Buffer.from('odd name'), 'text/plain');
+    assert.equal((await storage.read(location)).toString(), 'odd name');
+    await assert.rejects(storage.read(`s3://${BUCKET}/files/missing.txt`), { statusCode: 404 });
+  });
+
+  test('sends files, passing ranges on to the bucket', async () => {
+    const location = await storage.put('3-c-digits.txt', Buffer.from('0123456789'), 'text/plain');
+
+    const whole = await fetchStored(location);
+    assert.equal(whole.status, 200);
+    assert.equal(whole.text, '0123456789');
+    assert.equal(whole.headers.get('content-type'), 'text/plain; charset=utf-8');
+
+    const part = await fetchStored(location, { Range: 'bytes=2-5' });
+    assert.equal(part.status, 206);
+    assert.equal(part.text, '2345');
+    assert.equal(part.headers.get('content-range'), 'bytes 2-5/10');
+    assert.equal(stub.requests.at(-1).range, 'bytes=2-5');
+
+    const tail = await fetchStored(location, { Range: 'bytes=-3' });
+    assert.equal(tail.text, '789');
+
+    assert.equal((await fetchStored(location, { Range: 'bytes=20-' })).status, 416);
+    assert.equal((await fetchStored(`s3://${BUCKET}/files/missing.txt`)).status, 404);
+  });
+
+  test('removes files, even ones already gone', async () => {
+    const location = await storage.put('4-d-doomed.txt', Buffer.from('bye'), 'text/plain');
+    await storage.remove(location);
+    assert.ok(!stub.objects.has('files/4-d-doomed.txt'));
+    await storage.remove(location);
+  });
+
+  test('lists everything under the prefix, page by page', async () => {
+    stub.objects.set('elsewhere/not-ours.txt', { data: Buffer.from('x'), type: 'text/plain', modified: new Date() });
+    const listed = await storage.list();
+    const keys = [...stub.objects.keys()].filter(key => key.startsWith('files/')).sort();
+
+    assert.ok(keys.length > PAGE_SIZE);
+    assert.deepEqual(listed.map(file => file.location), keys.map(key => `s3://${BUCKET}/${key}`));
+    const hello = listed.find(file => file.location.endsWith('1-a-hello.txt'));
+    assert.equal(hello.size, 13);
+    assert.ok(hello.modifiedAt instanceof Date && !isNaN(hello.modifiedAt));
+  });
+
+  test("fails with the bucket's message when it refuses", async () => {
+    await assert.rejects(storage.read(`s3://${BUCKET}/files/none.txt`), /S3 404: The specified key does not exist/);
+  });
+});
+
+describe('migrate', () => {
+  before(async () => {
+    stub.objects.clear();
+    await db.createNotepad('migrating', 'password', 'alternate');
+
+    process.env.STORAGE_BACKEND = 'local';
+    for (const name of ['10-a-one.txt', '11-b-two.txt']) {
+      const location = await storage.put(name, Buffer.from(`contents of ${name}`), 'text/plain');
+      await db.addFile('migrating', name, location, 'text/plain', 20);
+    }
+    await db.addFile('migrating', 'gone.txt', path.join(process.env.UPLOADS_DIR, 'gone.txt'), 'text/plain', 5);
+  });
+
+  async function filepaths() {
+    const rows = await db.getAllFiles();
+    return Object.fromEntries(rows.map(row => [row.filename, row.filepath]));
+  }
+
+  test('a dry run changes nothing', async () => {
+    const before = await filepaths();
+    const { moved, missing } = await storage.migrate('s3', { dryRun: true });
+    assert.equal(moved.length, 2);
+    assert.equal(missing.length, 1);
+    assert.deepEqual(await filepaths(), before);
+    assert.equal(stub.objects.size, 0);
+  });
+
+  test('moves local files to the bucket and updates their rows', async () => {
+    const log = [];
+    const { moved, missing } = await storage.migrate('s3', { log: line => log.push(line) });
+    assert.deepEqual(moved.map(file => file.filename).sort(), ['10-a-one.txt', '11-b-two.txt']);
+    assert.deepEqual(missing.map(file => file.filename), ['gone.txt']);
+    assert.ok(log.some(line => line.startsWith('Missing:')));
+
+    const paths = await filepaths();
+    for (const name of ['10-a-one.txt', '11-b-two.txt']) {
+      assert.equal(paths[name], `s3://${BUCKET}/files/${name}`);
+      assert.equal(stub.objects.get(`files/${name}`).data.toString(), `contents of ${name}`);
+      assert.ok(!fs.existsSync(path.join(process.env.UPLOADS_DIR, name)));
+    }
+  });
+
+  test('leaves files already there alone', async () => {
+    const { moved } = await storage.migrate('s3');
+    assert.equal(moved.length, 0);
+  });
+
+  test('moves them back to local disk', async () => {
+    const { moved } = await storage.migrate('local');
+    assert.equal(moved.length, 2);
+
+    const paths = await filepaths();
+    for (const name of ['10-a-one.txt', '11-b-two.txt']) {
+      assert.equal(paths[name], path.join(process.env.UPLOADS_DIR, name));
+      assert.equal(fs.readFileSync(paths[name], 'utf-8'), `contents of ${name}`);
+      assert.ok(!stub.objects.has(`files/${name}`));
+    }
+  });
+});
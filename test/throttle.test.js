@@ -0,0 +1,151 @@
+const { test, beforeEach, afterEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTempDatabase } = require('./helpers');
+
+const tempDir = useTempDatabase();
+const db = require('../database');
+const throttle = require('../throttle');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// Counts live in the module's memory store for the whole file, so every
+// test signs in from its own address to its own notepad
+let run = 0;
+let ip;
+let notepadId;
+
+beforeEach(() => {
+  run++;
+  ip = `10.0.0.${run}`;
+  notepadId = `notepad${run}`;
+  mock.timers.enable({ apis: ['Date'], now: new Date('2026-01-01T00:00:00Z') });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  delete process.env.AUTH_IP_LIMIT;
+  delete process.env.AUTH_NOTEPAD_LIMIT;
+  delete process.env.AUTH_LOCKOUT_MINUTES;
+});
+
+after(async () => {
+  await new Promise(resolve => db.db.close(resolve));
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// Make attempts that all turn out wrong; resolves to the last answer
+async function failTimes(count) {
+  let result;
+  for (let i = 0; i < count; i++) {
+    result = await throttle.attempt(notepadId, ip);
+  }
+  return result;
+}
+
+test('the first attempts are free', async () => {
+  for (let i = 0; i < 6; i++) {
+    assert.deepEqual(await throttle.attempt(notepadId, ip), { allowed: true });
+  }
+});
+
+test('each wrong password after that doubles the wait', async () => {
+  await failTimes(6);
+
+  for (const seconds of [2, 4, 8, 16, 32, 60, 60]) {
+    assert.deepEqual(await throttle.attempt(notepadId, ip), { allowed: false, retryAfter: seconds });
+
+    mock.timers.tick(seconds * SECOND - 1);
+    assert.equal((await throttle.attempt(notepadId, ip)).allowed, false);
+
+    mock.timers.tick(1);
+    assert.deepEqual(await throttle.attempt(notepadId, ip), { allowed: true });
+  }
+});
+
+test("attempts that have to wait don't count", async () => {
+  await failTimes(7);
+  await failTimes(20);
+
+  mock.timers.tick(2 * SECOND);
+  assert.equal((await throttle.attempt(notepadId, ip)).allowed, true);
+  assert.deepEqual(await throttle.attempt(notepadId, ip), { allowed: false, retryAfter: 4 });
+});
+
+test('enough wrong passwords lock the address out', async () => {
+  process.env.AUTH_IP_LIMIT = '8';
+  process.env.AUTH_LOCKOUT_MINUTES = '10';
+
+  await failTimes(6);
+  for (const seconds of [2, 4]) {
+    mock.timers.tick(seconds * SECOND);
+    assert.equal((await throttle.attempt(notepadId, ip)).allowed, true);
+  }
+
+  assert.deepEqual(await throttle.attempt(notepadId, ip), { allowed: false, retryAfter: 10 * 60 });
+  mock.timers.tick(10 * MINUTE - SECOND);
+  assert.deepEqual(await throttle.attempt(notepadId, ip), { allowed: false, retryAfter: 1 });
+
+  // Another address is not affected
+  assert.equal((await throttle.attempt(notepadId, `${ip}0`)).allowed, true);
+
+  // Each wrong password after the lockout locks it out again
+  mock.timers.tick(SECOND);
+  assert.equal((await throttle.attempt(notepadId, ip)).allowed, true);
+  assert.deepEqual(await throttle.attempt(notepadId, ip), { allowed: false, retryAfter: 10 * 60 });
+});
+
+test('many addresses lock the notepad out, without counting against the last one', async () => {
+  process.env.AUTH_NOTEPAD_LIMIT = '10';
+
+  for (let i = 0; i < 10; i++) {
+    assert.equal((await throttle.attempt(notepadId, `${ip}.${i}`)).allowed, true);
+  }
+
+  const newcomer = `${ip}.new`;
+  assert.deepEqual(await throttle.attempt(notepadId, newcomer), { allowed: false, retryAfter: 15 * 60 });
+
+  // The newcomer's refused attempt was taken back, so all its free ones are left
+  for (let i = 0; i < 6; i++) {
+    assert.deepEqual(await throttle.attempt(`${notepadId}-other`, newcomer), { allowed: true });
+  }
+  assert.equal((await throttle.attempt(`${notepadId}-other`, newcomer)).allowed, false);
+});
+
+test('a correct password is taken back', async () => {
+  await failTimes(6);
+  await throttle.succeeded(notepadId, ip);
+  assert.deepEqual(await throttle.attempt(notepadId, ip), { allowed: true });
+
+  // Without the refund that would have been the one to wait for
+  assert.deepEqual(await throttle.attempt(notepadId, ip), { allowed: false, retryAfter: 2 });
+});
+
+test('signing in correctly every time never slows down', async () => {
+  for (let i = 0; i < 50; i++) {
+    assert.deepEqual(await throttle.attempt(notepadId, ip), { allowed: true });
+    await throttle.succeeded(notepadId, ip);
+  }
+});
+
+test('attempts sent together are each counted', async () => {
+  const results = await Promise.all(Array.from({ length: 12 }, () => throttle.attempt(notepadId, ip)));
+  assert.equal(results.filter(result => result.allowed).length, 6);
+});
+
+test('counts are forgotten after an hour without attempts', async () => {
+  await failTimes(9);
+  assert.equal((await throttle.attempt(notepadId, ip)).allowed, false);
+
+  mock.timers.tick(60 * MINUTE + SECOND);
+  assert.deepEqual(await failTimes(6), { allowed: true });
+  assert.equal((await throttle.attempt(notepadId, ip)).allowed, false);
+});
+
+test('waits read as seconds or minutes', () => {
+  assert.equal(throttle.formatWait(1), '1 second');
+  assert.equal(throttle.formatWait(59), '59 seconds');
+  assert.equal(throttle.formatWait(60), '1 minute');
+  assert.equal(throttle.formatWait(61), '2 minutes');
+});
@@ -0,0 +1,296 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDatabase, startServer, createNotepad, signIn } = require('./helpers');
+
+// uploads.js reaches the database through the importer
+const tempDir = useTempDatabase();
+const db = require('../database');
+const uploads = require('../uploads');
+const { createZip } = require('../zip');
+
+after(async () => {
+  await new Promise(resolve => db.db.close(resolve));
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+const WEBM = Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x01, 0x00, 0x00, 0x00]);
+
+describe('detectType', () => {
+  test('goes by content, not the name', () => {
+    assert.deepEqual(uploads.detectType(PNG, 'notes.txt'), { mimetype: 'image/png', extension: 'png' });
+    assert.equal(uploads.detectType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]), 'x.gif').mimetype, 'image/jpeg');
+    assert.equal(uploads.detectType(Buffer.from('GIF89a...'), 'x.png').mimetype, 'image/gif');
+    assert.equal(uploads.detectType(Buffer.from('%PDF-1.7\n'), 'x.exe').mimetype, 'application/pdf');
+  });
+
+  test('tells ZIP-based documents apart by what they contain', () => {
+    const docx = createZip([{ name: 'word/document.xml', data: '<w:document/>' }]);
+    assert.equal(uploads.detectType(docx, 'x.zip').extension, 'docx');
+
+    const epub = createZip([{ name: 'mimetype', data: 'application/epub+zip', store: true }]);
+    assert.equal(uploads.detectType(epub, 'x.zip').extension, 'epub');
+
+    const zip = createZip([{ name: 'a.txt', data: 'a' }]);
+    assert.equal(uploads.detectType(zip, 'x.docx').mimetype, 'application/zip');
+  });
+
+  test('never gives text a type browsers would run', () => {
+    const html = Buffer.from('<html><script>alert(1)</script></html>');
+    assert.deepEqual(uploads.detectType(html, 'page.html', 'text/html'), { mimetype: 'text/plain', extension: 'txt' });
+
+    const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" onload="alert(1)"/>');
+    assert.deepEqual(uploads.detectType(svg, 'image.svg', 'image/svg+xml'), { mimetype: 'text/plain', extension: 'txt' });
+
+    assert.deepEqual(uploads.detectType(Buffer.from('# Title'), 'README.md'), { mimetype: 'text/markdown', extension: 'md' });
+    assert.deepEqual(uploads.detectType(Buffer.from('a,b'), 'data.CSV'), { mimetype: 'text/csv', extension: 'csv' });
+  });
+
+  test('lets the declared type pick only within the same container', () => {
+    assert.equal(uploads.detectType(WEBM, 'voice.webm', 'audio/webm').mimetype, 'audio/webm');
+    assert.equal(uploads.detectType(WEBM, 'voice.webm', 'audio/webm;codecs=opus').mimetype, 'audio/webm');
+    assert.equal(uploads.detectType(WEBM, 'clip.webm', 'audio/mp4').mimetype, 'video/webm');
+    assert.equal(uploads.detectType(WEBM, 'clip.webm').mimetype, 'video/webm');
+  });
+
+  test("returns null for what it doesn't recognize", () => {
+    assert.equal(uploads.detectType(Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03, 0x00, 0x00, 0x00]), 'x.png'), null);
+    assert.equal(uploads.detectType(Buffer.alloc(0), 'empty.txt'), null);
+  });
+});
+
+describe('safeFilename', () => {
+  test('keeps only the last part of a path', () => {
+    assert.equal(uploads.safeFilename('../../etc/passwd'), 'passwd');
+    assert.equal(uploads.safeFilename('C:\\Users\\me\\report.pdf'), 'report.pdf');
+  });
+
+  test('removes control characters and markup', () => {
+    assert.equal(uploads.safeFilename('<img src=x onerror=alert(1)>.png'), 'img src=x onerror=alert(1).png');
+    assert.equal(uploads.safeFilename('a\u0000b\u001fc\u007f.txt'), 'abc.txt');
+    assert.equal(uploads.safeFilename('what?*|:".txt'), 'what.txt');
+  });
+
+  test('tidies whitespace and leading dots', () => {
+    assert.equal(uploads.safeFilename('  my \t\n notes  .txt '), 'my notes .txt');
+    assert.equal(uploads.safeFilename('.htaccess'), 'htaccess');
+  });
+
+  test('falls back to a name when nothing is left', () => {
+    assert.equal(uploads.safeFilename(''), 'file');
+    assert.equal(uploads.safeFilename(undefined), 'file');
+    assert.equal(uploads.safeFilename('...'), 'file');
+    assert.equal(uploads.safeFilename('dir/'), 'file');
+  });
+
+  test('shortens long names, keeping the extension', () => {
+    const name = uploads.safeFilename(`${'a'.repeat(300)}.pdf`);
+    assert.equal(name.length, 100);
+    assert.ok(name.endsWith('.pdf'));
+  });
+});
+
+describe('checkQuota', () => {
+  const saved = process.env.NOTEPAD_QUOTA_MB;
+  after(() => {
+    if (saved === undefined) delete process.env.NOTEPAD_QUOTA_MB;
+    else process.env.NOTEPAD_QUOTA_MB = saved;
+  });
+
+  test('allows files up to the quota', () => {
+    process.env.NOTEPAD_QUOTA_MB = '1';
+    assert.doesNotThrow(() => uploads.checkQuota(0, 1024 * 1024));
+    assert.doesNotThrow(() => uploads.checkQuota(1024, 1024 * 1024 - 1024));
+  });
+
+  test('rejects a file that would go over it with a 413', () => {
+    process.env.NOTEPAD_QUOTA_MB = '1';
+    assert.throws(() => uploads.checkQuota(1, 1024 * 1024), (error) => {
+      assert.equal(error.status, 413);
+      assert.match(error.message, /1 KB of 1 MB is used/);
+      return true;
+    });
+  });
+
+  test('uses 100 MB without a valid setting', () => {
+    for (const setting of [undefined, '0', '-5', 'lots']) {
+      if (setting === undefined) delete process.env.NOTEPAD_QUOTA_MB;
+      else process.env.NOTEPAD_QUOTA_MB = setting;
+      assert.equal(uploads.quotaBytes(), 100 * 1024 * 1024, String(setting));
+    }
+  });
+});
+
+describe('the upload filter', () => {
+  let server;
+  let mine;
+  let theirs;
+  let client;
+
+  before(async () => {
+    server = await startServer();
+    mine = (await createNotepad(server)).notepadId;
+    theirs = (await createNotepad(server)).notepadId;
+    client = await signIn(server, mine, 'user1', 'owner-password');
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  function storedFiles() {
+    const dir = path.join(server.dir, 'uploads');
+    return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+  }
+
+  async function fileCount(notepadId) {
+    const owner = notepadId === mine ? client : await signIn(server, notepadId, 'user1', 'owner-password');
+    const { body } = await owner.request(`/api/notepad/${notepadId}`);
+    return body.files.length;
+  }
+
+  test("rejects a file for a notepad the session isn't signed in to", async () => {
+    for (const route of ['/api/upload/file', '/api/upload/document']) {
+      const { status } = await client.upload(route, theirs, 'notes.txt', 'not yours');
+      assert.equal(status, 401, route);
+    }
+    assert.deepEqual(storedFiles(), []);
+    assert.equal(await fileCount(theirs), 0);
+  });
+
+  test('rejects a file whose notepad is named again differently after it', async () => {
+    const form = new FormData();
+    form.append('notepadId', mine);
+    form.append('file', new Blob(['sneaky']), 'notes.txt');
+    form.append('notepadId', theirs);
+
+    const { status, body } = await client.request('/api/upload/file', { method: 'POST', body: form });
+    assert.equal(status, 401);
+    assert.equal(body.success, false);
+    assert.deepEqual(storedFiles(), []);
+    assert.equal(await fileCount(mine), 0);
+    assert.equal(await fileCount(theirs), 0);
+  });
+
+  test('rejects a file sent before its notepad is named', async () => {
+    const form = new FormData();
+    form.append('file', new Blob(['early']), 'notes.txt');
+    form.append('notepadId', mine);
+
+    const { status, body } = await client.request('/api/upload/file', { method: 'POST', body: form });
+    assert.equal(status, 400);
+    assert.match(body.error, /named before the file/);
+    assert.deepEqual(storedFiles(), []);
+  });
+
+  test('keeps a file for the notepad the session is signed in to', async () => {
+    const { status, body } = await client.upload('/api/upload/file', mine, 'notes.txt', 'mine');
+    assert.equal(status, 200);
+    assert.equal(body.file.mimetype, 'text/plain');
+    assert.equal(storedFiles().length, 1);
+    assert.equal(await fileCount(mine), 1);
+  });
+});
+
+describe('chunked uploads', () => {
+  let server;
+  let notepadId;
+  let client;
+
+  before(async () => {
+    server = await startServer();
+    notepadId = (await createNotepad(server)).notepadId;
+    client = await signIn(server, notepadId, 'user1', 'owner-password');
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  // Start an upload and send all of it in one chunk; resolves to its URL
+  async function send(filename, data) {
+    const base = `/api/notepad/${notepadId}/uploads`;
+    const { body } = await client.request(base, {
+      method: 'POST',
+      json: { filename, size: data.length, mimetype: 'text/plain' }
+    });
+    const sent = await client.request(`${base}/${body.uploadId}?offset=0`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: data
+    });
+    assert.equal(sent.status, 200);
+    return `${base}/${body.uploadId}`;
+  }
+
+  test('keeps the chunks when storing fails, so completing can be tried again', async () => {
+    const url = await send('notes.txt', Buffer.from('hello there'));
+
+    // Something in the way of the uploads directory
+    const dir = path.join(server.dir, 'uploads');
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.writeFileSync(dir, 'in the way');
+    const failed = await client.request(`${url}/complete`, { method: 'POST' });
+    fs.rmSync(dir);
+    assert.equal(failed.status, 500);
+
+    const completed = await client.request(`${url}/complete`, { method: 'POST' });
+    assert.equal(completed.status, 200);
+    assert.equal(completed.body.file.filename, 'notes.txt');
+    assert.equal((await client.request(url)).status, 404);
+  });
+
+  test('stores an upload completed twice at once only once', async () => {
+    const url = await send('once.txt', Buffer.from('just the once'));
+
+    const results = await Promise.all([1, 2].map(() => client.request(`${url}/complete`, { method: 'POST' })));
+    assert.equal(results.filter(result => result.status === 200).length, 1);
+
+    const { body } = await client.request(`/api/notepad/${notepadId}`);
+    assert.equal(body.files.filter(file => file.filename === 'once.txt').length, 1);
+  });
+});
+
+describe('serving files', () => {
+  let server;
+  let notepadId;
+  let client;
+
+  before(async () => {
+    server = await startServer();
+    notepadId = (await createNotepad(server)).notepadId;
+    client = await signIn(server, notepadId, 'user1', 'owner-password');
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  // Upload a file and give its URL and where it is stored
+  async function upload(filename) {
+    const { body } = await client.upload('/api/upload/file', notepadId, filename, 'some notes');
+    return { url: body.file.url, stored: path.join(server.dir, 'uploads', path.basename(body.file.url)) };
+  }
+
+  test('answers 404 when the stored file is gone', async () => {
+    const { url, stored } = await upload('gone.txt');
+    assert.equal((await client.request(url)).status, 200);
+
+    fs.rmSync(stored);
+    const { status, body } = await client.request(url);
+    assert.equal(status, 404);
+    assert.equal(body.error, 'File not found');
+  });
+
+  test("answers 500 when the stored file can't be read", async () => {
+    const { url, stored } = await upload('unreadable.txt');
+    fs.rmSync(stored);
+    fs.mkdirSync(stored);
+
+    const { status, body } = await client.request(url);
+    assert.equal(status, 500);
+    assert.equal(body.success, false);
+  });
+});
@@ -0,0 +1,216 @@
+// Slows down password guessing on the sign-in route. A wrong password still
+// opens a blank notepad, so guessers can't tell they failed, but every
+// attempt counts against the IP address it came from and against the
+// notepad. After a few, each attempt makes the next one wait longer (2s,
+// 4s, 8s... up to a minute), and enough of them lock sign-in out for a
+// while. Attempts are counted before the password is checked, so sending
+// many at once doesn't get around this; correct passwords are taken back.
+// Counts are forgotten after an hour without attempts.
+//
+// A locked-out notepad keeps its own users out too, so its limit is much
+// higher than an address's: it only stops guessing spread over many
+// addresses. Owners can see the failed sign-ins.
+//
+// AUTH_IP_LIMIT (default 20) and AUTH_NOTEPAD_LIMIT (default 100) wrong
+// passwords lock sign-in out for AUTH_LOCKOUT_MINUTES (default 15); each
+// one after that, within the hour, does so again. Behind a proxy, set
+// TRUST_PROXY (see server.js) so addresses are the clients'.
+//
+// AUTH_LIMIT_STORE picks where counts are kept:
+//   memory   - this process only (the default with SQLite, and for tests)
+//   database - shared by every process (the default with PostgreSQL)
+const db = require('./database');
+
+const DEFAULT_IP_LIMIT = 20;
+const DEFAULT_NOTEPAD_LIMIT = 100;
+const DEFAULT_LOCKOUT_MINUTES = 15;
+
+// Attempts allowed before each one makes the next wait
+const FREE_ATTEMPTS = { ip: 5, notepad: 20 };
+const MAX_DELAY_MS = 60 * 1000;
+
+const FORGET_AFTER_MS = 60 * 60 * 1000;
+
+// Failed sign-ins owners see, and how long they are kept
+const LOG_LIMIT = 50;
+const LOG_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+
+function numberSetting(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && value > 0 ? value : fallback;
+}
+
+// Stores keep { failures, lastAttempt } per key. set() only changes a
+// count that is still what the caller read, so attempts arriving together
+// can't all count as the same one.
+function createMemoryStore() {
+  const limits = new Map(); // Key -> { failures, lastAttempt }
+
+  return {
+    async get(key) {
+      return limits.has(key) ? { ...limits.get(key) } : null;
+    },
+
+    async set(key, expected, failures, lastAttempt) {
+      const current = limits.has(key) ? limits.get(key).failures : null;
+      if (current !== expected) return false;
+      limits.set(key, { failures, lastAttempt });
+      return true;
+    },
+
+    async refund(key) {
+      const limit = limits.get(key);
+      if (limit && limit.failures > 0) limit.failures--;
+    },
+
+    async prune(idleSince) {
+      for (const [key, limit] of limits) {
+        if (limit.lastAttempt < idleSince) limits.delete(key);
+      }
+    }
+  };
+}
+
+function createDatabaseStore() {
+  return {
+    get: db.getAuthLimit,
+    set: db.setAuthLimit,
+    refund: db.refundAuthAttempt,
+    prune: db.deleteAuthLimitsIdleSince
+  };
+}
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    const name = process.env.AUTH_LIMIT_STORE || (db.isProduction ? 'database' : 'memory');
+    if (name === 'memory') {
+      store = createMemoryStore();
+    } else if (name === 'database') {
+      store = createDatabaseStore();
+    } else {
+      throw new Error(`Unknown AUTH_LIMIT_STORE "${name}"`);
+    }
+  }
+  return store;
+}
+
+function limits() {
+  return {
+    ip: numberSetting('AUTH_IP_LIMIT', DEFAULT_IP_LIMIT),
+    notepad: numberSetting('AUTH_NOTEPAD_LIMIT', DEFAULT_NOTEPAD_LIMIT)
+  };
+}
+
+function lockoutMs() {
+  return numberSetting('AUTH_LOCKOUT_MINUTES', DEFAULT_LOCKOUT_MINUTES) * MINUTE_MS;
+}
+
+// Counts are kept at least as long as a lockout lasts
+function forgetAfterMs() {
+  return Math.max(FORGET_AFTER_MS, lockoutMs());
+}
+
+// How long the attempt after the `failures`th has to wait
+function delayAfter(scope, failures) {
+  if (failures >= limits()[scope]) return lockoutMs();
+  if (failures <= FREE_ATTEMPTS[scope]) return 0;
+  return Math.min(1000 * 2 ** (failures - FREE_ATTEMPTS[scope]), MAX_DELAY_MS);
+}
+
+// When attempts against a count may go on again
+function waitUntil(scope, limit) {
+  return new Date(limit.lastAttempt.getTime() + delayAfter(scope, limit.failures));
+}
+
+// Count an attempt against `key` at `now`. Returns null if it was counted,
+// or the time to wait for.
+async function take(scope, key, now) {
+  while (true) {
+    let limit = await getStore().get(key);
+    const expected = limit ? limit.failures : null;
+    if (limit && limit.lastAttempt < new Date(now.getTime() - forgetAfterMs())) {
+      limit = null;
+    }
+
+    if (limit && waitUntil(scope, limit) > now) return waitUntil(scope, limit);
+    if (await getStore().set(key, expected, (limit ? limit.failures : 0) + 1, now)) return null;
+  }
+}
+
+// Count a sign-in attempt from `ip` on a notepad. Resolves with
+// { allowed: true } or, if it has to wait, { allowed: false, retryAfter }
+// in seconds. Call succeeded() if the password turns out to be right.
+async function attempt(notepadId, ip) {
+  const now = new Date();
+  const keys = { ip: `ip:${ip}`, notepad: `notepad:${notepadId}` };
+
+  const ipWait = await take('ip', keys.ip, now);
+  if (ipWait) return blocked(ipWait, now);
+
+  const notepadWait = await take('notepad', keys.notepad, now);
+  if (notepadWait) {
+    // Not this address's doing
+    await getStore().refund(keys.ip);
+    return blocked(notepadWait, now);
+  }
+  return { allowed: true };
+}
+
+function blocked(until, now) {
+  return { allowed: false, retryAfter: Math.max(1, Math.ceil((until - now) / 1000)) };
+}
+
+// The password was right: that attempt doesn't count
+async function succeeded(notepadId, ip) {
+  await getStore().refund(`ip:${ip}`);
+  await getStore().refund(`notepad:${notepadId}`);
+}
+
+// The password was wrong: note it for the owner
+async function failed(notepadId, username, ip) {
+  await db.recordFailedSignIn(notepadId, username || '', ip);
+}
+
+// What the owner sees: the latest failed sign-ins and, while too many of
+// them keep everyone out, until when
+async function report(notepadId) {
+  const limit = await getStore().get(`notepad:${notepadId}`);
+  const locked = limit && limit.failures >= limits().notepad && waitUntil('notepad', limit) > new Date();
+  return {
+    attempts: await db.getFailedSignIns(notepadId, LOG_LIMIT),
+    lockedUntil: locked ? waitUntil('notepad', limit).toISOString() : null
+  };
+}
+
+// "Try again in ..." for people told to wait
+function formatWait(seconds) {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// Forget old counts and failed sign-ins every so often
+function start() {
+  setInterval(async () => {
+    try {
+      const now = new Date();
+      await getStore().prune(new Date(now.getTime() - forgetAfterMs()));
+      await db.deleteFailedSignInsBefore(new Date(now.getTime() - LOG_RETENTION_MS));
+    } catch (error) {
+      console.error('Error pruning sign-in attempts:', error);
+    }
+  }, FORGET_AFTER_MS).unref();
+}
+
+module.exports = {
+  attempt,
+  succeeded,
+  failed,
+  report,
+  formatWait,
+  start
+};
@@ -0,0 +1,258 @@
+// Checks for uploaded files: what they really are (from their first bytes,
+// not the name or type the browser sent), whether that type is allowed,
+// a safe name to store them under, and how much space a notepad may use.
+const crypto = require('crypto');
+const path = require('path');
+const { nanoid } = require('nanoid');
+const { readZip } = require('./zip');
+const { isBinary } = require('./importer');
+
+// Types allowed when UPLOAD_ALLOWED_TYPES isn't set. Entries are MIME types
+// or families like `image/*`; only types detectType knows can match.
+const DEFAULT_ALLOWED_TYPES = [
+  'image/*',
+  'video/*',
+  'audio/*',
+  'application/pdf',
+  'text/plain',
+  'text/markdown',
+  'text/csv',
+  'application/zip',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.oasis.opendocument.text',
+  'application/epub+zip'
+];
+
+// Storage per notepad when NOTEPAD_QUOTA_MB isn't set
+const DEFAULT_QUOTA_MB = 100;
+
+// Largest file sent in chunks when UPLOAD_MAX_MB isn't set. Chunks are put
+// back together in memory before the file is checked and stored, so each
+// upload being completed needs about twice its size in memory.
+const DEFAULT_MAX_UPLOAD_MB = 100;
+
+// Longest stored name, not counting the unique prefix
+const MAX_NAME_LENGTH = 100;
+
+// Signed links to files last a day unless asked otherwise, and a week at most
+const DEFAULT_LINK_SECONDS = 24 * 60 * 60;
+const MAX_LINK_SECONDS = 7 * 24 * 60 * 60;
+
+function startsWith(data, bytes, offset = 0) {
+  return data.length >= offset + bytes.length && bytes.every((byte, i) => data[offset + i] === byte);
+}
+
+function ascii(data, offset, length) {
+  return data.toString('latin1', offset, offset + length);
+}
+
+// ISO media files (MP4, MOV, M4A, AVIF...) name their flavour after 'ftyp'
+function isoBrand(data) {
+  return data.length >= 12 && ascii(data, 4, 4) === 'ftyp' ? ascii(data, 8, 4) : null;
+}
+
+// ZIP-based documents, told apart by what they contain
+function zipType(data) {
+  let entries;
+  try {
+    entries = readZip(data);
+  } catch (err) {
+    return null;
+  }
+  const names = new Set(entries.map(entry => entry.name));
+  const mimetypeEntry = entries.find(entry => entry.name === 'mimetype');
+  const declared = mimetypeEntry && mimetypeEntry.data.toString('ascii').trim();
+
+  if (names.has('word/document.xml')) {
+    return { mimetype: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' };
+  }
+  if (declared === 'application/vnd.oasis.opendocument.text') {
+    return { mimetype: declared, extension: 'odt' };
+  }
+  if (declared === 'application/epub+zip') {
+    return { mimetype: declared, extension: 'epub' };
+  }
+  return { mimetype: 'application/zip', extension: 'zip' };
+}
+
+// Text files keep a harmless extension from their name, so nothing
+// uploaded is ever served as HTML or script
+const TEXT_TYPES = {
+  md: 'text/markdown',
+  markdown: 'text/markdown',
+  csv: 'text/csv',
+  txt: 'text/plain'
+};
+
+// Containers shared by audio and video (and WebM voice notes): the browser's
+// type decides which, as long as it names the same container
+const CONTAINER_TYPES = {
+  'video/webm': ['audio/webm'],
+  'video/ogg': ['audio/ogg'],
+  'video/mp4': ['audio/mp4']
+};
+
+// What a file is, from its contents: { mimetype, extension }, or null if
+// it isn't a type we recognize. `filename` and `declaredType` only pick
+// between types that look the same.
+function detectType(data, filename, declaredType) {
+  let type = null;
+  const brand = isoBrand(data);
+
+  if (startsWith(data, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    type = { mimetype: 'image/png', extension: 'png' };
+  } else if (startsWith(data, [0xff, 0xd8, 0xff])) {
+    type = { mimetype: 'image/jpeg', extension: 'jpg' };
+  } else if (ascii(data, 0, 6) === 'GIF87a' || ascii(data, 0, 6) === 'GIF89a') {
+    type = { mimetype: 'image/gif', extension: 'gif' };
+  } else if (ascii(data, 0, 4) === 'RIFF' && ascii(data, 8, 4) === 'WEBP') {
+    type = { mimetype: 'image/webp', extension: 'webp' };
+  } else if (ascii(data, 0, 4) === 'RIFF' && ascii(data, 8, 4) === 'WAVE') {
+    type = { mimetype: 'audio/wav', extension: 'wav' };
+  } else if (ascii(data, 0, 2) === 'BM' && data.length > 14 && data.readUInt32LE(2) === data.length) {
+    type = { mimetype: 'image/bmp', extension: 'bmp' };
+  } else if (brand === 'avif' || brand === 'avis') {
+    type = { mimetype: 'image/avif', extension: 'avif' };
+  } else if (brand === 'qt  ') {
+    type = { mimetype: 'video/quicktime', extension: 'mov' };
+  } else if (brand === 'M4A ') {
+    type = { mimetype: 'audio/mp4', extension: 'm4a' };
+  } else if (brand) {
+    type = { mimetype: 'video/mp4', extension: 'mp4' };
+  } else if (startsWith(data, [0x1a, 0x45, 0xdf, 0xa3])) {
+    type = { mimetype: 'video/webm', extension: 'webm' };
+  } else if (ascii(data, 0, 4) === 'OggS') {
+    type = { mimetype: 'video/ogg', extension: 'ogg' };
+  } else if (ascii(data, 0, 4) === 'fLaC') {
+    type = { mimetype: 'audio/flac', extension: 'flac' };
+  } else if (ascii(data, 0, 3) === 'ID3' || (data.length > 2 && data[0] === 0xff && (data[1] & 0xe6) === 0xe2)) {
+    type = { mimetype: 'audio/mpeg', extension: 'mp3' };
+  } else if (ascii(data, 0, 5) === '%PDF-') {
+    type = { mimetype: 'application/pdf', extension: 'pdf' };
+  } else if (startsWith(data, [0x50, 0x4b, 0x03, 0x04])) {
+    type = zipType(data);
+  } else if (data.length && !isBinary(data)) {
+    // Text in any encoding the importer reads
+    const extension = path.extname(filename || '').slice(1).toLowerCase();
+    type = TEXT_TYPES[extension] ? { mimetype: TEXT_TYPES[extension], extension } : { mimetype: 'text/plain', extension: 'txt' };
+  }
+
+  const declared = (declaredType || '').split(';')[0].trim().toLowerCase();
+  if (type && (CONTAINER_TYPES[type.mimetype] || []).includes(declared)) {
+    type = { ...type, mimetype: declared };
+  }
+  return type;
+}
+
+// Allowed types from UPLOAD_ALLOWED_TYPES (comma separated) or the defaults
+function allowedTypes() {
+  const setting = process.env.UPLOAD_ALLOWED_TYPES;
+  const types = setting ? setting.split(',') : DEFAULT_ALLOWED_TYPES;
+  return types.map(type => type.trim().toLowerCase()).filter(Boolean);
+}
+
+function isAllowed(mimetype) {
+  return allowedTypes().some(allowed => (
+    allowed === mimetype || (allowed.endsWith('/*') && mimetype.startsWith(allowed.slice(0, -1)))
+  ));
+}
+
+// Bytes a notepad may store, from NOTEPAD_QUOTA_MB
+function quotaBytes() {
+  const megabytes = Number(process.env.NOTEPAD_QUOTA_MB);
+  return (megabytes > 0 ? megabytes : DEFAULT_QUOTA_MB) * 1024 * 1024;
+}
+
+// Largest file a chunked upload may send, from UPLOAD_MAX_MB
+function maxUploadBytes() {
+  const megabytes = Number(process.env.UPLOAD_MAX_MB);
+  return (megabytes > 0 ? megabytes : DEFAULT_MAX_UPLOAD_MB) * 1024 * 1024;
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.ceil(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB`;
+}
+
+// The error for an upload that would take a notepad over its quota
+function quotaError(used, size) {
+  const error = new Error(
+    `This notepad is out of storage: ${formatSize(used)} of ${formatSize(quotaBytes())} is used ` +
+    `and the file needs ${formatSize(size)}`
+  );
+  error.status = 413;
+  return error;
+}
+
+// Throws quotaError if `size` more bytes don't fit
+function checkQuota(used, size) {
+  if (used + size > quotaBytes()) {
+    throw quotaError(used, size);
+  }
+}
+
+// A name that is safe to show and to store: no directories, control
+// characters or markup, and not too long
+function safeFilename(name) {
+  const base = String(name || '').split(/[\\/]/).pop()
+    .normalize('NFC')
+    .replace(/[\u0000-\u001f\u007f<>:"|?*]/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+|[\s.]+$/g, '');
+
+  if (base.length <= MAX_NAME_LENGTH) return base || 'file';
+
+  const extension = path.extname(base).slice(0, 16);
+  return base.slice(0, MAX_NAME_LENGTH - extension.length) + extension;
+}
+
+// The name a file is stored under: unique, plain ASCII, and ending in the
+// extension of its detected type whatever it was called
+function storedName(filename, type) {
+  const safe = safeFilename(filename);
+  const stem = path.basename(safe, path.extname(safe))
+    .replace(/[^A-Za-z0-9_-]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 60);
+  return `${Date.now()}-${nanoid(10)}-${stem || 'file'}.${type ? type.extension : 'bin'}`;
+}
+
+// Signed links let a file be fetched without a session, e.g. embedded
+// elsewhere. They are signed with FILE_URL_SECRET, or the session secret.
+function signature(name, expires) {
+  const secret = process.env.FILE_URL_SECRET || process.env.SESSION_SECRET || 'collaborative-notepad-secret-key';
+  return crypto.createHmac('sha256', secret).update(`${name}:${expires}`).digest('hex');
+}
+
+// A link to a stored file that works for `seconds`. Returns { url, expiresAt }.
+function signedUrl(name, seconds) {
+  const lifetime = Math.min(Math.max(Math.floor(Number(seconds)) || DEFAULT_LINK_SECONDS, 60), MAX_LINK_SECONDS);
+  const expires = Math.floor(Date.now() / 1000) + lifetime;
+  return {
+    url: `/uploads/${encodeURIComponent(name)}?expires=${expires}&signature=${signature(name, expires)}`,
+    expiresAt: new Date(expires * 1000).toISOString()
+  };
+}
+
+// Whether a signed link's query is genuine and still valid
+function verifySignedUrl(name, { expires, signature: given }) {
+  if (typeof expires !== 'string' || typeof given !== 'string' || !/^\d+$/.test(expires)) return false;
+  if (Number(expires) * 1000 < Date.now()) return false;
+
+  const expected = Buffer.from(signature(name, expires));
+  const actual = Buffer.from(given);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  detectType,
+  isAllowed,
+  quotaBytes,
+  maxUploadBytes,
+  formatSize,
+  checkQuota,
+  safeFilename,
+  storedName,
+  signedUrl,
+  verifySignedUrl
+};